@@ -16,6 +16,7 @@
  */
 
 require('dotenv').config({ path: require('path').join(__dirname, '..', 'newsletter-agent', '.env') });
+const { trackedLink } = require('ifm-shared/links');
 
 // ============================================
 // CONFIGURATION
@@ -25,6 +26,7 @@ const CONFIG = {
   // Ministry info
   ministry: 'Increasing Faith Ministries',
   pastors: 'Pastors Curtis & Tammy Stephens',
+  website: 'https://increasingfaith.net',
   facebookUrl: 'https://www.facebook.com/IFMinistry',
   youtubeUrl: 'https://www.youtube.com/@thehourofpowerextra2883/shorts',
 
@@ -62,6 +64,18 @@ const CONFIG = {
 // DEFAULT MESSAGES
 // ============================================
 
+// Every link in an alert goes through here. Only links to the site pick up
+// campaign tags (ifm-shared/links); Facebook and YouTube pass through as-is.
+function alertLink(url, source, medium) {
+  return trackedLink(url, {
+    source,
+    medium,
+    campaign: 'live-alert',
+    date: new Date().toISOString().split('T')[0],
+    theme: 'live',
+  });
+}
+
 const DEFAULT_MESSAGE = `${CONFIG.pastors} are LIVE now! Tap to watch Kingdom truth, faith, and discipleship.`;
 
 const EMAIL_HTML = (message) => `
@@ -80,11 +94,11 @@ const EMAIL_HTML = (message) => `
         <!-- Body -->
         <tr><td style="padding:40px; text-align:center;">
           <p style="color:#ffffff; font-size:18px; line-height:1.7; margin:0 0 30px;">${message}</p>
-          <a href="${CONFIG.facebookUrl}" style="display:inline-block; background:linear-gradient(135deg,#d4af37,#f5d76e); color:#0d0d0d; text-decoration:none; padding:16px 40px; border-radius:50px; font-weight:700; font-size:16px; letter-spacing:1px;">WATCH NOW</a>
+          <a href="${alertLink(CONFIG.facebookUrl, 'email', 'email')}" style="display:inline-block; background:linear-gradient(135deg,#d4af37,#f5d76e); color:#0d0d0d; text-decoration:none; padding:16px 40px; border-radius:50px; font-weight:700; font-size:16px; letter-spacing:1px;">WATCH NOW</a>
         </td></tr>
         <!-- Footer -->
         <tr><td style="padding:20px 40px; text-align:center; border-top:1px solid rgba(212,175,55,0.15);">
-          <p style="color:rgba(255,255,255,0.4); font-size:12px; margin:0;">Increasing Faith Ministries | increasingfaith.net</p>
+          <p style="color:rgba(255,255,255,0.4); font-size:12px; margin:0;">Increasing Faith Ministries | <a href="${alertLink(CONFIG.website, 'email', 'email')}" style="color:rgba(255,255,255,0.4);">increasingfaith.net</a></p>
         </td></tr>
       </table>
     </td></tr>
@@ -98,15 +112,17 @@ const EMAIL_HTML = (message) => `
 
 async function sendNtfy(message) {
   console.log('\n--- ntfy.sh ---');
+  const facebookUrl = alertLink(CONFIG.facebookUrl, 'ntfy', 'push');
+  const youtubeUrl = alertLink(CONFIG.youtubeUrl, 'ntfy', 'push');
   try {
     const response = await fetch(`${CONFIG.ntfy.server}/${CONFIG.ntfy.topic}`, {
       method: 'POST',
       headers: {
         'Title': 'IFM is LIVE!',
         'Tags': 'rotating_light,video_camera',
-        'Click': CONFIG.facebookUrl,
+        'Click': facebookUrl,
         'Priority': '5',
-        'Actions': `view, Watch on Facebook, ${CONFIG.facebookUrl}; view, Watch on YouTube, ${CONFIG.youtubeUrl}`,
+        'Actions': `view, Watch on Facebook, ${facebookUrl}; view, Watch on YouTube, ${youtubeUrl}`,
       },
       body: message,
     });
@@ -130,7 +146,9 @@ async function sendTelegram(message) {
 
   try {
     const url = `${CONFIG.telegram.apiBase}/bot${CONFIG.telegram.botToken}/sendMessage`;
-    const text = `🔴 *WE'RE LIVE!*\n\n${message}\n\n[Watch on Facebook](${CONFIG.facebookUrl}) | [Watch on YouTube](${CONFIG.youtubeUrl})`;
+    const facebookUrl = alertLink(CONFIG.facebookUrl, 'telegram', 'social');
+    const youtubeUrl = alertLink(CONFIG.youtubeUrl, 'telegram', 'social');
+    const text = `🔴 *WE'RE LIVE!*\n\n${message}\n\n[Watch on Facebook](${facebookUrl}) | [Watch on YouTube](${youtubeUrl})`;
 
     const response = await fetch(url, {
       method: 'POST',
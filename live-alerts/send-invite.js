@@ -7,11 +7,13 @@ require('dotenv').config({ path: require('path').join(__dirname, '..', 'newslett
 
 const fs = require('fs');
 const path = require('path');
+const { tagHtmlLinks } = require('ifm-shared/links');
 
 const RESEND_API_KEY = process.env.RESEND_API_KEY;
 const emails = JSON.parse(fs.readFileSync(path.join(__dirname, 'invite-emails.json'), 'utf-8'));
 
-const EMAIL_HTML = `
+// Site links are tagged once, below, rather than inline in the template.
+const EMAIL_HTML_RAW = `
 <!DOCTYPE html>
 <html>
 <head><meta charset="UTF-8"></head>
@@ -88,6 +90,14 @@ const EMAIL_HTML = `
 </body>
 </html>`;
 
+const EMAIL_HTML = tagHtmlLinks(EMAIL_HTML_RAW, {
+  source: 'email',
+  medium: 'email',
+  campaign: 'live-alert',
+  date: new Date().toISOString().split('T')[0],
+  theme: 'invite',
+});
+
 async function main() {
   console.log('=== IFM Live Alert Invite Email ===');
   console.log('Sending to ' + emails.length + ' contacts...\n');
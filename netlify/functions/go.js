@@ -0,0 +1,175 @@
+/**
+ * Netlify Function: Short Links
+ *
+ * Answers increasingfaith.net/go/<slug> (see _redirects). Each click is
+ * recorded, then the visitor is sent on to the page the slug stands for.
+ * Short links are for places a full URL is awkward: a URL printed on a
+ * graphic, a QR code, a line read aloud on a livestream. Because the click is
+ * counted here, the numbers do not depend on Facebook insights or on a
+ * third-party shortener staying in business.
+ *
+ * What it does:
+ *   1. Looks the slug up in content/short-links.json (bundled at deploy)
+ *   2. Stores { at, slug, referrer } in the "short-link-clicks" Netlify Blobs
+ *      store, one entry per click, keyed <slug>/<timestamp>-<random>
+ *   3. Redirects (302) to the slug's page, carrying over any query string so
+ *      /go/give?utm_source=facebook still reaches analytics tagged
+ *
+ * A failed write never blocks the redirect — a lost count is better than a
+ * visitor stuck on an error page.
+ *
+ * Click counts:
+ *   GET /go/stats?key=<SHORT_LINK_STATS_KEY> returns { slug: clicks, ... }.
+ *   Without the right key, /go/stats is treated like any unknown slug.
+ *
+ * SETUP:
+ *   - Dependencies: @netlify/blobs (netlify/functions/package.json)
+ *   - SHORT_LINK_STATS_KEY (optional): shared secret for /go/stats
+ *
+ * HOSTING NOTE:
+ *   The site has been served from GitHub Pages since 2026-02-05 (see
+ *   newsletter-agent/subscribers.js), and Pages runs no functions and ignores
+ *   _redirects. Until the domain points at a Netlify deploy again, /go/ links
+ *   will 404 — do not print them on anything before checking one resolves.
+ */
+
+const { connectLambda, getStore } = require("@netlify/blobs");
+const SHORT_LINKS = require("../../content/short-links.json");
+
+const STORE_NAME = "short-link-clicks";
+const STATS_SLUG = "stats";
+const HOME = "https://increasingfaith.net/";
+
+// --- Slug Lookup -------------------------------------------------------------
+
+/**
+ * Pulls the slug out of the request path. Netlify hands the function either
+ * the public path (/go/give) or the rewritten one (/.netlify/functions/go/give).
+ *
+ * @param {string} path - Request path
+ * @returns {string} - Lowercased slug, or "" for a bare /go/ or one that
+ *                     is not valid percent-encoding (/go/%E0%A4%A)
+ */
+function slugFromPath(path) {
+    const match = (path || "").match(/\/go\/([^/?#]+)/);
+    if (!match) return "";
+    try {
+        return decodeURIComponent(match[1]).toLowerCase();
+    } catch (error) {
+        // A malformed link goes home like any unknown slug, not to a 500.
+        return "";
+    }
+}
+
+/**
+ * Builds the redirect target, carrying the request's query string over.
+ * Parameters on the incoming link win over ones already on the stored URL.
+ *
+ * @param {string} url - Destination from short-links.json
+ * @param {object} query - event.queryStringParameters
+ * @returns {string} - Final URL
+ */
+function destination(url, query) {
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(query || {})) {
+        if (value) target.searchParams.set(key, value);
+    }
+    return target.toString();
+}
+
+// --- Click Store -------------------------------------------------------------
+
+/**
+ * Opens the click store. Returns null instead of throwing when the function
+ * runs without Blobs context (netlify dev, a misconfigured deploy), so the
+ * redirect still happens.
+ *
+ * @param {object} event - Netlify Function event
+ * @returns {object|null} - Netlify Blobs store
+ */
+function openStore(event) {
+    try {
+        connectLambda(event);
+        return getStore(STORE_NAME);
+    } catch (error) {
+        console.error(`Click store unavailable: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Records one click. One blob per click, so two visitors clicking at the same
+ * moment can never overwrite each other's count.
+ *
+ * @param {object} store - Netlify Blobs store
+ * @param {string} slug - The slug that was clicked
+ * @param {string} referrer - Referer header, or "" when the browser sent none
+ */
+async function recordClick(store, slug, referrer) {
+    const at = new Date().toISOString();
+    const key = `${slug}/${at}-${Math.random().toString(36).slice(2, 8)}`;
+    await store.setJSON(key, { at, slug, referrer: referrer || null });
+}
+
+/**
+ * Counts clicks per slug. Counting keys is enough — the blobs themselves are
+ * only read when someone wants the referrers.
+ *
+ * @param {object} store - Netlify Blobs store
+ * @returns {Promise<object>} - { slug: clickCount }
+ */
+async function countClicks(store) {
+    const counts = Object.fromEntries(Object.keys(SHORT_LINKS).map(slug => [slug, 0]));
+    const { blobs } = await store.list();
+    for (const blob of blobs) {
+        const slug = blob.key.split("/")[0];
+        counts[slug] = (counts[slug] || 0) + 1;
+    }
+    return counts;
+}
+
+// --- Netlify Function Handler ------------------------------------------------
+
+/**
+ * Main handler for the Netlify Function.
+ * Triggered by any GET to /go/<slug>.
+ *
+ * @param {object} event - Netlify Function event (contains request data)
+ * @returns {object} - A 302 redirect, or JSON for /go/stats
+ */
+exports.handler = async function(event) {
+    const store = openStore(event);
+    const slug = slugFromPath(event.path);
+    const query = event.queryStringParameters || {};
+
+    const statsKey = process.env.SHORT_LINK_STATS_KEY;
+    if (slug === STATS_SLUG && statsKey && query.key === statsKey && store) {
+        return {
+            statusCode: 200,
+            headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+            body: JSON.stringify(await countClicks(store), null, 2)
+        };
+    }
+
+    // Own keys only: "constructor" or "__proto__" must not find Object.prototype.
+    const link = Object.hasOwn(SHORT_LINKS, slug) ? SHORT_LINKS[slug] : null;
+    if (!link) {
+        // An old or mistyped link still lands somewhere useful.
+        console.log(`Unknown short link: "${slug}"`);
+        return { statusCode: 302, headers: { Location: HOME, "Cache-Control": "no-store" }, body: "" };
+    }
+
+    const headers = event.headers || {};
+    try {
+        if (store) await recordClick(store, slug, headers.referer || headers.referrer);
+    } catch (error) {
+        console.error(`Could not record click on "${slug}": ${error.message}`);
+    }
+
+    return {
+        statusCode: 302,
+        // no-store: a cached redirect would skip the function and the count.
+        headers: { Location: destination(link.url, query), "Cache-Control": "no-store" },
+        body: ""
+    };
+};
@@ -5,6 +5,8 @@
  * All ministry details, content categories, and API settings live here.
  */
 
+const { BRAND_BANNED_PHRASES } = require('ifm-shared/voice-lint');
+
 const config = {
   // ---------------------------------------------------------------------------
   // Ministry Details
@@ -96,16 +98,72 @@ const config = {
   },
 
   // ---------------------------------------------------------------------------
-  // Groq AI API Settings
+  // Voice Lint (shared: ../shared/voice-lint.js)
+  // Every generated section is checked against these before it is accepted;
+  // a hit regenerates the section. The brand-wide list is shared with the
+  // social agent (BRAND_BANNED_PHRASES). No emoji - sections go out as email HTML.
+  // ---------------------------------------------------------------------------
+  voice: {
+    bannedPhrases: [...BRAND_BANNED_PHRASES],
+    emoji: false,
+  },
+
+  // ---------------------------------------------------------------------------
+  // AI Provider Settings (shared client: ../shared/ai-client.js)
   // ---------------------------------------------------------------------------
   ai: {
-    baseUrl: 'https://api.groq.com/openai/v1/chat/completions',
-    model: 'llama-3.1-8b-instant',
     maxTokens: 4096,
     temperature: 0.7,
-    // Retry settings for API calls
+    // Retry settings for API calls. Backoff is exponential from retryDelayMs,
+    // or the provider's own retry-after hint on a 429, capped at
+    // maxRetryDelayMs (above Groq's 60s token window so a retry lands clear).
     maxRetries: 5,
     retryDelayMs: 2000,
+    maxRetryDelayMs: 90000,
+    // Long-form sections take longer to stream back than a social post.
+    timeoutMs: 60000,
+    // Token-budget scheduler (../shared/token-budget.js). Each section asks
+    // for up to maxTokens of output, which Groq charges against its per-minute
+    // limit up front, so sections are held until the window has room rather
+    // than discovering the limit through a 429.
+    tokenBudget: {
+      windowMs: 60000,
+      headroom: 0.9,
+    },
+
+    // Provider chain - tried in order, skipping any whose env var is unset.
+    // Same chain as the social agent, so a Groq outage falls through to
+    // OpenRouter instead of failing the whole monthly report.
+    providers: [
+      {
+        name: 'Groq',
+        url: 'https://api.groq.com/openai/v1/chat/completions',
+        envVar: 'GROQ_API_KEY',
+        model: 'llama-3.1-8b-instant',
+        tokensPerMinute: 6000,
+        extraHeaders: {},
+      },
+      {
+        // Same key, different model - a second rate-limit bucket, and cover
+        // for the day one model is degraded or retired.
+        name: 'Groq (70b)',
+        url: 'https://api.groq.com/openai/v1/chat/completions',
+        envVar: 'GROQ_API_KEY',
+        model: 'llama-3.3-70b-versatile',
+        tokensPerMinute: 12000,
+        extraHeaders: {},
+      },
+      {
+        name: 'OpenRouter',
+        url: 'https://openrouter.ai/api/v1/chat/completions',
+        envVar: 'OPENROUTER_API_KEY',
+        model: 'meta-llama/llama-3.3-70b-instruct:free',
+        extraHeaders: {
+          'HTTP-Referer': 'https://increasingfaith.net',
+          'X-Title': 'IFM Newsletter Agent',
+        },
+      },
+    ],
   },
 
   // ---------------------------------------------------------------------------
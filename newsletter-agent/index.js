@@ -3,7 +3,7 @@
  *
  * Orchestrates the full newsletter generation pipeline:
  *   1. Gather content from web sources
- *   2. Generate newsletter sections via Groq AI
+ *   2. Generate newsletter sections via the shared AI provider chain
  *   3. Publish JSON, HTML, and update archive
  *
  * Usage:
@@ -13,6 +13,8 @@
  */
 
 require('dotenv').config();
+const { createChatClient } = require('ifm-shared/ai-client');
+const config = require('./config');
 const { gatherContent } = require('./content-gatherer');
 const { generateNewsletter } = require('./newsletter-generator');
 const { publishNewsletter } = require('./publish');
@@ -71,13 +73,14 @@ async function main() {
   console.log('======================================================');
   console.log('  Target: ' + options.month + '/' + options.year);
   console.log('  Mode:   ' + (options.dryRun ? 'DRY RUN (no files saved)' : 'LIVE'));
-  console.log('  API:    Groq (llama-3.1-8b-instant)');
+  console.log('  API:    ' + config.ai.providers.map((p) => p.name + ' (' + p.model + ')').join(' -> '));
   console.log('======================================================');
 
-  // Verify API key is available
-  if (!process.env.GROQ_API_KEY) {
-    console.error('\nERROR: GROQ_API_KEY not found in environment.');
-    console.error('Create a .env file with your Groq API key.');
+  // Verify at least one provider in the chain has a key
+  if (!createChatClient(config.ai).hasAnyProvider()) {
+    const keyVars = [...new Set(config.ai.providers.map((p) => p.envVar))];
+    console.error('\nERROR: No AI provider key found in environment (' + keyVars.join(' or ') + ').');
+    console.error('Create a .env file with your Groq and/or OpenRouter API key.');
     console.error('See .env.example for the template.');
     process.exit(1);
   }
@@ -2,72 +2,39 @@
  * newsletter-generator.js - AI-Powered Newsletter Content Generator
  *
  * Takes gathered content and generates a complete Kingdom-centered newsletter
- * using the Groq AI API (llama-3.1-8b-instant model).
+ * through the shared AI provider chain (Groq first, OpenRouter as fallback).
  */
 
 require('dotenv').config();
-const fetch = require('node-fetch');
 const { format } = require('date-fns');
+const { createChatClient } = require('ifm-shared/ai-client');
+const { assertVoice } = require('ifm-shared/voice-lint');
+const { assertScripture } = require('ifm-shared/scripture');
 const config = require('./config');
 
 // ---------------------------------------------------------------------------
-// Groq AI API Caller with retry logic
+// AI Caller - provider chain, retry, and voice lint from the shared package
 // ---------------------------------------------------------------------------
 
-async function callGroqAI(systemPrompt, userPrompt) {
-  const apiKey = process.env.GROQ_API_KEY;
-  if (!apiKey) throw new Error('GROQ_API_KEY is not set. Check your .env file.');
-
-  let lastError;
-  for (let attempt = 1; attempt <= config.ai.maxRetries; attempt++) {
-    try {
-      // 30-second timeout to prevent indefinite hanging
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 30000);
-
-      const response = await fetch(config.ai.baseUrl, {
-        method: 'POST',
-        signal: controller.signal,
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': 'Bearer ' + apiKey,
-        },
-        body: JSON.stringify({
-          model: config.ai.model,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt },
-          ],
-          max_tokens: config.ai.maxTokens,
-          temperature: config.ai.temperature,
-        }),
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error('Groq API ' + response.status + ': ' + errorBody);
-      }
-
-      const data = await response.json();
-      if (data.choices && data.choices[0] && data.choices[0].message) {
-        return data.choices[0].message.content.trim();
-      }
-      throw new Error('Unexpected API response structure');
-    } catch (error) {
-      lastError = error;
-      console.log('  [RETRY ' + attempt + '/' + config.ai.maxRetries + '] ' + error.message);
-      if (attempt < config.ai.maxRetries) {
-        // Use longer delay for rate limits (429), shorter for other errors
-        const isRateLimit = error.message.includes('429');
-        const delay = isRateLimit ? 15000 : config.ai.retryDelayMs * attempt;
-        console.log('  Waiting ' + (delay / 1000) + 's before retry...');
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      }
-    }
-  }
-  throw new Error('Groq API failed after ' + config.ai.maxRetries + ' attempts: ' + lastError.message);
+const ai = createChatClient(config.ai);
+
+// Each section is voice-linted and scripture-checked inside the retry, so a
+// banned phrase, emoji, or made-up verse costs one regeneration instead of
+// landing in every subscriber's inbox. Quoted verses are checked against the
+// bundled KJV and replaced with its exact text when they do not match; no
+// length cap on the substitution, since sections are long-form.
+async function callAI(systemPrompt, userPrompt) {
+  return await ai.withRetry(async () => {
+    const text = await ai.callChatAPI({
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      timeoutMs: config.ai.timeoutMs,
+    });
+    assertVoice(text, config.voice);
+    return assertScripture(text, { maxQuoteChars: Infinity });
+  }, { label: 'newsletter' });
 }
 
 // ---------------------------------------------------------------------------
@@ -131,7 +98,7 @@ async function generatePastoralMessage(content, monthName, year) {
     'Write with the confidence of someone who knows the King personally.',
   ].join('\n');
 
-  return await callGroqAI(buildSystemPrompt(), prompt);
+  return await callAI(buildSystemPrompt(), prompt);
 }
 
 async function generateKingdomIntelligence(content, monthName, year) {
@@ -163,7 +130,7 @@ async function generateKingdomIntelligence(content, monthName, year) {
     '**Kingdom Perspective:** [One sentence connecting this to the bigger Kingdom picture]',
   ].join('\n');
 
-  return await callGroqAI(buildSystemPrompt(), prompt);
+  return await callAI(buildSystemPrompt(), prompt);
 }
 
 async function generateKingdomLiving(content, monthName, year) {
@@ -184,7 +151,7 @@ async function generateKingdomLiving(content, monthName, year) {
     'The reader should finish this section knowing exactly what to do differently this month.',
   ].join('\n');
 
-  return await callGroqAI(buildSystemPrompt(), prompt);
+  return await callAI(buildSystemPrompt(), prompt);
 }
 
 async function generatePrayerFocus(content, monthName, year) {
@@ -208,7 +175,7 @@ async function generatePrayerFocus(content, monthName, year) {
     '*Prayer: [Short prayer text]* ([Scripture reference])',
   ].join('\n');
 
-  return await callGroqAI(buildSystemPrompt(), prompt);
+  return await callAI(buildSystemPrompt(), prompt);
 }
 
 async function generateScriptureFocus(content, monthName, year) {
@@ -220,7 +187,7 @@ async function generateScriptureFocus(content, monthName, year) {
     '', 'Monthly Theme: ' + theme.theme, '',
     'Requirements:',
     '- Select ONE powerful scripture passage (2-4 verses) related to the Kingdom of God and the monthly theme',
-    '- Write the full scripture text (ESV, NKJV, or NIV)',
+    '- Write the full scripture text from the King James Version (KJV), word for word',
     '- Write a 150-200 word commentary that explains the passage in context, reveals the Kingdom dimension, connects to the monthly theme, and applies to daily life',
     '- Close with a "Meditation" prompt: one question for reflection',
     '',
@@ -228,7 +195,7 @@ async function generateScriptureFocus(content, monthName, year) {
     'Avoid overly familiar passages (like John 3:16) - dig deeper into scripture.',
     '',
     'Format:',
-    '**[Book Chapter:Verses] ([Translation])**',
+    '**[Book Chapter:Verses] (KJV)**',
     '*"[Full scripture text]"*',
     '',
     '[Commentary]',
@@ -236,7 +203,7 @@ async function generateScriptureFocus(content, monthName, year) {
     '**Meditation:** [Question for reflection]',
   ].join('\n');
 
-  return await callGroqAI(buildSystemPrompt(), prompt);
+  return await callAI(buildSystemPrompt(), prompt);
 }
 
 async function generateUpcoming(content, monthName, year) {
@@ -271,7 +238,7 @@ async function generateUpcoming(content, monthName, year) {
     '[Description]',
   ].join('\n');
 
-  return await callGroqAI(buildSystemPrompt(), prompt);
+  return await callAI(buildSystemPrompt(), prompt);
 }
 
 // ---------------------------------------------------------------------------
@@ -284,7 +251,8 @@ async function generateNewsletter(content, month, year) {
 
   console.log('\n--- Generating Newsletter: ' + dateString + ' ---');
 
-  // Generate sections sequentially (respects API rate limits)
+  // Generate sections sequentially so the log reads top-down. Pacing against
+  // the per-minute token limit is the shared client's job (token-budget.js).
   const pastoralMessage = await generatePastoralMessage(content, monthName, year);
   const kingdomIntelligence = await generateKingdomIntelligence(content, monthName, year);
   const kingdomLiving = await generateKingdomLiving(content, monthName, year);
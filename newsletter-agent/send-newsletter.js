@@ -17,6 +17,7 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { getSubscribers } = require('./subscribers');
+const { tagHtmlLinks } = require('ifm-shared/links');
 
 // ============================================
 // CONFIGURATION
@@ -211,6 +212,17 @@ function buildEmailHtml(template, content) {
   // Unsubscribe URL
   html = html.replace('{{unsubscribe_url}}', 'mailto:increasingfaithministry@gmail.com?subject=Unsubscribe%20from%20Kingdom%20Report');
 
+  // Campaign tags on every link back to the site (template and generated
+  // sections alike), so the site's analytics can credit the issue
+  const month = meta.year && meta.month ? meta.year + '-' + String(meta.month).padStart(2, '0') : null;
+  html = tagHtmlLinks(html, {
+    source: 'newsletter',
+    medium: 'email',
+    campaign: 'kingdom-report',
+    date: month,
+    theme: meta.theme && meta.theme.theme,
+  });
+
   return html;
 }
 
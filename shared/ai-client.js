@@ -0,0 +1,258 @@
+/**
+ * IFM Shared — AI Provider Client
+ *
+ * One OpenAI-compatible chat client for every agent in the repo: the daily
+ * social posts, the website ad, and the monthly Kingdom Report. Each agent
+ * hands in its own `ai` config block; the client walks that block's provider
+ * chain, picks each provider's model, enforces a timeout per request, keeps
+ * the run inside each provider's token budget, and backs off on rate limits
+ * using the provider's own wait hint.
+ *
+ * Before this existed the newsletter had a Groq-only caller with a fixed
+ * retry delay, so a single Groq outage could take down the whole monthly
+ * report while the social agent sailed through on OpenRouter.
+ *
+ * Usage:
+ *   const { createChatClient } = require('ifm-shared/ai-client');
+ *   const ai = createChatClient(config.ai);
+ *   const text = await ai.withRetry(() => ai.callChatAPI({ messages, maxTokens }));
+ *   const reply = extractJSON(text); // when the prompt asks for a JSON object
+ *
+ * Uses the global fetch (Node 18+) so the package carries no dependencies of
+ * its own and resolves the same way from every agent directory.
+ */
+
+const { createTokenScheduler } = require('./token-budget');
+
+// A 429 from Groq/OpenRouter tells us exactly how long to wait — either in the
+// `retry-after` header or inside the message ("Please try again in 7.5s").
+// Reading that hint is the difference between a retry that works and three
+// retries that all burn inside the same rate-limit window.
+function parseRetryAfterMs(response, body) {
+  const header = response.headers.get('retry-after');
+  const headerSeconds = Number(header);
+  if (header && Number.isFinite(headerSeconds)) return headerSeconds * 1000;
+
+  const match = body.match(/try again in ([\d.]+)\s*(ms|s|m)\b/i);
+  if (!match) return null;
+  const value = Number(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit === 'ms') return value;
+  if (unit === 'm') return value * 60000;
+  return value * 1000;
+}
+
+// ── Provider Chain ─────────────────────────────────────
+// Tries each provider in order. Skips any whose API key env var is unset.
+// Eliminates Groq as a single point of failure: when Groq has an outage, we
+// automatically fall through to the next entry (usually OpenRouter).
+//
+// `models` lets one caller pick a different model per provider without
+// redefining the chain — e.g. long-form newsletter sections can ask Groq for
+// its 70b model while the short social posts stay on 8b.
+//
+// With a `scheduler` (see token-budget.js) each call is charged against the
+// provider's per-minute token budget before it is sent, and chain order
+// becomes a preference rather than a queue: a provider with room right now is
+// tried ahead of one whose budget is spent.
+
+async function callChatAPI({
+  providers = [],
+  messages,
+  maxTokens,
+  temperature,
+  timeoutMs = 30000,
+  models = {},
+  scheduler = null,
+}) {
+  const errors = [];
+  // Longest wait any provider asked for, surfaced to withRetry below.
+  let retryAfterMs = null;
+  const modelFor = (provider) => models[provider.name] || provider.model;
+
+  let order = providers;
+  let tokens = 0;
+  if (scheduler) {
+    tokens = scheduler.estimate({ messages, maxTokens });
+    const ready = (p) => scheduler.waitMs(p, modelFor(p), tokens) === 0;
+    // Stable sort: ready providers first, each group keeps its chain order.
+    order = [...providers].sort((a, b) => ready(b) - ready(a));
+  }
+
+  for (const provider of order) {
+    const apiKey = process.env[provider.envVar];
+    if (!apiKey) {
+      errors.push(`${provider.name}: ${provider.envVar} not set`);
+      continue;
+    }
+
+    const model = modelFor(provider);
+    // Held here until the budget has room; the timeout starts after.
+    const ticket = scheduler ? await scheduler.acquire(provider, model, tokens) : null;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    let answered = false;
+
+    try {
+      const response = await fetch(provider.url, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+          ...provider.extraHeaders,
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+        }),
+      });
+      clearTimeout(timeout);
+
+      if (!response.ok) {
+        const errBody = await response.text();
+        const httpError = new Error(`${provider.name} ${response.status}: ${errBody.slice(0, 200)}`);
+        if (response.status === 429) {
+          httpError.retryAfterMs = parseRetryAfterMs(response, errBody);
+        }
+        throw httpError;
+      }
+
+      answered = true;
+      const data = await response.json();
+      if (scheduler) scheduler.settle(ticket, data.usage, maxTokens);
+      const content = data.choices?.[0]?.message?.content?.trim();
+      if (!content) throw new Error(`${provider.name} returned empty content`);
+
+      // Visible breadcrumb when we fall back — makes Groq outages obvious in
+      // logs. stderr, like every breadcrumb here: a caller's stdout may be
+      // its result (clips.js post prints only the video id).
+      if (provider !== providers[0]) {
+        console.warn(`  [ai] Fallback provider succeeded: ${provider.name}`);
+      }
+      return content;
+    } catch (err) {
+      clearTimeout(timeout);
+      const timedOut = err.name === 'AbortError';
+      // A refused or unreachable request spent none of the window. One that
+      // timed out may still have run, and one that answered ran, so those
+      // stay charged.
+      if (scheduler && !timedOut && !answered) scheduler.release(ticket);
+      const reason = timedOut
+        ? `timeout after ${timeoutMs}ms`
+        : err.message;
+      console.warn(`  [ai] ${provider.name} failed: ${reason}`);
+      errors.push(`${provider.name}: ${reason}`);
+      if (err.retryAfterMs) {
+        retryAfterMs = Math.max(retryAfterMs || 0, err.retryAfterMs);
+        if (scheduler) scheduler.block(provider, model, err.retryAfterMs);
+      }
+    }
+  }
+
+  const allFailed = new Error(`All AI providers failed.\n  - ${errors.join('\n  - ')}`);
+  if (retryAfterMs !== null) allFailed.retryAfterMs = retryAfterMs;
+  throw allFailed;
+}
+
+// ── Retry Wrapper ──────────────────────────────────────
+// Wraps any task, not just a bare chat call, so a caller's own validation
+// (JSON shape, banned terms) can throw and earn another attempt.
+//
+// Rate limits are per-minute, so a fixed short delay retries inside the same
+// window and fails again. Honor the provider's own wait hint (plus a 1s
+// cushion); otherwise back off exponentially, or at a flat rate when the
+// caller expects ordinary rejections rather than outages.
+
+async function withRetry(task, {
+  maxRetries = 3,
+  retryDelayMs = 3000,
+  maxRetryDelayMs = 90000,
+  exponential = true,
+  label = 'ai',
+} = {}) {
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (err) {
+      lastError = err;
+      console.error(`  [${label}] Attempt ${attempt}/${maxRetries} failed: ${err.message}`);
+      if (attempt < maxRetries) {
+        const backoff = exponential ? retryDelayMs * 2 ** (attempt - 1) : retryDelayMs;
+        const wait = Math.min(
+          err.retryAfterMs ? err.retryAfterMs + 1000 : backoff,
+          maxRetryDelayMs
+        );
+        console.error(`  [${label}] Waiting ${Math.round(wait / 1000)}s before retry`);
+        await new Promise(r => setTimeout(r, wait));
+      }
+    }
+  }
+  throw lastError;
+}
+
+// ── Reply Parsing ──────────────────────────────────────
+
+// Small models routinely wrap JSON in prose or markdown fences. Pull out the
+// outermost object rather than trusting the response to be clean.
+function extractJSON(raw) {
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : raw;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end === -1 || end <= start) {
+    throw new Error('No JSON object found in model response');
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+// ── Client Factory ─────────────────────────────────────
+// Binds the chain and retry settings from one agent's `ai` config block, so
+// call sites only pass what varies per request.
+//
+// Budgets are per API key, not per caller, so every client in a process
+// shares one scheduler — ad.js loading index.js must not get a second, blind
+// view of the same Groq window.
+let sharedScheduler = null;
+
+function schedulerFor(aiConfig) {
+  const budgeted = (aiConfig.providers || []).some(p => p.tokensPerMinute);
+  if (!budgeted || aiConfig.tokenBudget === false) return null;
+  if (!sharedScheduler) sharedScheduler = createTokenScheduler(aiConfig.tokenBudget || {});
+  return sharedScheduler;
+}
+
+function createChatClient(aiConfig = {}) {
+  const scheduler = schedulerFor(aiConfig);
+  const retryDefaults = {
+    maxRetries: aiConfig.maxRetries,
+    retryDelayMs: aiConfig.retryDelayMs,
+    maxRetryDelayMs: aiConfig.maxRetryDelayMs,
+  };
+
+  return {
+    providers: aiConfig.providers || [],
+    callChatAPI: (options) => callChatAPI({
+      providers: aiConfig.providers,
+      models: aiConfig.models,
+      temperature: aiConfig.temperature,
+      maxTokens: aiConfig.maxTokens,
+      scheduler,
+      ...options,
+    }),
+    withRetry: (task, options = {}) => withRetry(task, {
+      // undefined entries fall through to withRetry's own defaults
+      ...Object.fromEntries(Object.entries(retryDefaults).filter(([, v]) => v !== undefined)),
+      ...options,
+    }),
+    // True when at least one provider in the chain has its key set. Lets an
+    // entry point fail fast with a clear message instead of a chain of
+    // "not set" errors three sections in.
+    hasAnyProvider: () => (aiConfig.providers || []).some(p => process.env[p.envVar]),
+  };
+}
+
+module.exports = { createChatClient, callChatAPI, withRetry, parseRetryAfterMs, extractJSON };
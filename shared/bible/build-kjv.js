@@ -0,0 +1,73 @@
+/**
+ * Rebuilds shared/bible/kjv.json from the public-domain KJV text.
+ *
+ * Source: verses-1769.json in the `kjv` npm package (1769 Oxford text,
+ * released into the public domain). Only needed if the bundled file is ever
+ * regenerated; nothing reads the package at run time.
+ *
+ * Usage:
+ *   npm pack kjv && tar xzf kjv-*.tgz
+ *   node build-kjv.js package/json/verses-1769.json
+ *
+ * Output shape (one chapter per line, so a diff shows what changed):
+ *   { "translation": "KJV", "books": [{ "name": "Genesis", "chapters": [["In the beginning…", …], …] }, …] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The package's name for one book differs from how anyone writes it.
+const RENAMES = {
+  "Solomon's Song": 'Song of Solomon',
+};
+
+function cleanVerse(text) {
+  return text
+    // Pilcrow-style paragraph markers
+    .replace(/^#\s*/, '')
+    // [bracketed] words are the translators' italics (supplied words); the
+    // printed text reads them as ordinary words.
+    .replace(/\[([^\]]*)\]/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function build(sourceFile) {
+  const verses = JSON.parse(fs.readFileSync(sourceFile, 'utf-8'));
+  const books = [];
+  const byName = new Map();
+
+  for (const [ref, text] of Object.entries(verses)) {
+    const match = ref.match(/^(.+) (\d+):(\d+)$/);
+    if (!match) throw new Error(`Unparseable reference in source: ${ref}`);
+    const name = RENAMES[match[1]] || match[1];
+    const chapter = Number(match[2]);
+    const verse = Number(match[3]);
+
+    if (!byName.has(name)) {
+      const book = { name, chapters: [] };
+      byName.set(name, book);
+      books.push(book);
+    }
+    const chapters = byName.get(name).chapters;
+    if (!chapters[chapter - 1]) chapters[chapter - 1] = [];
+    chapters[chapter - 1][verse - 1] = cleanVerse(text);
+  }
+
+  const lines = books.map(book => {
+    const chapters = book.chapters.map(ch => '      ' + JSON.stringify(ch)).join(',\n');
+    return `    {"name": ${JSON.stringify(book.name)}, "chapters": [\n${chapters}\n    ]}`;
+  });
+  return `{\n  "translation": "KJV",\n  "books": [\n${lines.join(',\n')}\n  ]\n}\n`;
+}
+
+if (require.main === module) {
+  const source = process.argv[2];
+  if (!source) {
+    console.error('Usage: node build-kjv.js <path to verses-1769.json>');
+    process.exit(1);
+  }
+  const out = path.join(__dirname, 'kjv.json');
+  fs.writeFileSync(out, build(source));
+  console.log(`Wrote ${out}`);
+}
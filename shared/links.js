@@ -0,0 +1,107 @@
+/**
+ * IFM Shared — Campaign Links
+ *
+ * Every link to increasingfaith.net that leaves through one of our channels
+ * (daily posts, the website ad, the newsletter, live alerts) goes through
+ * here, so site analytics can tell the channels apart. The four UTM values
+ * are always filled the same way:
+ *
+ *   utm_source    where the link was seen: facebook, instagram, tiktok,
+ *                 newsletter, ntfy, telegram, email, qr
+ *   utm_medium    social | email | push | print (see MEDIUMS)
+ *   utm_campaign  which agent sent it: daily-post, website-ad,
+ *                 kingdom-report, live-alert
+ *   utm_content   <date>_<theme>[_<variant>], e.g. 2026-09-15_prayer-focus_b
+ *
+ * Links to other sites (Facebook, YouTube, app stores) are returned as they
+ * are — tagging someone else's URL tells us nothing.
+ *
+ * Short links (increasingfaith.net/go/<slug>) are for printed URLs and QR
+ * codes. The slugs live in content/short-links.json; the redirect and click
+ * count happen in netlify/functions/go.js. shortLink() takes the same UTM
+ * params, which the redirect passes on to the page.
+ *
+ * Usage:
+ *   const { trackedLink } = require('ifm-shared/links');
+ *   trackedLink('https://increasingfaith.net/prayer.html', {
+ *     source: 'facebook', medium: 'social', campaign: 'daily-post',
+ *     date: '2026-09-15', theme: 'prayer_focus',
+ *   });
+ */
+
+const SITE_HOSTS = ['increasingfaith.net', 'www.increasingfaith.net'];
+
+// The mediums analytics groups by. Anything else lands in "(other)". `print`
+// is a QR code scanned off a graphic, whether on paper or on a screen.
+const MEDIUMS = ['social', 'email', 'push', 'print'];
+
+// Lowercase, hyphenated, nothing a URL has to escape.
+function slug(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function utmContent({ date, theme, variant } = {}) {
+  return [date, slug(theme), slug(variant)]
+    .filter(Boolean)
+    .join('_');
+}
+
+function isSiteUrl(url) {
+  try {
+    return SITE_HOSTS.includes(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// `content` may be passed ready-made; otherwise it is built from date, theme
+// and variant. Existing query parameters and #fragments are kept, and UTM
+// values already on the URL are replaced rather than duplicated.
+function trackedLink(url, { source, medium, campaign, content, date, theme, variant } = {}) {
+  if (!isSiteUrl(url)) return url;
+  if (medium && !MEDIUMS.includes(medium)) {
+    throw new Error(`Unknown utm_medium "${medium}" (use ${MEDIUMS.join(', ')})`);
+  }
+
+  const link = new URL(url);
+  const params = {
+    utm_source: source,
+    utm_medium: medium,
+    utm_campaign: campaign,
+    utm_content: content || utmContent({ date, theme, variant }),
+  };
+  for (const [key, value] of Object.entries(params)) {
+    if (value) link.searchParams.set(key, value);
+  }
+  return link.toString();
+}
+
+// Tags every href="…" pointing at the site in a block of HTML — for email
+// templates whose links are written out by hand.
+function tagHtmlLinks(html, params) {
+  return html.replace(/href="([^"]+)"/g, (match, url) => {
+    const raw = url.replace(/&amp;/g, '&');
+    return isSiteUrl(raw) ? `href="${trackedLink(raw, params).replace(/&/g, '&amp;')}"` : match;
+  });
+}
+
+// increasingfaith.net/go/<slug>, tagged like any other site link when params
+// are given. Bare is best for print — the shorter the URL, the more people
+// type it correctly.
+function shortLink(slug, params) {
+  const url = `https://${SITE_HOSTS[0]}/go/${slug}`;
+  return params ? trackedLink(url, params) : url;
+}
+
+module.exports = {
+  MEDIUMS,
+  trackedLink,
+  shortLink,
+  tagHtmlLinks,
+  utmContent,
+  isSiteUrl,
+};
@@ -0,0 +1,351 @@
+/**
+ * IFM Shared — Scripture Lookup
+ *
+ * Checks every Bible reference in generated text against a bundled copy of
+ * the King James Version (public domain, shared/bible/kjv.json). A small model
+ * will happily cite John 3:45 or paraphrase a verse from memory and put it in
+ * quotation marks; either one printed on a branded card is worse than no
+ * verse at all.
+ *
+ *   - A reference to a chapter or verse that does not exist is rejected.
+ *   - A range that runs past the end of its chapter is trimmed to fit
+ *     ("John 3:16-40" -> "John 3:16-36") and book names are normalized.
+ *   - A quotation next to a reference that does not match the verse is
+ *     replaced with the exact KJV text and labelled (KJV).
+ *
+ * Usage:
+ *   const { assertScripture, lookup } = require('ifm-shared/scripture');
+ *   const text = assertScripture(post);        // fixed text, or throws
+ *   lookup('Matthew 6:33').text;                // "But seek ye first…"
+ */
+
+const path = require('path');
+
+const BIBLE_FILE = path.join(__dirname, 'bible', 'kjv.json');
+const TRANSLATION = 'KJV';
+
+// Common abbreviations and alternate names, keyed by the bundled book name.
+// Numbered books list only the base name; "1 ", "1st ", "First " are handled
+// in the pattern.
+const ALIASES = {
+  Genesis: ['Gen'],
+  Exodus: ['Exod', 'Ex'],
+  Leviticus: ['Lev'],
+  Numbers: ['Num'],
+  Deuteronomy: ['Deut'],
+  Joshua: ['Josh'],
+  Judges: ['Judg'],
+  Samuel: ['Sam'],
+  Kings: ['Kgs'],
+  Chronicles: ['Chron', 'Chr'],
+  Nehemiah: ['Neh'],
+  Esther: ['Esth'],
+  Psalms: ['Psalm', 'Psa', 'Ps'],
+  Proverbs: ['Prov'],
+  Ecclesiastes: ['Eccl', 'Eccles'],
+  'Song of Solomon': ['Song of Songs', 'Song'],
+  Isaiah: ['Isa'],
+  Jeremiah: ['Jer'],
+  Lamentations: ['Lam'],
+  Ezekiel: ['Ezek'],
+  Daniel: ['Dan'],
+  Hosea: ['Hos'],
+  Obadiah: ['Obad'],
+  Micah: ['Mic'],
+  Habakkuk: ['Hab'],
+  Zephaniah: ['Zeph'],
+  Haggai: ['Hag'],
+  Zechariah: ['Zech'],
+  Malachi: ['Mal'],
+  Matthew: ['Matt', 'Mt'],
+  Mark: ['Mk'],
+  Luke: ['Lk'],
+  John: ['Jn'],
+  Acts: [],
+  Romans: ['Rom'],
+  Corinthians: ['Cor'],
+  Galatians: ['Gal'],
+  Ephesians: ['Eph'],
+  Philippians: ['Phil'],
+  Colossians: ['Col'],
+  Thessalonians: ['Thess'],
+  Timothy: ['Tim'],
+  Titus: ['Tit'],
+  Philemon: ['Phlm'],
+  Hebrews: ['Heb'],
+  James: ['Jas'],
+  Peter: ['Pet'],
+  Revelation: ['Rev', 'Revelations'],
+};
+
+const ORDINALS = { 1: '1', first: '1', '1st': '1', 2: '2', second: '2', '2nd': '2', 3: '3', third: '3', '3rd': '3' };
+
+// ── Bible Data ─────────────────────────────────────────
+// 4 MB of JSON, loaded on first use so requiring the module stays cheap for
+// callers that never check a reference.
+
+let bible = null;
+
+function loadBible() {
+  if (bible) return bible;
+  const data = require(BIBLE_FILE);
+  const byName = new Map();
+  for (const book of data.books) byName.set(book.name.toLowerCase(), book);
+
+  // name/alias (lowercase, no number) -> base name, e.g. "jn" -> "john"
+  const baseNames = new Map();
+  for (const book of data.books) {
+    const base = book.name.replace(/^\d /, '');
+    baseNames.set(base.toLowerCase(), base);
+  }
+  for (const [base, aliases] of Object.entries(ALIASES)) {
+    for (const alias of aliases) baseNames.set(alias.toLowerCase(), base);
+  }
+
+  // Longest names first so "Song of Solomon" wins over "Song", "Psalms" over "Ps".
+  const names = [...baseNames.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(n => n.replace(/ /g, '\\s+'));
+  const pattern = new RegExp(
+    '\\b(?:(1|2|3|1st|2nd|3rd|first|second|third)\\s*)?' +
+    `(${names.join('|')})\\.?` +
+    '\\s+(\\d{1,3}):(\\d{1,3})' +
+    '(?:\\s*[-–—]\\s*(?:(\\d{1,3}):)?(\\d{1,3}))?\\b',
+    'gi'
+  );
+
+  bible = { books: data.books, byName, baseNames, pattern };
+  return bible;
+}
+
+// ── Parsing ────────────────────────────────────────────
+
+function toReference(match) {
+  const { byName, baseNames } = loadBible();
+  const [raw, ordinal, name, chapter, verse, endChapter, endVerse] = match;
+  const base = baseNames.get(name.toLowerCase().replace(/\s+/g, ' '));
+  const number = ordinal ? ORDINALS[ordinal.toLowerCase()] : null;
+  const book = byName.get((number ? `${number} ${base}` : base).toLowerCase());
+  // "John 3:16" matched, but "Kings 3:16" with no number is not a book.
+  if (!book) return null;
+
+  return {
+    raw,
+    index: match.index,
+    book: book.name,
+    chapter: Number(chapter),
+    verseStart: Number(verse),
+    endChapter: endChapter ? Number(endChapter) : Number(chapter),
+    verseEnd: endVerse ? Number(endVerse) : Number(verse),
+  };
+}
+
+// Every reference-shaped string in the text, in order.
+function findReferences(text) {
+  const { pattern } = loadBible();
+  pattern.lastIndex = 0;
+  return [...String(text || '').matchAll(pattern)].map(toReference).filter(Boolean);
+}
+
+function parseReference(str) {
+  return findReferences(str)[0] || null;
+}
+
+function formatReference({ book, chapter, verseStart, endChapter, verseEnd }) {
+  // "Psalms 23:1" is the book's name; "Psalm 23:1" is how people cite it.
+  const name = book === 'Psalms' ? 'Psalm' : book;
+  if (endChapter !== chapter) return `${name} ${chapter}:${verseStart}-${endChapter}:${verseEnd}`;
+  if (verseEnd !== verseStart) return `${name} ${chapter}:${verseStart}-${verseEnd}`;
+  return `${name} ${chapter}:${verseStart}`;
+}
+
+// ── Validation + Lookup ────────────────────────────────
+
+// Returns { status: 'ok' | 'fixed' | 'invalid', ref, reason }. A fixed ref has
+// its range clamped to what exists; an invalid one cannot be rescued.
+function validateReference(input) {
+  const ref = typeof input === 'string' ? parseReference(input) : input;
+  if (!ref) return { status: 'invalid', ref: null, reason: `not a reference: "${input}"` };
+
+  const { byName } = loadBible();
+  const chapters = byName.get(ref.book.toLowerCase()).chapters;
+  const label = `${ref.book} ${ref.chapter}:${ref.verseStart}`;
+
+  if (ref.chapter < 1 || ref.chapter > chapters.length) {
+    return { status: 'invalid', ref, reason: `${ref.book} has ${chapters.length} chapters, not ${ref.chapter}` };
+  }
+  const firstLength = chapters[ref.chapter - 1].length;
+  if (ref.verseStart < 1 || ref.verseStart > firstLength) {
+    return { status: 'invalid', ref, reason: `${ref.book} ${ref.chapter} has ${firstLength} verses (${label})` };
+  }
+
+  const fixed = { ...ref };
+  if (fixed.endChapter < fixed.chapter || fixed.endChapter > chapters.length) fixed.endChapter = fixed.chapter;
+  const endLength = chapters[fixed.endChapter - 1].length;
+  if (fixed.verseEnd > endLength) fixed.verseEnd = endLength;
+  if (fixed.endChapter === fixed.chapter && fixed.verseEnd < fixed.verseStart) fixed.verseEnd = fixed.verseStart;
+
+  const changed = fixed.endChapter !== ref.endChapter || fixed.verseEnd !== ref.verseEnd;
+  const canonical = formatReference(fixed);
+  return {
+    status: changed ? 'fixed' : 'ok',
+    ref: { ...fixed, canonical },
+    reason: changed ? `range trimmed to ${canonical}` : null,
+  };
+}
+
+// The verse text for a reference, or null if it does not exist.
+function lookup(input) {
+  const result = validateReference(input);
+  if (result.status === 'invalid') return null;
+  const { ref } = result;
+  const chapters = loadBible().byName.get(ref.book.toLowerCase()).chapters;
+
+  const verses = [];
+  for (let c = ref.chapter; c <= ref.endChapter; c++) {
+    const from = c === ref.chapter ? ref.verseStart : 1;
+    const to = c === ref.endChapter ? ref.verseEnd : chapters[c - 1].length;
+    for (let v = from; v <= to; v++) verses.push({ chapter: c, verse: v, text: chapters[c - 1][v - 1] });
+  }
+  return {
+    reference: ref.canonical,
+    translation: TRANSLATION,
+    verses,
+    text: verses.map(v => v.text).join(' '),
+  };
+}
+
+// ── Quotations ─────────────────────────────────────────
+
+const QUOTE_PATTERN = /[“"]([^”"]{15,}?)[”"]/g;
+// How far (in characters) a quotation may sit from its reference and still be
+// read as quoting it: `Matthew 6:33 says, "…"` or `"…" — Matthew 6:33`.
+const QUOTE_PROXIMITY = 40;
+const VERSIONS = 'KJV|NKJV|NIV|ESV|NLT|NASB|AMP|MSG|CSB|WEB';
+// A translation label right after a reference: "(NIV)" or a bare "NIV".
+const TRANSLATION_TAG = new RegExp(`^\\s*(?:\\((${VERSIONS})\\)|(${VERSIONS})\\b)`, 'i');
+
+function words(text) {
+  return String(text).toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+// Share of the quotation's words found in the verse. A faithful partial quote
+// ("seek ye first the kingdom of God") scores 1; a paraphrase from a modern
+// translation lands well under the threshold.
+function containment(quote, verseText) {
+  const verseWords = new Set(words(verseText));
+  const quoteWords = words(quote);
+  if (quoteWords.length === 0) return 1;
+  return quoteWords.filter(w => verseWords.has(w)).length / quoteWords.length;
+}
+
+// ── Whole-Text Check ───────────────────────────────────
+
+/**
+ * Validates every reference in `text`, fixes what can be fixed, and swaps
+ * misquoted verses for the real text.
+ *
+ * Options:
+ *   substitute    — replace misquotes with KJV text (default true)
+ *   maxQuoteChars — longest passage worth substituting; a misquote of a
+ *                   longer one is reported as invalid instead (default 280,
+ *                   sized for a social post; pass Infinity for long-form)
+ *   minMatch      — containment at or above this counts as a faithful quote
+ *
+ * Returns { text, references, invalid, substitutions }.
+ */
+function checkScripture(text, { substitute = true, maxQuoteChars = 280, minMatch = 0.9 } = {}) {
+  const references = findReferences(text).map(ref => ({ ...ref, ...validateReference(ref) }));
+  const invalid = references.filter(r => r.status === 'invalid').map(r => ({ raw: r.raw, reason: r.reason }));
+  const substitutions = [];
+  let output = String(text);
+
+  const quotes = substitute ? quotesByReference(String(text), references) : new Map();
+  const edits = [];
+  for (const r of references) {
+    if (r.status === 'invalid') continue;
+    const end = r.index + r.raw.length;
+
+    const quote = quotes.get(r);
+    if (quote) {
+      const passage = lookup(r.ref);
+      if (containment(quote.text, passage.text) < minMatch) {
+        if (passage.text.length > maxQuoteChars) {
+          invalid.push({ raw: r.raw, reason: `misquoted, and ${passage.reference} is too long to substitute` });
+          continue;
+        }
+        // A label straight after the quote went with the old wording; the
+        // reference carries the new one.
+        const quoteTag = text.slice(quote.end).match(TRANSLATION_TAG);
+        edits.push({ start: quote.start, end: quote.end + (quoteTag ? quoteTag[0].length : 0), replacement: `"${passage.text}"` });
+        substitutions.push({ reference: passage.reference, from: quote.text, to: passage.text });
+        // Label the translation we substituted, replacing any other label in
+        // the same form: "(NIV)" -> "(KJV)", "Matthew 6:33 NIV" -> "… KJV".
+        const tag = text.slice(end).match(TRANSLATION_TAG);
+        const label = tag && tag[2] ? ` ${TRANSLATION}` : ` (${TRANSLATION})`;
+        edits.push({ start: r.index, end: end + (tag ? tag[0].length : 0), replacement: r.ref.canonical + label });
+        continue;
+      }
+    }
+    if (r.status === 'fixed' || r.raw !== r.ref.canonical) {
+      edits.push({ start: r.index, end, replacement: r.ref.canonical });
+    }
+  }
+
+  // Apply back to front so earlier indexes stay valid as the text changes.
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    output = output.slice(0, edit.start) + edit.replacement + output.slice(edit.end);
+  }
+
+  return { text: output, references, invalid, substitutions };
+}
+
+// Pairs each quotation with the nearest reference on either side, within
+// QUOTE_PROXIMITY. Nearest wins, so in `Psalm 23:1. And 1 John 4:8 "…"` the
+// quote belongs to 1 John, not to whichever reference happens to come first.
+function quotesByReference(text, references) {
+  const pairs = new Map();
+  QUOTE_PATTERN.lastIndex = 0;
+  for (const m of text.matchAll(QUOTE_PATTERN)) {
+    const start = m.index;
+    const end = m.index + m[0].length;
+    let best = null;
+    let bestGap = Infinity;
+    for (const r of references) {
+      const refEnd = r.index + r.raw.length;
+      const gap = start >= refEnd ? start - refEnd : r.index >= end ? r.index - end : Infinity;
+      if (gap <= QUOTE_PROXIMITY && gap < bestGap) {
+        best = r;
+        bestGap = gap;
+      }
+    }
+    if (best && !pairs.has(best)) pairs.set(best, { start, end, text: m[1] });
+  }
+  return pairs;
+}
+
+// Returns the corrected text, or throws when a reference cannot be rescued —
+// inside a withRetry task that means "regenerate".
+function assertScripture(text, options) {
+  const result = checkScripture(text, options);
+  if (result.invalid.length) {
+    const detail = result.invalid.map(i => `${i.raw}: ${i.reason}`).join('; ');
+    const err = new Error(`Scripture check rejected — ${detail}`);
+    err.invalid = result.invalid;
+    throw err;
+  }
+  for (const s of result.substitutions) {
+    console.log(`  [scripture] ${s.reference}: replaced misquote with ${TRANSLATION} text`);
+  }
+  return result.text;
+}
+
+module.exports = {
+  TRANSLATION,
+  findReferences,
+  parseReference,
+  validateReference,
+  lookup,
+  checkScripture,
+  assertScripture,
+};
@@ -0,0 +1,104 @@
+/**
+ * IFM Shared — Similarity
+ *
+ * Near-duplicate detection for generated text. A model asked for "a Monday
+ * teaching post" every Monday will happily write last Monday's post again,
+ * with a few words moved. This compares new text against what already went
+ * out and throws when it is too close, so the caller's withRetry turns it into
+ * another attempt — the same contract as voice-lint and scripture.
+ *
+ * Texts are compared as sets of word n-grams (shingles). The score is the
+ * overlap coefficient, |A ∩ B| / min(|A|, |B|): a short line lifted whole out
+ * of a longer post scores 1, where Jaccard would dilute it. The archive this
+ * runs against is a few dozen posts, so the sets are compared exactly rather
+ * than estimated with MinHash signatures.
+ *
+ * Usage:
+ *   const { assertNovel } = require('ifm-shared/similarity');
+ *   assertNovel(text, [{ id: '2026-08-16 facebook', text: '…' }], { threshold: 0.5 });
+ */
+
+// Same apostrophe folding as voice-lint; punctuation and case never make two
+// sentences different.
+function words(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^a-z0-9'\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// A text shorter than n words is a single shingle of all its words, so two
+// identical short headlines still match.
+function shingles(text, n = 3) {
+  const tokens = words(text);
+  const set = new Set();
+  if (tokens.length === 0) return set;
+  if (tokens.length < n) {
+    set.add(tokens.join(' '));
+    return set;
+  }
+  for (let i = 0; i <= tokens.length - n; i++) {
+    set.add(tokens.slice(i, i + n).join(' '));
+  }
+  return set;
+}
+
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const s of small) if (large.has(s)) shared++;
+  return shared / small.size;
+}
+
+function similarity(a, b, n = 3) {
+  return overlap(shingles(a, n), shingles(b, n));
+}
+
+// First sentence (or line) of a post — the part people actually read in the
+// feed, and the part a model most often repeats.
+function openingLine(text) {
+  const trimmed = String(text || '').trim();
+  const line = trimmed.split('\n')[0];
+  const sentence = line.match(/^[^.!?]+[.!?]*/);
+  return (sentence ? sentence[0] : line).trim();
+}
+
+// Every entry in `corpus` ({ id, text }) scoring at or above the threshold,
+// closest first. Texts under `minWords` words on either side are never a
+// match: "Family." opening two prayer posts is a greeting, not a repeat, and a
+// two-word line is contained in almost anything.
+function findNearDuplicates(text, corpus = [], { threshold = 0.5, n = 3, minWords = 0 } = {}) {
+  if (words(text).length < minWords) return [];
+  const target = shingles(text, n);
+  return corpus
+    .filter(entry => entry && entry.text && words(entry.text).length >= minWords)
+    .map(entry => ({ id: entry.id, text: entry.text, score: overlap(target, shingles(entry.text, n)) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+// `label` names what was checked ("post", "opening line", "headline") so the
+// retry log says which part repeated.
+function assertNovel(text, corpus, { label = 'text', ...options } = {}) {
+  const duplicates = findNearDuplicates(text, corpus, options);
+  if (duplicates.length) {
+    const closest = duplicates[0];
+    const err = new Error(
+      `Similarity check rejected — ${label} is ${Math.round(closest.score * 100)}% the same as ${closest.id}`
+    );
+    err.duplicates = duplicates;
+    throw err;
+  }
+  return text;
+}
+
+module.exports = {
+  shingles,
+  similarity,
+  openingLine,
+  findNearDuplicates,
+  assertNovel,
+};
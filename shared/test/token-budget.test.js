@@ -0,0 +1,137 @@
+/**
+ * The token-budget scheduler (token-budget.js), on mocked timers: each test
+ * steps the rolling window by hand instead of waiting on it.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTokenScheduler, estimateTokens } = require('../token-budget');
+const { callChatAPI } = require('../ai-client');
+
+const WINDOW = 1000;
+const PROVIDER = { name: 'Test', url: 'https://ai.test/chat', tokensPerMinute: 100 };
+
+// A scheduler with a 100-token window of WINDOW ms and no headroom, and a
+// log of which acquire() calls have been granted so far.
+function setup(t) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const scheduler = createTokenScheduler({ windowMs: WINDOW, headroom: 1 });
+  const granted = [];
+  const acquire = (name, tokens) => scheduler.acquire(PROVIDER, 'model', tokens).then((ticket) => {
+    granted.push(name);
+    return ticket;
+  });
+  return { scheduler, granted, acquire };
+}
+
+// Grants resolve promises; let their callbacks run.
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function advance(t, ms) {
+  t.mock.timers.tick(ms);
+  await settle();
+}
+
+test('estimateTokens charges the prompt plus the whole requested completion', () => {
+  const estimate = estimateTokens({ messages: [{ content: 'x'.repeat(40) }, { content: 'y'.repeat(8) }], maxTokens: 300 });
+  assert.deepStrictEqual(estimate, { prompt: 10 + 2 + 2 * 4, completion: 300, total: 320 });
+});
+
+test('a provider without tokensPerMinute is never held', async (t) => {
+  const { scheduler } = setup(t);
+  const unlimited = { name: 'Open', url: 'https://open.test/chat' };
+  assert.strictEqual(await scheduler.acquire(unlimited, 'model', 1e6), null);
+  assert.strictEqual(scheduler.waitMs(unlimited, 'model', 1e6), 0);
+});
+
+test('a call that fits goes ahead of a larger one waiting for room', async (t) => {
+  const { granted, acquire } = setup(t);
+  acquire('first', 60);
+  acquire('large', 50);
+  acquire('small', 30);
+  await settle();
+  assert.deepStrictEqual(granted, ['first', 'small']);
+
+  // Both charges age out together; then the large one has room.
+  await advance(t, WINDOW - 1);
+  assert.deepStrictEqual(granted, ['first', 'small']);
+  await advance(t, 1);
+  assert.deepStrictEqual(granted, ['first', 'small', 'large']);
+});
+
+test('a request bigger than the whole budget still goes, alone, on an empty window', async (t) => {
+  const { granted, acquire } = setup(t);
+  acquire('small', 10);
+  acquire('huge', 500);
+  await settle();
+  assert.deepStrictEqual(granted, ['small']);
+  await advance(t, WINDOW);
+  assert.deepStrictEqual(granted, ['small', 'huge']);
+});
+
+test('once a call has waited a full window, nothing jumps it again', async (t) => {
+  const { granted, acquire } = setup(t);
+  acquire('a', 50);
+  acquire('large', 80);
+  await settle();
+  await advance(t, WINDOW / 2);
+  acquire('b', 50);
+  await settle();
+  assert.deepStrictEqual(granted, ['a', 'b']);
+
+  // "a" ages out: 50 used, so "late" (40) would fit, but "large" has waited
+  // a whole window and is owed the next opening.
+  await advance(t, WINDOW / 2);
+  acquire('late', 40);
+  await settle();
+  assert.deepStrictEqual(granted, ['a', 'b']);
+
+  await advance(t, WINDOW / 2);
+  assert.deepStrictEqual(granted, ['a', 'b', 'large']);
+});
+
+test('settle replaces the prompt estimate with the provider count', async (t) => {
+  const { scheduler, acquire } = setup(t);
+  const ticket = await acquire('call', 90);
+  scheduler.settle(ticket, { prompt_tokens: 5, completion_tokens: 3 }, 10);
+  assert.strictEqual(scheduler.waitMs(PROVIDER, 'model', 85), 0);
+  assert.ok(scheduler.waitMs(PROVIDER, 'model', 86) > 0);
+});
+
+test('release takes a failed call off the window and grants what it held up', async (t) => {
+  const { scheduler, granted, acquire } = setup(t);
+  const ticket = await acquire('failed', 80);
+  acquire('waiting', 50);
+  await settle();
+  assert.deepStrictEqual(granted, ['failed']);
+
+  scheduler.release(ticket);
+  await settle();
+  assert.deepStrictEqual(granted, ['failed', 'waiting']);
+});
+
+test('block holds the bucket until the retry-after passes', async (t) => {
+  const { scheduler, granted, acquire } = setup(t);
+  scheduler.block(PROVIDER, 'model', 300);
+  acquire('call', 10);
+  await settle();
+  assert.deepStrictEqual(granted, []);
+  await advance(t, 300);
+  assert.deepStrictEqual(granted, ['call']);
+});
+
+test('callChatAPI gives back the reservation of a request the provider refused', async (t) => {
+  const { scheduler } = setup(t);
+  t.mock.method(global, 'fetch', async () => new Response('overloaded', { status: 503 }));
+  process.env.TEST_AI_KEY = 'key';
+  t.after(() => delete process.env.TEST_AI_KEY);
+
+  await assert.rejects(callChatAPI({
+    messages: [{ role: 'user', content: 'hello' }],
+    maxTokens: 80,
+    providers: [{ ...PROVIDER, envVar: 'TEST_AI_KEY', model: 'model' }],
+    scheduler,
+  }), /All AI providers failed/);
+  assert.strictEqual(scheduler.waitMs(PROVIDER, 'model', 100), 0);
+});
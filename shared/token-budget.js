@@ -0,0 +1,188 @@
+/**
+ * IFM Shared — Token-Budget Scheduler
+ *
+ * Keeps a run's AI calls under each provider's tokens-per-minute limit on its
+ * own, instead of by hand-tuned sleeps and trimmed prompts. Every request is
+ * estimated up front (prompt + requested completion), charged against a
+ * rolling window for the provider/model it goes to, and held until that
+ * window has room. When several calls are waiting, any that fit go ahead of
+ * a larger one that does not — so a 250-token pull quote never sits behind a
+ * 4,000-token newsletter section.
+ *
+ * Providers opt in by setting `tokensPerMinute` in their config entry. One
+ * without it (e.g. OpenRouter, which limits requests rather than tokens) is
+ * never held.
+ *
+ * Usage (normally through ifm-shared/ai-client, not directly):
+ *   const scheduler = createTokenScheduler({ headroom: 0.9 });
+ *   const tokens = scheduler.estimate({ messages, maxTokens });
+ *   const ticket = await scheduler.acquire(provider, model, tokens);
+ *   ... make the call ...
+ *   scheduler.settle(ticket, data.usage, maxTokens);  // or, if it failed:
+ *   scheduler.release(ticket);
+ */
+
+// Rough but safe for English prose on Llama tokenizers (~4 chars/token), plus
+// a few tokens of chat framing per message. The estimate only has to be close
+// enough to stay under the limit; settle() corrects it from real usage.
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+function estimateTokens({ messages = [], maxTokens = 0 }, charsPerToken = 4) {
+  const promptChars = messages.reduce((sum, m) => sum + String(m.content || '').length, 0);
+  const prompt = Math.ceil(promptChars / charsPerToken) + messages.length * MESSAGE_OVERHEAD_TOKENS;
+  // Groq counts REQUESTED output against the per-minute budget, not what the
+  // model actually returned, so the full max_tokens is charged up front.
+  return { prompt, completion: maxTokens || 0, total: prompt + (maxTokens || 0) };
+}
+
+function createTokenScheduler({
+  windowMs = 60000,
+  // Fraction of the published limit we plan against. The estimate is an
+  // estimate; leaving 10% spare absorbs the error instead of a 429.
+  headroom = 0.9,
+  charsPerToken = 4,
+} = {}) {
+  // Limits are per model per account, so the bucket key is endpoint + model —
+  // the two Groq chain entries share a key but not a bucket.
+  const buckets = new Map();
+
+  function bucketFor(provider, model) {
+    const key = `${provider.url}|${model}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        name: provider.name,
+        limit: provider.tokensPerMinute ? provider.tokensPerMinute * headroom : null,
+        entries: [], // { at, tokens } charged inside the current window
+        queue: [], // waiting acquire() calls, in arrival order
+        blockedUntil: 0,
+        timer: null,
+      });
+    }
+    return buckets.get(key);
+  }
+
+  function prune(bucket, now) {
+    bucket.entries = bucket.entries.filter(e => now - e.at < windowMs);
+  }
+
+  function used(bucket) {
+    return bucket.entries.reduce((sum, e) => sum + e.tokens, 0);
+  }
+
+  function fits(bucket, tokens, now) {
+    if (now < bucket.blockedUntil) return false;
+    const spent = used(bucket);
+    // A single request larger than the whole budget can still go — alone, on
+    // an empty window — rather than waiting forever.
+    return spent + tokens <= bucket.limit || (spent === 0 && tokens > bucket.limit);
+  }
+
+  // How long until `tokens` would fit, assuming nothing else is queued.
+  function msUntilFits(bucket, tokens, now) {
+    prune(bucket, now);
+    let wait = Math.max(0, bucket.blockedUntil - now);
+    let spent = used(bucket);
+    for (const entry of bucket.entries) {
+      if (spent + tokens <= bucket.limit || spent === 0) break;
+      spent -= entry.tokens;
+      wait = Math.max(wait, entry.at + windowMs - now);
+    }
+    return wait;
+  }
+
+  function grant(bucket, waiter, now) {
+    const entry = { at: now, tokens: waiter.tokens };
+    bucket.entries.push(entry);
+    waiter.resolve({ bucket, entry });
+  }
+
+  function pump(bucket) {
+    bucket.timer = null;
+    const now = Date.now();
+    prune(bucket, now);
+
+    // Grant everything that fits, in arrival order. A waiter that does not fit
+    // is passed over (not dropped) so smaller calls behind it can run now —
+    // unless it has already waited a full window, at which point nothing
+    // jumps it again and it gets the next opening.
+    const remaining = [];
+    let starved = false;
+    for (const waiter of bucket.queue) {
+      if (!starved && fits(bucket, waiter.tokens, now)) {
+        grant(bucket, waiter, now);
+      } else {
+        remaining.push(waiter);
+        if (now - waiter.queuedAt >= windowMs) starved = true;
+      }
+    }
+    bucket.queue = remaining;
+
+    if (bucket.queue.length > 0) {
+      const next = Math.min(...bucket.queue.map(w => msUntilFits(bucket, w.tokens, now)));
+      bucket.timer = setTimeout(() => pump(bucket), Math.max(next, 50));
+    }
+  }
+
+  return {
+    estimate: (request) => estimateTokens(request, charsPerToken).total,
+
+    // Zero when the provider could take `tokens` right now. Used by the
+    // client to prefer a provider with room over one it would wait on.
+    waitMs(provider, model, tokens) {
+      const bucket = bucketFor(provider, model);
+      if (bucket.limit === null) return 0;
+      if (bucket.queue.length > 0) return Math.max(1, msUntilFits(bucket, tokens, Date.now()));
+      return msUntilFits(bucket, tokens, Date.now());
+    },
+
+    // Resolves with a ticket once the request has been charged to the window.
+    acquire(provider, model, tokens) {
+      const bucket = bucketFor(provider, model);
+      if (bucket.limit === null) return Promise.resolve(null);
+
+      return new Promise((resolve) => {
+        const now = Date.now();
+        const waiter = { tokens, resolve, queuedAt: now };
+        bucket.queue.push(waiter);
+        // Pump now rather than waiting for the pending timer: a small call may
+        // fit beside whatever is already queued.
+        clearTimeout(bucket.timer);
+        pump(bucket);
+        if (bucket.queue.includes(waiter)) {
+          const wait = msUntilFits(bucket, tokens, now);
+          console.warn(`  [budget] ${bucket.name}: holding ~${tokens} tokens (${Math.round(used(bucket))}/${Math.round(bucket.limit)} used), ~${Math.ceil(wait / 1000)}s`);
+        }
+      });
+    },
+
+    // Replace the prompt estimate with the provider's own count. The
+    // requested completion stays charged in full (see estimateTokens).
+    settle(ticket, usage, maxTokens = 0) {
+      if (!ticket || !usage || !Number.isFinite(usage.prompt_tokens)) return;
+      ticket.entry.tokens = usage.prompt_tokens + Math.max(maxTokens, usage.completion_tokens || 0);
+    },
+
+    // Take back the charge for a request the provider never ran, and let
+    // whatever it was holding up try again.
+    release(ticket) {
+      if (!ticket) return;
+      const { bucket, entry } = ticket;
+      bucket.entries = bucket.entries.filter(e => e !== entry);
+      if (bucket.queue.length > 0) {
+        clearTimeout(bucket.timer);
+        pump(bucket);
+      }
+    },
+
+    // A 429 means our picture of the window is wrong (another job sharing the
+    // key, or a bad estimate). Trust the provider: hold everything for this
+    // bucket until its retry-after passes.
+    block(provider, model, ms) {
+      const bucket = bucketFor(provider, model);
+      if (bucket.limit === null || !ms) return;
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+    },
+  };
+}
+
+module.exports = { createTokenScheduler, estimateTokens };
@@ -0,0 +1,134 @@
+/**
+ * IFM Shared — Voice Lint
+ *
+ * The brand voice rules are written into every prompt, but a rule in a prompt
+ * is a request. This is the check that runs on what actually came back: every
+ * generator (daily posts, website ad, newsletter sections) passes its output
+ * through here and throws on a violation, so the caller's withRetry turns it
+ * into another attempt.
+ *
+ * Rules come from each agent's config (`voice` block), so the ad can ban
+ * marketing words the newsletter legitimately uses:
+ *
+ *   voice: {
+ *     bannedPhrases: [...BRAND_BANNED_PHRASES, 'limited time offer'],
+ *     emoji: false,          // default for every text this agent lints
+ *   }
+ *
+ * Per-call options add what depends on the text itself:
+ *   { maxLength: 500, emoji: true, titleCase: true, ignore: ['length'] }
+ *
+ *   titleCase — the text is a headline; reject it if it reads as Title Case
+ *   ignore    — rule names to let through this time (see RULES)
+ *
+ * Usage:
+ *   const { assertVoice } = require('ifm-shared/voice-lint');
+ *   assertVoice(text, config.voice, { maxLength: 500 });  // throws on violation
+ */
+
+const RULES = ['banned-phrase', 'title-case', 'emoji', 'length'];
+
+// The NEVER list from the brand voice rules, for every agent. An agent's
+// config.voice adds its own on top (the ad bans marketing words too).
+const BRAND_BANNED_PHRASES = Object.freeze([
+  'smash the like button',
+  'in these uncertain times',
+  'more than ever',
+  'i just want to encourage you',
+  'let me know in the comments',
+]);
+
+// Same ranges the graphic renderers strip (their fonts have no emoji glyphs).
+const EMOJI_REGEX = /[\u{1F000}-\u{1FFFF}\u{2600}-\u{27BF}\u{2300}-\u{23FF}\u{2B00}-\u{2BFF}]/gu;
+
+// Models mix straight and curly apostrophes freely; "don’t miss" must still
+// match "don't miss".
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ');
+}
+
+// Substring match on purpose: 'game-chang' catches game-changer and
+// game-changing alike.
+function findBannedPhrases(text, phrases = []) {
+  const haystack = normalize(text);
+  return phrases.filter(phrase => haystack.includes(normalize(phrase)));
+}
+
+// Title Case reads as advertising; sentence case reads as speech. Flag a
+// headline where most words are capitalized.
+function looksTitleCased(line) {
+  const words = String(line || '').split(/\s+/).filter(w => /^[A-Za-z]/.test(w));
+  if (words.length < 4) return false;
+  const capped = words.filter(w => /^[A-Z]/.test(w)).length;
+  return capped / words.length > 0.7;
+}
+
+function findEmoji(text) {
+  return [...new Set(String(text || '').match(EMOJI_REGEX) || [])];
+}
+
+// Returns a list of { rule, message }. Empty means the text passed.
+function lintVoice(text, rules = {}, options = {}) {
+  const ignore = new Set(options.ignore || []);
+  const allowEmoji = options.emoji ?? rules.emoji ?? true;
+  const violations = [];
+
+  for (const phrase of findBannedPhrases(text, rules.bannedPhrases)) {
+    violations.push({ rule: 'banned-phrase', message: `banned phrase "${phrase}"` });
+  }
+  if (options.titleCase && looksTitleCased(text)) {
+    violations.push({ rule: 'title-case', message: `Title Case headline "${text}"` });
+  }
+  if (!allowEmoji) {
+    const emoji = findEmoji(text);
+    if (emoji.length) violations.push({ rule: 'emoji', message: `emoji ${emoji.join(' ')}` });
+  }
+  if (options.maxLength && text.length > options.maxLength) {
+    violations.push({ rule: 'length', message: `${text.length} chars (max ${options.maxLength})` });
+  }
+
+  return violations.filter(v => !ignore.has(v.rule));
+}
+
+// Lints several named fields (e.g. an ad's headline/subhead/hook/body), each
+// with its own options. Violations carry the field name.
+function lintVoiceFields(fields, rules = {}, fieldOptions = {}) {
+  return Object.entries(fieldOptions).flatMap(([field, options]) =>
+    lintVoice(fields[field] || '', rules, options).map(v => ({ ...v, field }))
+  );
+}
+
+function voiceError(violations) {
+  const detail = violations
+    .map(v => (v.field ? `${v.field}: ${v.message}` : v.message))
+    .join('; ');
+  const err = new Error(`Voice lint rejected — ${detail}`);
+  err.violations = violations;
+  return err;
+}
+
+function assertVoice(text, rules, options) {
+  const violations = lintVoice(text, rules, options);
+  if (violations.length) throw voiceError(violations);
+  return text;
+}
+
+function assertVoiceFields(fields, rules, fieldOptions) {
+  const violations = lintVoiceFields(fields, rules, fieldOptions);
+  if (violations.length) throw voiceError(violations);
+  return fields;
+}
+
+module.exports = {
+  RULES,
+  BRAND_BANNED_PHRASES,
+  lintVoice,
+  lintVoiceFields,
+  assertVoice,
+  assertVoiceFields,
+  findBannedPhrases,
+  looksTitleCased,
+};
@@ -10,6 +10,8 @@
  * page so the ad never repeats itself and every part of the site gets traffic.
  */
 
+const fs = require('fs');
+const path = require('path');
 const brand = require('./config');
 
 // Angle notes are written FOR the model, not for the reader. They describe the
@@ -124,12 +126,65 @@ const dailyAds = {
   },
 };
 
+// A/B winners promoted by `node ad-variants.js --promote` replace the
+// hand-written fallback for their weekday. Deleting content/ad-fallbacks.json
+// (or one day from it) restores the copy above.
+function applyPromotedFallbacks(ads) {
+  const file = path.join(__dirname, '..', 'content', 'ad-fallbacks.json');
+  if (!fs.existsSync(file)) return;
+  let promoted;
+  try {
+    promoted = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    // A bad hand edit must not take down every script that loads this file.
+    console.warn(`[ad-config] content/ad-fallbacks.json is unreadable (${e.message}) — using the built-in fallback copy`);
+    return;
+  }
+  for (const [day, copy] of Object.entries(promoted)) {
+    if (!ads[day]) continue;
+    const { headline, subhead, hook, body } = copy;
+    ads[day].fallback = { headline, subhead, hook, body };
+  }
+}
+
+applyPromotedFallbacks(dailyAds);
+
+// The prompt asks the model to avoid consumer-marketing register; ad.js
+// enforces it through ifm-shared/voice-lint. A hit throws, which the retry
+// turns into another attempt, and a total failure falls through to the day's
+// static copy. Rules in a prompt are a request — this is the guarantee.
+const MARKETING_TERMS = [
+  'unleash', 'kickstart', 'kick-start', 'supercharge', 'ignite', 'elevate',
+  'empower', 'transform', 'life-changing', 'life changing', 'game-chang',
+  'instant access', 'dive in', 'level up', 'next level', 'unlock',
+  'fuel your', 'start strong', "don't miss", 'do not miss', 'act now',
+  'tap into', 'incredible', 'amazing', 'powerful',
+];
+
 module.exports = {
   ministry: brand.ministry,
   brandVoice: brand.brandVoice,
   hashtags: brand.hashtags,
   ai: brand.ai,
 
+  // Brand-wide banned phrases plus the marketing words above. Emoji are
+  // barred per field in ad.js, only where the graphic draws the text.
+  voice: {
+    bannedPhrases: [...brand.voice.bannedPhrases, ...MARKETING_TERMS],
+  },
+
+  // Headlines are checked against the last few weeks of content/ad-archive
+  // with the brand-wide settings; a headline is one short line, so it is
+  // compared as word pairs.
+  novelty: brand.novelty,
+
+  // Whether the ad graphic carries a QR code to the day's page (qr.js).
+  qr: brand.qr,
+
+  // The ad only goes to Facebook, so it is rendered in the sizes Facebook
+  // needs (see formats.js).
+  graphicFormats: brand.platforms.facebook.graphicFormats,
+
   dailyAds,
 
   copy: {
@@ -141,9 +196,36 @@ module.exports = {
     // The Facebook caption body (excludes hook, link line, and hashtags).
     bodyMaxChars: 320,
     hashtagCount: 3,
-    // Higher than the teaching post's retry count because the register guard
-    // in ad.js rejects on tone, not just on malformed output. A rejection is
-    // an ordinary event here, not an error.
+    // Higher than the teaching post's retry count because the voice lint
+    // rejects on tone, not just on malformed output. A rejection is an
+    // ordinary event here, not an error.
     maxAttempts: 5,
   },
+
+  // A/B copy variants (see ad-variants.js). Occurrences of the same weekday
+  // alternate through this list; the approach is added to the prompt on top
+  // of the day's angle, so both variants aim at the same reader and page and
+  // differ only in how they make the case.
+  copyVariants: [
+    {
+      id: 'A',
+      approach: 'Name the condition. Open on something true about the reader\'s life that they have ' +
+        'not said out loud; the page is where that gets dealt with.',
+    },
+    {
+      id: 'B',
+      approach: 'State the offer plainly. Open on what is actually on the page and what it asks of ' +
+        'the reader (usually nothing); let the fact do the persuading.',
+    },
+  ],
+
+  // When ad-variants.js may call a winner. `metric` is the default --by:
+  // 'ctr' (link clicks ÷ reach) or 'engagement'. Each variant needs
+  // `minRuns` scored runs on that weekday, and the leader must beat the
+  // runner-up by `minLift` (0.15 = 15%).
+  variantTest: {
+    metric: 'ctr',
+    minRuns: 3,
+    minLift: 0.15,
+  },
 };
@@ -0,0 +1,182 @@
+/**
+ * IFM Website Ad Agent — Copy Variants (A/B)
+ *
+ * Each weekday's ad alternates between the copy variants in
+ * ad-config.copyVariants: this Tuesday is A, next Tuesday B, the one after A
+ * again. ad.js asks variantFor() which one today is, writes that approach
+ * into the prompt, and records the variant id in content/ad-archive. Calendar
+ * days (Easter, First Saturday…) are not part of the test and carry no variant.
+ *
+ * This file is also the comparison command. It joins the archive with the
+ * engagement snapshots metrics.js records (content/ad-metrics), scores each
+ * variant per weekday, and with --promote writes the winning variant's best
+ * copy into content/ad-fallbacks.json, where it replaces that day's static
+ * fallback in ad-config.js.
+ *
+ * Usage:
+ *   node ad-variants.js                    — Compare every weekday
+ *   node ad-variants.js --day 2            — One weekday (0=Sun … 6=Sat)
+ *   node ad-variants.js --by engagement    — Score by engagement instead of
+ *                                            click-through (the default)
+ *   node ad-variants.js --promote          — Write winners to ad-fallbacks.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const adConfig = require('./ad-config');
+
+const ROOT = path.join(__dirname, '..');
+const AD_ARCHIVE_DIR = path.join(ROOT, 'content', 'ad-archive');
+const AD_METRICS_DIR = path.join(ROOT, 'content', 'ad-metrics');
+const FALLBACKS_FILE = path.join(ROOT, 'content', 'ad-fallbacks.json');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// ── Variant Assignment ─────────────────────────────────
+// Same weekday, seven days apart, so the week count since the epoch steps by
+// exactly one between occurrences — alternation with no state to keep.
+
+function variantFor(date, variants) {
+  if (!variants || !variants.length) return null;
+  const week = Math.floor(Date.parse(`${date}T12:00:00Z`) / (7 * 86400000));
+  return variants[week % variants.length];
+}
+
+// ── Promoted Fallbacks ─────────────────────────────────
+// content/ad-fallbacks.json, keyed by weekday (ad-config.js reads it):
+//   { "2": { "headline": "…", "subhead": "…", "hook": "…", "body": "…",
+//            "variant": "B", "from": "2026-09-15", "promotedAt": "…" } }
+
+function readFallbacks() {
+  if (!fs.existsSync(FALLBACKS_FILE)) return {};
+  return JSON.parse(fs.readFileSync(FALLBACKS_FILE, 'utf-8'));
+}
+
+function promoteFallback(day, run) {
+  const fallbacks = readFallbacks();
+  fallbacks[day] = {
+    ...run.copy,
+    variant: run.variant,
+    from: run.date,
+    promotedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(FALLBACKS_FILE, JSON.stringify(fallbacks, null, 2) + '\n');
+}
+
+// ── Comparison ─────────────────────────────────────────
+
+function readJSON(file, fallback = null) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Click-through is link clicks over reach; engagement is reactions + comments
+// + shares. A run whose metric is unknown (no snapshot yet, no insights
+// permission) scores null and is left out.
+const SCORERS = {
+  ctr: s => (typeof s.clicks === 'number' && s.reach > 0 ? s.clicks / s.reach : null),
+  engagement: s => (s.reactions || 0) + (s.comments || 0) + (s.shares || 0),
+};
+
+// Every real, AI-written, weekday-rotation ad with a variant and a snapshot.
+function loadRuns(scorer) {
+  if (!fs.existsSync(AD_ARCHIVE_DIR)) return [];
+  return fs.readdirSync(AD_ARCHIVE_DIR)
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map(name => {
+      const archive = readJSON(path.join(AD_ARCHIVE_DIR, name));
+      if (!archive || !archive.variant || archive.usedFallback || archive.testMode) return null;
+      if (!archive.postingResult || !archive.postingResult.success) return null;
+      const entry = readJSON(path.join(AD_METRICS_DIR, name), { items: {} }).items.facebook;
+      const snapshot = entry && entry.snapshots[entry.snapshots.length - 1];
+      const score = snapshot ? scorer(snapshot) : null;
+      if (score == null) return null;
+      return { date: archive.date, day: archive.day, variant: archive.variant, copy: archive.copy, score };
+    })
+    .filter(Boolean);
+}
+
+// A winner needs every variant to have at least `minRuns` scored runs and to
+// lead the runner-up by `minLift` (relative). Anything less is "keep testing".
+function compareDay(runs, { minRuns, minLift }) {
+  const byVariant = new Map();
+  for (const run of runs) {
+    if (!byVariant.has(run.variant)) byVariant.set(run.variant, []);
+    byVariant.get(run.variant).push(run);
+  }
+
+  const standings = [...byVariant.entries()]
+    .map(([variant, items]) => ({
+      variant,
+      runs: items.length,
+      mean: items.reduce((sum, r) => sum + r.score, 0) / items.length,
+      best: items.reduce((a, b) => (b.score > a.score ? b : a)),
+    }))
+    .sort((a, b) => b.mean - a.mean);
+
+  if (standings.length < 2) return { standings, winner: null, reason: 'only one variant has data' };
+  const short = standings.filter(s => s.runs < minRuns);
+  if (short.length) {
+    return { standings, winner: null, reason: `needs ${minRuns} runs per variant (${short.map(s => `${s.variant}: ${s.runs}`).join(', ')})` };
+  }
+  const [first, second] = standings;
+  const lift = second.mean > 0 ? (first.mean - second.mean) / second.mean : Infinity;
+  if (lift < minLift) {
+    return { standings, winner: null, reason: `lead of ${(lift * 100).toFixed(0)}% is under ${(minLift * 100).toFixed(0)}%` };
+  }
+  return { standings, winner: first, lift };
+}
+
+function formatScore(score, by) {
+  return by === 'ctr' ? `${(score * 100).toFixed(2)}% CTR` : `${score.toFixed(1)} engagement`;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const dayIndex = args.indexOf('--day');
+  const byIndex = args.indexOf('--by');
+  const by = byIndex !== -1 ? args[byIndex + 1] : adConfig.variantTest.metric;
+  const promote = args.includes('--promote');
+
+  if (!SCORERS[by]) {
+    console.error(`Unknown --by "${by}" (use ${Object.keys(SCORERS).join(' or ')})`);
+    process.exit(1);
+  }
+
+  const days = dayIndex !== -1 ? [parseInt(args[dayIndex + 1], 10)] : [0, 1, 2, 3, 4, 5, 6];
+  const runs = loadRuns(SCORERS[by]);
+
+  console.log(`\nAd copy variants — scored by ${by}${promote ? ' (promoting winners)' : ''}\n`);
+
+  for (const day of days) {
+    const result = compareDay(runs.filter(r => r.day === day), adConfig.variantTest);
+    console.log(`${DAY_NAMES[day]} (${adConfig.dailyAds[day].label})`);
+    if (!result.standings.length) {
+      console.log('  no scored runs yet\n');
+      continue;
+    }
+    for (const s of result.standings) {
+      console.log(`  ${s.variant}: ${formatScore(s.mean, by)} over ${s.runs} run(s) — best ${s.best.date}: "${s.best.copy.headline}"`);
+    }
+
+    if (!result.winner) {
+      console.log(`  → no winner: ${result.reason}\n`);
+      continue;
+    }
+    const lift = Number.isFinite(result.lift) ? `+${(result.lift * 100).toFixed(0)}%` : 'runner-up scored 0';
+    console.log(`  → winner: ${result.winner.variant} (${lift})`);
+    if (promote) {
+      promoteFallback(day, result.winner.best);
+      console.log(`  → fallback for ${DAY_NAMES[day]} is now the ${result.winner.best.date} copy`);
+    }
+    console.log('');
+  }
+
+  if (promote) console.log(`Promoted fallbacks are in ${path.relative(ROOT, FALLBACKS_FILE)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, variantFor, compareDay };
@@ -10,8 +10,11 @@
  *   node ad.js                 — Generate, render, post
  *   node ad.js --preview       — Generate + render only, nothing saved or posted
  *   node ad.js --test          — Generate + render + archive, but do not post
- *   node ad.js --day 2         — Force a weekday (0=Sun … 6=Sat)
+ *   node ad.js --day 2         — Force a weekday (0=Sun … 6=Sat), skipping the calendar
+ *   node ad.js --date 2027-03-28 — Run for a date (content calendar applies)
  *   node ad.js --fallback      — Skip the AI entirely, use static copy
+ *   node ad.js --variant B     — Force a copy variant instead of the weekly
+ *                                A/B alternation (see ad-variants.js)
  *
  * Required environment variables:
  *   GROQ_API_KEY          — primary copy generator
@@ -30,10 +33,22 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 
+const { createChatClient, extractJSON } = require('ifm-shared/ai-client');
+const { assertVoiceFields } = require('ifm-shared/voice-lint');
+const { assertNovel } = require('ifm-shared/similarity');
 const adConfig = require('./ad-config');
 const { renderAdGraphic } = require('./ad-graphic');
-const { callChatAPI, sanitizeForGraphic } = require('./index');
+const { pickTemplate } = require('./template-renderer');
+const { qrLink } = require('./qr');
+const { formatsFor, formatPath } = require('./formats');
+const { resolveForDate, isDateString, weekdayOf } = require('./calendar');
+const { sanitizeForGraphic } = require('./index');
 const { postToFacebook } = require('./poster');
+const { loadRecentAdHeadlines } = require('./recent');
+const { variantFor } = require('./ad-variants');
+const { trackedLink } = require('ifm-shared/links');
+
+const ai = createChatClient(adConfig.ai);
 
 // ── Helpers ────────────────────────────────────────────
 
@@ -59,50 +74,12 @@ function clamp(text, maxChars) {
   return (lastSpace > maxChars * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[,;:\-—]$/, '') + '.';
 }
 
-// Small models routinely wrap JSON in prose or markdown fences. Pull out the
-// outermost object rather than trusting the response to be clean.
-function extractJSON(raw) {
-  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
-  const candidate = fenced ? fenced[1] : raw;
-  const start = candidate.indexOf('{');
-  const end = candidate.lastIndexOf('}');
-  if (start === -1 || end === -1 || end <= start) {
-    throw new Error('No JSON object found in model response');
-  }
-  return JSON.parse(candidate.slice(start, end + 1));
-}
-
 // ── Copy Generation ────────────────────────────────────
 
-// The prompt asks the model to avoid consumer-marketing register; this is the
-// enforcement. A hit here throws, which generateWithRetry turns into another
-// attempt, and a total failure falls through to the day's static copy. Rules in
-// a prompt are a request — this is the guarantee.
-const BANNED_TERMS = [
-  'unleash', 'kickstart', 'kick-start', 'supercharge', 'ignite', 'elevate',
-  'empower', 'transform', 'life-changing', 'life changing', 'game-chang',
-  'instant access', 'dive in', 'level up', 'next level', 'unlock',
-  'fuel your', 'start strong', "don't miss", 'do not miss', 'act now',
-  'tap into', 'incredible', 'amazing', 'powerful',
-];
-
-function findBannedTerms(copy) {
-  const haystack = [copy.headline, copy.subhead, copy.hook, copy.body]
-    .join(' ')
-    .toLowerCase();
-  return BANNED_TERMS.filter(term => haystack.includes(term));
-}
-
-// Title Case reads as advertising; sentence case reads as speech. Flag a
-// headline where most words are capitalized.
-function looksTitleCased(headline) {
-  const words = headline.split(/\s+/).filter(w => /^[A-Za-z]/.test(w));
-  if (words.length < 4) return false;
-  const capped = words.filter(w => /^[A-Z]/.test(w)).length;
-  return capped / words.length > 0.7;
-}
-
-async function generateAdCopy(ad) {
+// `recentHeadlines` ({ id, text }, from recent.js) are listed in the prompt
+// and a headline too close to one of them is rejected. `variant` is today's
+// A/B copy variant from ad-config.copyVariants, or null on calendar days.
+async function generateAdCopy(ad, recentHeadlines = [], variant = null) {
   const { headlineMaxChars, subheadMaxChars, bodyMaxChars } = adConfig.copy;
 
   const systemPrompt = [
@@ -159,11 +136,17 @@ async function generateAdCopy(ad) {
     `Button text already on the image: ${ad.button}`,
     '',
     `The angle for this ad:\n${ad.angle}`,
+    ...(variant ? ['', `How to make the case:\n${variant.approach}`] : []),
+    ...(recentHeadlines.length ? [
+      '',
+      'Recent headlines — do not repeat or rephrase any of these:',
+      ...recentHeadlines.map(h => `- ${h.text}`),
+    ] : []),
     '',
     'Write the JSON now.',
   ].join('\n');
 
-  const raw = await callChatAPI({
+  const raw = await ai.callChatAPI({
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt },
@@ -183,13 +166,21 @@ async function generateAdCopy(ad) {
     }
   }
 
-  const banned = findBannedTerms(parsed);
-  if (banned.length) {
-    throw new Error(`Marketing register rejected — banned terms: ${banned.join(', ')}`);
-  }
-  if (looksTitleCased(parsed.headline)) {
-    throw new Error(`Headline is Title Cased: "${parsed.headline}"`);
-  }
+  // Marketing register, Title Case, emoji, and length (see ad-config.voice).
+  // The headline and subhead are drawn on the graphic, in fonts without
+  // emoji; the hook and body only go in the caption, where emoji are fine.
+  assertVoiceFields(parsed, adConfig.voice, {
+    headline: { titleCase: true, maxLength: headlineMaxChars, emoji: false },
+    subhead: { maxLength: subheadMaxChars, emoji: false },
+    hook: {},
+    body: { maxLength: bodyMaxChars },
+  });
+
+  assertNovel(parsed.headline, recentHeadlines, {
+    threshold: adConfig.novelty.quoteThreshold,
+    n: adConfig.novelty.shortShingleSize,
+    label: 'headline',
+  });
 
   return {
     // Graphic fonts have no emoji coverage, so image text gets sanitized.
@@ -200,31 +191,27 @@ async function generateAdCopy(ad) {
   };
 }
 
-async function generateWithRetry(ad, attempts) {
-  let lastError;
-  for (let attempt = 1; attempt <= attempts; attempt++) {
-    try {
-      return await generateAdCopy(ad);
-    } catch (err) {
-      lastError = err;
-      console.error(`  Attempt ${attempt}/${attempts} failed: ${err.message}`);
-      if (attempt < attempts) {
-        await new Promise(r => setTimeout(r, adConfig.ai.retryDelayMs));
-      }
-    }
-  }
-  throw lastError;
+async function generateWithRetry(ad, attempts, recentHeadlines = [], variant = null) {
+  // Flat delay, not exponential: a register rejection is routine here, so
+  // backing off harder each time would only stretch the run. A 429 still
+  // waits out the provider's own hint.
+  return ai.withRetry(() => generateAdCopy(ad, recentHeadlines, variant), {
+    maxRetries: attempts,
+    exponential: false,
+    label: 'ad',
+  });
 }
 
 // ── Caption Assembly ───────────────────────────────────
 // Order is deliberate: the link sits on line 2 so it stays above Facebook's
 // "See more" truncation. A link buried under the body is a link nobody taps.
+// `link` is ad.page with UTM tags (see main); the bare page is the fallback.
 
-function buildCaption({ copy, ad, hashtags }) {
+function buildCaption({ copy, ad, hashtags, link = ad.page }) {
   return [
     copy.hook,
     '',
-    `→ ${ad.page}`,
+    `→ ${link}`,
     '',
     copy.body,
     '',
@@ -240,18 +227,41 @@ async function main() {
   const testMode = args.includes('--test');
   const forceFallback = args.includes('--fallback');
   const dayIndex = args.indexOf('--day');
+  const dateIndex = args.indexOf('--date');
+  const variantIndex = args.indexOf('--variant');
 
-  const day = dayIndex !== -1 ? parseInt(args[dayIndex + 1], 10) : new Date().getDay();
-  const ad = adConfig.dailyAds[day];
+  const date = dateIndex !== -1 ? args[dateIndex + 1] : todayDateString();
+  if (dateIndex !== -1 && !isDateString(date)) {
+    console.error(`ERROR: --date needs a real date as YYYY-MM-DD (got "${date ?? ''}")`);
+    process.exit(1);
+  }
+  const day = dayIndex !== -1 ? parseInt(args[dayIndex + 1], 10)
+    : dateIndex !== -1 ? weekdayOf(date)
+    : new Date().getDay();
+
+  // The content calendar overrides the weekday rotation, except when --day
+  // explicitly asks for a weekday ad.
+  const ad = dayIndex !== -1
+    ? adConfig.dailyAds[day] && { ...adConfig.dailyAds[day], calendarEntry: null }
+    : resolveForDate(date, 'ad', adConfig.dailyAds[day]);
   if (!ad) {
     console.error(`ERROR: No ad configured for day ${day}`);
     process.exit(1);
   }
 
-  const date = todayDateString();
   console.log(`\nIFM Website Ad — ${date}`);
-  console.log(`  Day ${day}: ${ad.label}`);
-  console.log(`  Destination: ${ad.page}\n`);
+  console.log(`  Day ${day}: ${ad.label}${ad.calendarEntry ? ` (calendar: ${ad.calendarEntry})` : ''}`);
+  // Calendar days are one-offs, so they sit outside the A/B test.
+  const variant = ad.calendarEntry ? null
+    : variantIndex !== -1 ? adConfig.copyVariants.find(v => v.id === args[variantIndex + 1])
+    : variantFor(date, adConfig.copyVariants);
+  if (variantIndex !== -1 && !variant) {
+    console.error(`ERROR: No copy variant "${args[variantIndex + 1]}" in ad-config.copyVariants`);
+    process.exit(1);
+  }
+
+  console.log(`  Destination: ${ad.page}`);
+  console.log(`  Copy variant: ${variant ? variant.id : 'none (calendar day)'}\n`);
 
   // -- Copy: AI first, static fallback if every provider fails --
   let copy;
@@ -264,7 +274,8 @@ async function main() {
   } else {
     try {
       process.stdout.write('  Generating ad copy...');
-      copy = await generateWithRetry(ad, adConfig.copy.maxAttempts);
+      const recentHeadlines = loadRecentAdHeadlines(date, adConfig.novelty.lookbackDays);
+      copy = await generateWithRetry(ad, adConfig.copy.maxAttempts, recentHeadlines, variant);
       console.log(' ok');
     } catch (err) {
       // A failed generator must not mean a silent no-post day. Static copy is
@@ -281,19 +292,53 @@ async function main() {
   fs.mkdirSync(outDir, { recursive: true });
   const graphicPath = path.join(outDir, `ad-${date}.png`);
 
-  process.stdout.write('  Rendering ad graphic...');
-  await renderAdGraphic({
-    headline: copy.headline,
-    subhead: copy.subhead,
-    button: ad.button,
-    day,
-    outputPath: graphicPath,
-  });
-  console.log(` ok -> ${graphicPath}`);
+  // The square is the one posted; the other sizes Facebook uses sit next to
+  // it in output/ (see formats.js).
+  const qr = adConfig.qr.adGraphic ? qrLink(ad.page, { campaign: 'website-ad', date }) : null;
+  const template = pickTemplate('ad', date, ad.graphic);
+  const renderAll = async () => {
+    for (const format of formatsFor([adConfig])) {
+      const outputPath = formatPath(graphicPath, format);
+      process.stdout.write(`  Rendering ad graphic (${format})...`);
+      await renderAdGraphic({
+        headline: copy.headline,
+        subhead: copy.subhead,
+        button: ad.button,
+        day,
+        outputPath,
+        style: ad.graphic,
+        qr,
+        format,
+        template,
+      });
+      console.log(` ok -> ${outputPath}`);
+    }
+  };
+  try {
+    await renderAll();
+  } catch (err) {
+    // Generated copy the legibility check rejects (see legibility.js) — too
+    // long for the card, usually. The static copy was written to fit, so the
+    // whole ad switches to it rather than posting a broken graphic.
+    if (!err.problems || usedFallback) throw err;
+    console.error(`\n  ${err.message}`);
+    console.error('  Falling back to static copy for this day.\n');
+    copy = { ...ad.fallback };
+    usedFallback = true;
+    await renderAll();
+  }
 
   // -- Caption --
   const hashtags = pickHashtags(ad);
-  const caption = buildCaption({ copy, ad, hashtags });
+  const link = trackedLink(ad.page, {
+    source: 'facebook',
+    medium: 'social',
+    campaign: 'website-ad',
+    date,
+    theme: ad.calendarEntry || ad.label,
+    variant: usedFallback ? 'fallback' : variant && variant.id,
+  });
+  const caption = buildCaption({ copy, ad, hashtags, link });
 
   console.log('\n' + '='.repeat(60));
   console.log(`HEADLINE: ${copy.headline}`);
@@ -328,13 +373,18 @@ async function main() {
       date,
       day,
       label: ad.label,
+      calendarEntry: ad.calendarEntry,
       destination: ad.page,
       button: ad.button,
       copy,
+      // The variant this day was assigned. With usedFallback the copy is not
+      // that variant's, and ad-variants.js leaves the run out.
+      variant: variant ? variant.id : null,
       caption,
       hashtags,
       usedFallback,
       graphic: path.basename(graphicPath),
+      graphicTemplate: template,
       postingResult: result,
       postedAt: new Date().toISOString(),
       testMode,
@@ -353,4 +403,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { main, generateAdCopy, buildCaption, findBannedTerms, looksTitleCased };
+module.exports = { main, generateAdCopy, buildCaption };
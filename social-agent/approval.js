@@ -0,0 +1,60 @@
+/**
+ * IFM Social Media Agent — Approval State
+ *
+ * Every content/social-posts/<date>.json carries an `approval` block:
+ *
+ *   "approval": {
+ *     "status": "pending" | "approved" | "rejected" | "edited",
+ *     "updatedAt": "...",
+ *     "history": [{ "status", "at", "by", "note" }]
+ *   }
+ *
+ * index.js writes it as `pending`; review.js moves it. `edited` means a
+ * reviewer rewrote part of the post and saved it — the human already signed
+ * off on the new text, so it posts like `approved`. When config.requireApproval
+ * is on, poster.js refuses anything else. A file from before approvals existed
+ * has no block and reads as `pending`.
+ */
+
+const os = require('os');
+
+const APPROVAL_STATES = ['pending', 'approved', 'rejected', 'edited'];
+const POSTABLE_STATES = new Set(['approved', 'edited']);
+
+function newApproval() {
+  return { status: 'pending', updatedAt: new Date().toISOString(), history: [] };
+}
+
+function approvalStatus(content) {
+  return content.approval?.status || 'pending';
+}
+
+function isApproved(content) {
+  return POSTABLE_STATES.has(approvalStatus(content));
+}
+
+// Moves the content to `status` and records who did it. Mutates and returns
+// the content so callers can write it straight back out.
+function setApproval(content, status, { note, by } = {}) {
+  if (!APPROVAL_STATES.includes(status)) {
+    throw new Error(`Unknown approval status "${status}" (expected ${APPROVAL_STATES.join(', ')})`);
+  }
+  const at = new Date().toISOString();
+  const approval = content.approval || newApproval();
+  approval.status = status;
+  approval.updatedAt = at;
+  approval.history = [
+    ...(approval.history || []),
+    { status, at, by: by || process.env.REVIEWER || os.userInfo().username, ...(note && { note }) },
+  ];
+  content.approval = approval;
+  return content;
+}
+
+module.exports = {
+  APPROVAL_STATES,
+  newApproval,
+  approvalStatus,
+  isApproved,
+  setApproval,
+};
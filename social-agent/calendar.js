@@ -0,0 +1,197 @@
+/**
+ * IFM Social Media Agent — Content Calendar
+ *
+ * Date-keyed overrides for the fixed weekday rotations (config.dailyThemes for
+ * the teaching post, ad-config.dailyAds for the website ad). Both index.js and
+ * ad.js check the calendar first, so Easter, the First Saturday gathering,
+ * Mother's Day, or a sermon series get their own post instead of whatever the
+ * weekday would have produced.
+ *
+ * Entries live in content/calendar.json:
+ *
+ *   {
+ *     "entries": [
+ *       {
+ *         "id": "first-saturday",
+ *         "name": "First Saturday Gathering",
+ *         "when": { "rule": "nth-weekday", "nth": 1, "weekday": 6 },
+ *         "post": { "label": "...", "prompt": "...", "page": "...", "cta": "...",
+ *                   "graphic": { "label": "...", "accent": "#ffd700", "glow": [0.5, 0.2] } },
+ *         "ad":   { "angle": "...", "page": "...", "button": "...", "fallback": { ... },
+ *                   "graphic": { "label": "...", "glow": [0.5, 0.15] } }
+ *       }
+ *     ]
+ *   }
+ *
+ * `when` takes one of:
+ *   { "date": "2026-12-25" }                        one-off date
+ *   { "from": "2026-09-06", "to": "2026-09-27" }    inclusive range (a series)
+ *   { "rule": "nth-weekday", "nth": 1, "weekday": 6, "month": 5 }
+ *       nth weekday (0=Sun) of every month, or only `month` (1-12) if set.
+ *       nth: -1 is the last one.
+ *   { "rule": "annual", "month": 12, "day": 25 }    same date every year
+ *   { "rule": "easter", "offsetDays": -2 }          relative to Easter Sunday
+ *
+ * `graphic.template` pins a card design from social-agent/templates/ by name;
+ * without it, seasonal templates apply on their own dates (template-renderer.js).
+ * `ad.graphic` styles the ad card (ad-graphic.js) the way `post.graphic`
+ * styles the quote card; without it the ad keeps the template's label and the
+ * weekday's glow.
+ * `post.video` (true/false) turns the quote-card video on or off for the day
+ * (quote-video.js).
+ *
+ * `post` and `ad` are each optional and MERGE over the weekday entry, so an
+ * entry only has to name what it changes. An entry without `post` leaves the
+ * teaching post alone; one without `ad` leaves the ad alone.
+ *
+ * When several entries match, the most specific wins: a one-off date beats a
+ * range, a range beats a recurring rule. Ties go to whichever is listed first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CALENDAR_FILE = path.join(__dirname, '..', 'content', 'calendar.json');
+
+const SPECIFICITY = { date: 3, range: 2, rule: 1 };
+
+// ── Date Helpers ───────────────────────────────────────
+// Everything works on "YYYY-MM-DD" strings in UTC, the same key the
+// social-posts and archive files are named by, so a calendar date and the
+// file it produces can never disagree about what day it is.
+
+function parseDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// True for a real "YYYY-MM-DD" day: not "2027-3-28", not "2027-02-30".
+function isDateString(str) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(str || '') && formatDate(parseDate(str)) === str;
+}
+
+function weekdayOf(dateStr) {
+  return parseDate(dateStr).getUTCDay();
+}
+
+// Anonymous Gregorian algorithm (Meeus/Jones/Butcher).
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// ── Matching ───────────────────────────────────────────
+
+function matchesRule(when, date) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const day = date.getUTCDate();
+
+  switch (when.rule) {
+    case 'nth-weekday': {
+      if (when.month && when.month !== month) return false;
+      if (date.getUTCDay() !== when.weekday) return false;
+      if (when.nth > 0) return Math.ceil(day / 7) === when.nth;
+      // Negative nth counts from the end: -1 is the last one in the month.
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return Math.ceil((daysInMonth - day + 1) / 7) === -when.nth;
+    }
+    case 'annual':
+      return when.month === month && when.day === day;
+    case 'easter': {
+      const target = easterSunday(year);
+      target.setUTCDate(target.getUTCDate() + (when.offsetDays || 0));
+      return formatDate(target) === formatDate(date);
+    }
+    default:
+      console.warn(`[calendar] Unknown rule "${when.rule}" — entry ignored`);
+      return false;
+  }
+}
+
+// Returns the specificity of the match, or 0 for no match.
+function matchEntry(entry, dateStr) {
+  const when = entry.when || {};
+  if (when.date) return when.date === dateStr ? SPECIFICITY.date : 0;
+  if (when.from || when.to) {
+    // String comparison is safe: both sides are zero-padded YYYY-MM-DD.
+    const after = !when.from || dateStr >= when.from;
+    const before = !when.to || dateStr <= when.to;
+    return after && before ? SPECIFICITY.range : 0;
+  }
+  if (when.rule) return matchesRule(when, parseDate(dateStr)) ? SPECIFICITY.rule : 0;
+  return 0;
+}
+
+// ── Loading ────────────────────────────────────────────
+
+function loadCalendar(file = CALENDAR_FILE) {
+  if (!fs.existsSync(file)) return [];
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Array.isArray(data.entries) ? data.entries : [];
+  } catch (err) {
+    // A typo in the calendar must not cost the day's post. Fall back to the
+    // weekday rotation and say so loudly.
+    console.warn(`[calendar] Could not parse ${path.basename(file)}: ${err.message} — using weekday rotation`);
+    return [];
+  }
+}
+
+// Most specific entry for the date that carries the given section ('post' or
+// 'ad'), or null. An ad-only entry must not shadow a post entry, and vice versa.
+function findCalendarEntry(dateStr, section, entries = loadCalendar()) {
+  let best = null;
+  let bestScore = 0;
+  for (const entry of entries) {
+    if (section && !entry[section]) continue;
+    const score = matchEntry(entry, dateStr);
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Calendar entry merged over the weekday base. Returns the base unchanged
+// (with `calendarEntry: null`) when nothing on the calendar applies.
+function resolveForDate(dateStr, section, base) {
+  const entry = findCalendarEntry(dateStr, section);
+  if (!entry) return base ? { ...base, calendarEntry: null } : null;
+
+  const override = entry[section];
+  const merged = { ...base, ...override, calendarEntry: entry.id || entry.name || null };
+  // The ad's static fallback copy is merged field by field so an entry can
+  // replace just the headline and keep the rest shippable.
+  if (base && base.fallback && override.fallback) {
+    merged.fallback = { ...base.fallback, ...override.fallback };
+  }
+  return merged;
+}
+
+module.exports = {
+  loadCalendar,
+  findCalendarEntry,
+  resolveForDate,
+  isDateString,
+  weekdayOf,
+  easterSunday,
+};
@@ -0,0 +1,154 @@
+/**
+ * IFM Social Media Agent — Sermon Clip Captions
+ *
+ * Writes the Facebook caption for a sermon clip (clips.js post). The clip's
+ * title, read from its file name, and a snippet of what is said in it, when
+ * there is a transcript, go to the model with the brand voice; it answers
+ * with a caption, a scripture reference and a few hashtags that fit this
+ * clip. If the AI is off, has no key, or keeps failing the checks, the clip
+ * goes out with one of the canned hooks in config.clipCaptions instead.
+ *
+ * Every caption ends with the same footer and brand hashtags
+ * (config.clips), so the Hour of Power plug is never left to the model.
+ *
+ * The transcript is the clip entry's `transcript` (recorded by `clips.js
+ * scan`), or a .txt, .vtt or .srt beside the downloaded clip; clips.js
+ * reads either and passes it in.
+ */
+
+require('dotenv').config();
+const { createChatClient, extractJSON } = require('ifm-shared/ai-client');
+const { assertVoice } = require('ifm-shared/voice-lint');
+const { validateReference } = require('ifm-shared/scripture');
+const { assertNovel } = require('ifm-shared/similarity');
+const config = require('./config');
+
+// ── Caption ────────────────────────────────────────────
+
+// Cut at a word boundary; the model only needs the gist.
+function snippet(text, maxChars = config.clips.captions.transcriptChars) {
+  if (!text || text.length <= maxChars) return text || null;
+  const cut = text.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+function assemble(opening, scripture, hashtags) {
+  return [opening, scripture, config.clips.footer, hashtags.join(' ')].filter(Boolean).join('\n\n');
+}
+
+// One of config.clipCaptions, skipping `recentHooks`. Returns the same shape
+// as writeCaption.
+function cannedCaption(recentHooks = [], random = Math.random) {
+  const fresh = config.clipCaptions.filter(hook => !recentHooks.includes(hook));
+  const pool = fresh.length ? fresh : config.clipCaptions;
+  const hook = pool[Math.floor(random() * pool.length)];
+  return { text: assemble(hook, null, config.clips.hashtags), opening: hook, scripture: null, source: 'canned' };
+}
+
+// "kingdom living" / "#KingdomLiving" / "#kingdom-living" → "#KingdomLiving".
+function normalizeHashtag(tag) {
+  const words = String(tag).replace(/^#/, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  if (!words.length) return null;
+  return `#${words.map(w => (w === w.toLowerCase() ? w[0].toUpperCase() + w.slice(1) : w)).join('')}`;
+}
+
+// The brand hashtags, then up to hashtagCount of the model's that are not
+// already there in any case.
+function mergeHashtags(extra) {
+  const seen = new Set(config.clips.hashtags.map(tag => tag.toLowerCase()));
+  const topical = extra.map(normalizeHashtag)
+    .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+  return [...config.clips.hashtags, ...topical.slice(0, config.clips.captions.hashtagCount)];
+}
+
+async function generateCaption(ai, { title, transcript, recentCaptions }) {
+  const { maxChars, hashtagCount } = config.clips.captions;
+
+  const systemPrompt = [
+    `You write the Facebook caption for a short sermon clip from ${config.ministry.name}, led by ${config.ministry.pastor}.`,
+    config.buildBrandVoice(config.ai.fewShotExamples),
+    '',
+    'The caption sits above the video. Its job is to make someone watch the clip and answer in the comments.',
+    'Speak to what this clip is about, not to sermons in general. Do not summarize the whole clip or quote it at length.',
+    'No hashtags, links, emoji, or labels in the caption itself.',
+    '',
+    'Return ONLY a JSON object with exactly these keys:',
+    `  "caption"   — 1-3 short sentences, at most ${maxChars} characters. End with a question or an invitation.`,
+    '  "scripture" — one Bible reference the clip teaches from or points to, e.g. "Proverbs 3:5-6".',
+    `  "hashtags"  — an array of ${hashtagCount} topical hashtags for this clip, e.g. ["#Tithing", "#Stewardship"].`,
+    '',
+    'No text outside the JSON object.',
+  ].join('\n');
+
+  const userPrompt = [
+    `Clip title: ${title}`,
+    ...(transcript ? ['', `What is said in the clip (transcript excerpt):\n${transcript}`] : []),
+    ...(recentCaptions.length ? [
+      '',
+      'Recent clip captions — do not repeat or rephrase any of these:',
+      ...recentCaptions.map(c => `- ${c.text}`),
+    ] : []),
+    '',
+    'Write the JSON now.',
+  ].join('\n');
+
+  const raw = await ai.callChatAPI({
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    maxTokens: 300,
+    temperature: config.ai.temperature,
+    timeoutMs: 30000,
+  });
+
+  const parsed = extractJSON(raw);
+  if (typeof parsed.caption !== 'string' || !parsed.caption.trim()) throw new Error('Model response missing "caption"');
+  const caption = parsed.caption.trim();
+  assertVoice(caption, config.voice, { maxLength: maxChars, emoji: false });
+  assertNovel(caption, recentCaptions, {
+    threshold: config.novelty.threshold,
+    n: config.novelty.shortShingleSize,
+    label: 'clip caption',
+  });
+
+  // A made-up verse on a sermon clip is worse than none: throw and ask again.
+  const reference = validateReference(String(parsed.scripture || ''));
+  if (reference.status === 'invalid') throw new Error(`Scripture check rejected clip caption — ${reference.reason}`);
+
+  const hashtags = Array.isArray(parsed.hashtags) ? parsed.hashtags : [];
+  return {
+    text: assemble(caption, reference.ref.canonical, mergeHashtags(hashtags)),
+    opening: caption,
+    scripture: reference.ref.canonical,
+    source: 'ai',
+  };
+}
+
+// The caption for a clip titled `title`. `recent` is the last few posted
+// clips' captions, newest first ({ id, text } — the file and the opening
+// line); the model is told to avoid them and the canned fallback skips them.
+async function writeCaption(title, { transcript = null, recent = [] } = {}) {
+  const { captions } = config.clips;
+  const fallback = () => cannedCaption(recent.slice(0, config.clips.captionRepeatPosts).map(c => c.text));
+  if (!captions.ai) return fallback();
+  const ai = createChatClient(config.ai);
+  if (!ai.hasAnyProvider()) {
+    console.warn('  No AI provider key set — using a canned hook');
+    return fallback();
+  }
+
+  try {
+    return await ai.withRetry(() => generateCaption(ai, {
+      title,
+      transcript: snippet(transcript),
+      recentCaptions: recent,
+    }), { maxRetries: captions.attempts, exponential: false, label: 'clip caption' });
+  } catch (err) {
+    console.warn(`  AI caption failed (${err.message}) — using a canned hook`);
+    return fallback();
+  }
+}
+
+module.exports = { writeCaption, cannedCaption };
@@ -0,0 +1,264 @@
+/**
+ * IFM Social Media Agent — Burned-in Clip Captions
+ *
+ * Most of the feed watches with the sound off, so a sermon clip needs its
+ * words on screen. This takes a clip and the transcript of the sermon it
+ * was cut from (VTT or SRT — YouTube's auto-captions, as `sermons.js fetch`
+ * pulls them, or any other), keeps the words spoken inside the clip's time
+ * range, and burns them in as brand captions: Montserrat on a dark band in
+ * the lower third, a few words at a time, the word being spoken in gold.
+ *
+ * The captions are drawn with canvas, like the quote-card video
+ * (quote-video.js), and laid over the clip by ffmpeg; the clip's audio is
+ * copied as is. The result is saved beside the clip as
+ * <name>_captioned.mp4 and recorded on the clip's queue entry as
+ * `captioned`, which the Clip Poster then posts in its place — upload it to
+ * the clip-queue release next to the original.
+ *
+ * Usage:
+ *   node clip-subtitles.js <clip.mp4> <transcript.vtt|.srt>
+ *        [--start 12m05s]   where the clip starts in the transcript; seconds,
+ *                           MM:SS, HH:MM:SS or 12m05s (default: the offset in
+ *                           the clip's name, "…_12m05s_square.mp4", else 0)
+ *        [--out path.mp4]   default <clip>_captioned.mp4
+ *        [--no-queue]       do not touch queue.json
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, GlobalFonts } = require('@napi-rs/canvas');
+const config = require('./config');
+const { encode } = require('./quote-video');
+const { roundedRectPath } = require('./template-renderer');
+const { parseTimestamp, transcriptWords } = require('./transcripts');
+
+GlobalFonts.registerFromPath(path.join(__dirname, 'assets', 'fonts', 'Montserrat-Regular.ttf'), 'Montserrat');
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Brand colors (graphic.js).
+const WHITE = '#ffffff';
+const GOLD = '#ffd700';
+const BAND = 'rgba(10, 10, 10, 0.8)';
+// The bundled Montserrat is the variable font, which falls back to its
+// hairline weight unless asked; captions over video need the heavier cut.
+const WEIGHT = 600;
+
+// ── Transcript ─────────────────────────────────────────
+
+// --start as seconds, MM:SS, HH:MM:SS or 12m05s.
+function parseOffset(value) {
+  const minutes = String(value).match(/^(\d+)m(\d+(?:\.\d+)?)s$/);
+  if (minutes) return Number(minutes[1]) * 60 + Number(minutes[2]);
+  const seconds = String(value).includes(':') ? parseTimestamp(value) : Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) throw new Error(`Not a time: "${value}"`);
+  return seconds;
+}
+
+// The offset the clipper put in the file name, or null.
+function offsetFromName(file) {
+  const match = path.basename(file).match(/_(\d+m\d+s)(?:_square)?(?:_captioned)?\.mp4$/);
+  return match ? parseOffset(match[1]) : null;
+}
+
+// The words inside [start, start + duration), on the clip's own clock.
+function wordsInRange(words, start, duration) {
+  return words
+    .filter(w => w.start >= start && w.start < start + duration)
+    .map(w => ({ ...w, start: w.start - start, end: Math.min(w.end, start + duration) - start }));
+}
+
+// Words grouped into what is on screen at once: a new page at a pause, after
+// a sentence ends, or when the next word would not fit.
+function pages(words, { maxChars, maxGap, linger }) {
+  const result = [];
+  let page = null;
+  for (const word of words) {
+    const last = page && page.words[page.words.length - 1];
+    const full = page && page.words.map(w => w.text).join(' ').length + 1 + word.text.length > maxChars;
+    if (!page || full || word.start - last.end > maxGap || /[.?!]$/.test(last.text)) {
+      page = { words: [], start: word.start };
+      result.push(page);
+    }
+    page.words.push(word);
+    page.end = word.end;
+  }
+  // Held a moment after the last word, but never over the next page.
+  for (let i = 0; i < result.length; i++) {
+    const next = result[i + 1];
+    result[i].end = Math.min(result[i].end + linger, next ? next.start : Infinity);
+  }
+  return result;
+}
+
+// ── Drawing ────────────────────────────────────────────
+
+function wrap(ctx, words, maxWidth) {
+  const lines = [[]];
+  for (const [i, word] of words.entries()) {
+    const line = lines[lines.length - 1];
+    const candidate = [...line.map(j => words[j].text), word.text].join(' ');
+    if (line.length && ctx.measureText(candidate).width > maxWidth) lines.push([i]);
+    else line.push(i);
+  }
+  return lines;
+}
+
+// The caption band for one page with word `active` in gold, as raw RGBA the
+// size of `band`. Transparent everywhere but the band.
+function drawPage(page, active, band, scale) {
+  const canvas = createCanvas(band.width, band.height);
+  const ctx = canvas.getContext('2d');
+  if (!page) return canvas.data();
+
+  const { fontSize } = config.clips.subtitles;
+  const size = Math.round(fontSize * scale);
+  const padX = Math.round(28 * scale);
+  const padY = Math.round(16 * scale);
+  const lineHeight = Math.round(size * 1.25);
+  ctx.font = `${WEIGHT} ${size}px Montserrat`;
+  ctx.textBaseline = 'middle';
+
+  const lines = wrap(ctx, page.words, band.width * 0.86 - padX * 2);
+  const space = ctx.measureText(' ').width;
+  const widths = lines.map(line => ctx.measureText(line.map(i => page.words[i].text).join(' ')).width);
+  const boxWidth = Math.max(...widths) + padX * 2;
+  const boxHeight = lines.length * lineHeight + padY * 2;
+  const boxTop = band.height - boxHeight;
+
+  ctx.fillStyle = BAND;
+  roundedRectPath(ctx, (band.width - boxWidth) / 2, boxTop, boxWidth, boxHeight, Math.round(14 * scale));
+  ctx.fill();
+
+  lines.forEach((line, row) => {
+    let x = (band.width - widths[row]) / 2;
+    const y = boxTop + padY + lineHeight * (row + 0.5);
+    for (const i of line) {
+      ctx.fillStyle = i === active ? GOLD : WHITE;
+      ctx.fillText(page.words[i].text, x, y);
+      x += ctx.measureText(page.words[i].text).width + space;
+    }
+  });
+  return canvas.data();
+}
+
+// ── Video ──────────────────────────────────────────────
+
+// Size, frame rate, length and whether there is sound, from ffmpeg's own
+// description of the file (ffprobe is not always installed beside it).
+function probe(clipPath) {
+  const result = spawnSync(FFMPEG, ['-hide_banner', '-i', clipPath], { encoding: 'utf-8' });
+  if (result.error) {
+    throw result.error.code === 'ENOENT'
+      ? new Error(`ffmpeg not found (tried "${FFMPEG}") — install it or set FFMPEG_PATH`)
+      : result.error;
+  }
+  const info = result.stderr;
+  const duration = info.match(/Duration: (\d+:\d+:\d+\.\d+)/);
+  const video = info.match(/Video: .*?(\d{2,5})x(\d{2,5})/);
+  const fps = info.match(/([\d.]+) fps/);
+  if (!duration || !video) throw new Error(`Could not read ${path.basename(clipPath)} as a video`);
+  return {
+    duration: parseTimestamp(duration[1]),
+    width: Number(video[1]),
+    height: Number(video[2]),
+    fps: fps ? Number(fps[1]) : 30,
+    audio: /Audio: /.test(info),
+  };
+}
+
+// Burns the transcript's words for this clip into a copy of it at
+// `outputPath`. `start` is where the clip begins in the transcript, in
+// seconds. Returns { outputPath, words, pages }.
+async function captionClip({ clipPath, transcript, start = 0, outputPath }) {
+  const clip = probe(clipPath);
+  const words = wordsInRange(transcriptWords(transcript), start, clip.duration);
+  if (!words.length) {
+    throw new Error(`No transcript words between ${start}s and ${(start + clip.duration).toFixed(1)}s — check --start`);
+  }
+  const shown = pages(words, config.clips.subtitles);
+
+  // Only the band is drawn and sent; ffmpeg places it over the clip.
+  const scale = clip.width / 1080;
+  const band = { width: clip.width, height: Math.round(clip.height * 0.3) & ~1 };
+  const bandTop = Math.round(clip.height * (1 - config.clips.subtitles.bottom)) - band.height;
+
+  const args = [
+    '-y', '-loglevel', 'error',
+    '-i', clipPath,
+    '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${band.width}x${band.height}`, '-r', String(clip.fps), '-i', 'pipe:0',
+    '-filter_complex', `[0:v][1:v]overlay=0:${bandTop}:eof_action=pass[v]`,
+    '-map', '[v]', '-c:v', 'libx264', '-preset', 'medium', '-crf', '20', '-pix_fmt', 'yuv420p',
+    ...(clip.audio ? ['-map', '0:a', '-c:a', 'copy'] : []),
+    '-movflags', '+faststart', outputPath,
+  ];
+
+  // The band only changes when the page or the spoken word does.
+  const frames = new Map();
+  const frameAt = t => {
+    const pageIndex = shown.findIndex(p => t >= p.start && t < p.end);
+    const page = shown[pageIndex];
+    const active = page ? page.words.findLastIndex(w => t >= w.start) : -1;
+    const key = `${pageIndex}:${active}`;
+    if (!frames.has(key)) {
+      frames.clear();
+      frames.set(key, drawPage(page, active, band, scale));
+    }
+    return frames.get(key);
+  };
+
+  await encode(args, Math.ceil(clip.duration * clip.fps), async i => frameAt(i / clip.fps));
+  return { outputPath, words: words.length, pages: shown.length };
+}
+
+// ── CLI ────────────────────────────────────────────────
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const [clipPath, transcriptPath] = args.filter((arg, i) => !arg.startsWith('--') && !args[i - 1]?.match(/^--(start|out)$/));
+  if (!clipPath || !transcriptPath) {
+    throw new Error('Usage: node clip-subtitles.js <clip.mp4> <transcript.vtt|.srt> [--start 12m05s] [--out path.mp4] [--no-queue]');
+  }
+  for (const file of [clipPath, transcriptPath]) {
+    if (!fs.existsSync(file)) throw new Error(`Not found: ${file}`);
+  }
+
+  const start = option('--start') !== undefined ? parseOffset(option('--start')) : offsetFromName(clipPath) ?? 0;
+  const outputPath = option('--out') || clipPath.replace(/\.mp4$/i, '_captioned.mp4');
+  console.log(`Captioning ${path.basename(clipPath)} from ${path.basename(transcriptPath)} at ${start}s`);
+
+  const result = await captionClip({
+    clipPath,
+    transcript: fs.readFileSync(transcriptPath, 'utf-8'),
+    start,
+    outputPath,
+  });
+  console.log(`  ${result.words} words in ${result.pages} captions → ${outputPath}`);
+
+  if (args.includes('--no-queue')) return;
+  const { loadQueue, saveQueue, findClip } = require('./clips');
+  const queue = loadQueue();
+  const clip = findClip(queue, path.basename(clipPath));
+  if (!clip) {
+    console.warn(`  ${path.basename(clipPath)} is not in the clip queue — nothing recorded`);
+    return;
+  }
+  clip.captioned = path.basename(outputPath);
+  saveQueue(queue);
+  console.log(`  Recorded in the queue. Upload it beside the original:`);
+  console.log(`    gh release upload clip-queue "${outputPath}"`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { captionClip, wordsInRange, pages, parseOffset, offsetFromName };
@@ -0,0 +1,337 @@
+/**
+ * IFM Social Media Agent — Sermon Clip Queue
+ *
+ * clips/cloud/queue.json is the state file for the sermon shorts the Clip
+ * Poster workflow puts on Facebook twice a day. The clip binaries themselves
+ * live on the "clip-queue" GitHub release (see clip-poster.yml); the queue
+ * only names them:
+ *
+ *   { "clips": [ { "file": "…_square.mp4", "posted": false, "added_at": "…",
+ *                  "title": "…", "priority": 0, "bytes": 1234567,
+ *                  "captioned": "…_square_captioned.mp4",
+ *                  "video_id": "…", "posted_at": "…" } ],
+ *     "stats": { "total", "posted", "remaining", "last_updated" } }
+ *
+ * title, priority and bytes are recorded by `scan`, and `transcript` when
+ * the clip has a .txt/.vtt/.srt beside it; clips added before it existed
+ * have none, and count as priority 0. The next clip is the highest priority
+ * unposted one, oldest first, ties in queue order. `post` records the
+ * caption's opening line as `caption` (and its `scripture`, when the AI
+ * wrote it), so the next few posts can steer clear of it.
+ *
+ * `captioned` names the same clip with captions burned in
+ * (clip-subtitles.js). When a clip has one, that is the file `next` names
+ * and the one posted; the entry is still keyed by the original `file`.
+ *
+ * Usage:
+ *   node clips.js status [--min N]            — Queue depth; warns below N
+ *                                               (default config.clips.minRemaining)
+ *   node clips.js scan <dir> [--priority N]   — Add .mp4 files in <dir> not yet queued;
+ *                    [--dry-run]                 a *_captioned.mp4 is recorded on its clip
+ *   node clips.js next [--original]           — Print the next clip's file name, the
+ *                                               captioned one if it has one (nothing
+ *                                               if the queue is empty)
+ *   node clips.js post <path.mp4> [--test]      — Upload the clip to Facebook (resumable
+ *                                               upload, see poster.js) and mark it
+ *                                               posted; prints only the video id
+ *   node clips.js mark-posted <file> --video-id ID [--at ISO]
+ *
+ * Every command takes --queue <path> to work on another queue file (or set
+ * CLIPS_QUEUE); point runs against graph-stub.js at a copy.
+ *
+ * While `post` uploads, the upload session and the next offset are kept on
+ * the entry as `upload` and saved after every chunk, so a run that dies part
+ * way resumes there (see poster.js); the workflow commits queue.json when
+ * the post fails for that reason.
+ *
+ * `post` needs FACEBOOK_PAGE_TOKEN and FACEBOOK_PAGE_ID, GROQ_API_KEY or
+ * OPENROUTER_API_KEY for an AI caption (see clip-captions.js), and the npm
+ * install; the other commands use nothing outside Node.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { transcriptText } = require('./transcripts');
+
+const ROOT = path.join(__dirname, '..');
+const QUEUE_FILE = process.env.CLIPS_QUEUE
+  ? path.resolve(process.env.CLIPS_QUEUE)
+  : path.join(ROOT, 'clips', 'cloud', 'queue.json');
+
+// ── Queue File ─────────────────────────────────────────
+
+function loadQueue(file = QUEUE_FILE) {
+  if (!fs.existsSync(file)) return { clips: [] };
+  const queue = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(queue.clips)) throw new Error(`${file} has no "clips" list`);
+  return queue;
+}
+
+// Written to a temp file and renamed over the queue, so a run killed
+// mid-write (or a workflow timing out) never leaves half a JSON file for the
+// next post to choke on. Same layout the workflow's json.dump(indent=2)
+// writes, so diffs stay clean.
+function saveQueue(queue, file = QUEUE_FILE) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(queue, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// `stats.last_updated` is what diagnostics.yml reads as "last real post", so
+// it only moves when a clip is marked posted — pass `touched` then.
+function refreshStats(queue, touched = null) {
+  const posted = queue.clips.filter(c => c.posted).length;
+  queue.stats = {
+    total: queue.clips.length,
+    posted,
+    remaining: queue.clips.length - posted,
+    last_updated: touched || queue.stats?.last_updated || null,
+  };
+  return queue.stats;
+}
+
+// ── Clips ──────────────────────────────────────────────
+
+// "2_STOP_Excessive_Giving_Dont_Go_BROKE_0m02s_square.mp4"
+//   → "STOP Excessive Giving Dont Go BROKE"
+// The clipper truncates names to about 40 characters and turns punctuation
+// into underscores, so this is a readable label, not the original title.
+function clipTitle(file) {
+  return path.basename(file, '.mp4')
+    .replace(/_captioned$/, '')
+    .replace(/_square$/, '')
+    .replace(/_\d+m\d+s$/, '')
+    .replace(/^\d+_/, '')
+    .replace(/([a-z])_(t|s|re|ll|ve|d)(?=_|$)/gi, "$1'$2")
+    .replace(/__+/g, ': ')
+    .replace(/_/g, ' ')
+    .trim();
+}
+
+// The sidecar transcript for a clip file, or null.
+function readTranscript(clipPath) {
+  const base = clipPath.replace(/\.mp4$/i, '');
+  for (const ext of ['.txt', '.vtt', '.srt']) {
+    if (fs.existsSync(base + ext)) return transcriptText(fs.readFileSync(base + ext, 'utf-8')) || null;
+  }
+  return null;
+}
+
+// Timestamps in the queue come from two writers, with and without a Z.
+// Both are UTC.
+function timeOf(stamp) {
+  if (!stamp) return 0;
+  return Date.parse(/[zZ]|[+-]\d\d:\d\d$/.test(stamp) ? stamp : `${stamp}Z`) || 0;
+}
+
+function nextClip(queue) {
+  return queue.clips
+    .map((clip, index) => ({ clip, index }))
+    .filter(({ clip }) => !clip.posted)
+    .sort((a, b) => (b.clip.priority || 0) - (a.clip.priority || 0)
+      || timeOf(a.clip.added_at) - timeOf(b.clip.added_at)
+      || a.index - b.index)
+    .map(({ clip }) => clip)[0] || null;
+}
+
+// The entry for a clip by its file name or its captioned variant's.
+function findClip(queue, name) {
+  return queue.clips.find(c => c.file === name || c.captioned === name) || null;
+}
+
+const CAPTIONED = /_captioned\.mp4$/i;
+
+// Queues every .mp4 in `dir` the queue does not already name. A
+// *_captioned.mp4 is not a clip of its own: it is recorded as `captioned` on
+// the clip it was made from. Returns { added, captioned }, the new entries
+// and the clips that gained a captioned file; the caller saves.
+function scanClips(queue, dir, { priority = config.clips.defaultPriority, now = new Date() } = {}) {
+  if (!fs.existsSync(dir)) throw new Error(`No such folder: ${dir}`);
+  const names = fs.readdirSync(dir).filter(name => name.toLowerCase().endsWith('.mp4') && !findClip(queue, name));
+  const added = names
+    .filter(name => !CAPTIONED.test(name))
+    .sort()
+    .map(name => {
+      const transcript = readTranscript(path.join(dir, name));
+      return {
+        file: name,
+        posted: false,
+        added_at: now.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        title: clipTitle(name),
+        priority,
+        bytes: fs.statSync(path.join(dir, name)).size,
+        ...(transcript && { transcript }),
+      };
+    });
+  queue.clips.push(...added);
+  const captioned = [];
+  for (const name of names.filter(n => CAPTIONED.test(n))) {
+    const clip = findClip(queue, name.replace(CAPTIONED, '.mp4'));
+    if (!clip) continue;
+    clip.captioned = name;
+    captioned.push(clip);
+  }
+  refreshStats(queue);
+  return { added, captioned };
+}
+
+function markPosted(queue, file, { videoId, postedAt = new Date() }) {
+  const clip = findClip(queue, file);
+  if (!clip) throw new Error(`"${file}" is not in the queue`);
+  const stamp = new Date(postedAt).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  clip.posted = true;
+  clip.video_id = videoId || '';
+  clip.posted_at = stamp;
+  refreshStats(queue, stamp);
+  return clip;
+}
+
+// The last few posted clips' captions, newest first, as { id, text }.
+function recentCaptions(queue, count = config.clips.captionRepeatPosts) {
+  return queue.clips
+    .filter(c => c.posted && c.caption)
+    .sort((a, b) => timeOf(b.posted_at) - timeOf(a.posted_at))
+    .slice(0, count)
+    .map(c => ({ id: c.file, text: c.caption }));
+}
+
+// Remaining clips and how many days of posting that is. `low` when under
+// `min`, which is when `status` warns.
+function queueDepth(queue, min = config.clips.minRemaining) {
+  const remaining = queue.clips.filter(c => !c.posted).length;
+  return {
+    total: queue.clips.length,
+    remaining,
+    daysLeft: Math.floor(remaining / config.clips.postsPerDay),
+    low: remaining < min,
+    min,
+  };
+}
+
+function warnIfLow(depth) {
+  if (!depth.low) return;
+  console.warn(depth.remaining === 0
+    ? 'WARNING: clip queue is EMPTY — Facebook clip posting has stopped. Add clips and re-run scan.'
+    : `WARNING: only ${depth.remaining} clip(s) left (${depth.daysLeft} day(s)); refill below ${depth.min}.`);
+}
+
+// ── CLI ────────────────────────────────────────────────
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, target] = args;
+  const option = name => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const queueFile = option('--queue') ? path.resolve(option('--queue')) : QUEUE_FILE;
+  const queue = loadQueue(queueFile);
+
+  switch (command) {
+    case undefined:
+    case 'status': {
+      const min = option('--min') !== undefined ? Number(option('--min')) : undefined;
+      const depth = queueDepth(queue, min);
+      const next = nextClip(queue);
+      console.log(`Clip queue: ${depth.remaining} of ${depth.total} unposted (${depth.daysLeft} day(s) at ${config.clips.postsPerDay}/day)`);
+      if (queue.stats?.last_updated) console.log(`Last post:  ${queue.stats.last_updated}`);
+      if (next) console.log(`Next:       ${next.file}${next.priority ? ` (priority ${next.priority})` : ''}`);
+      return warnIfLow(depth);
+    }
+    case 'scan': {
+      if (!target) throw new Error('Usage: node clips.js scan <dir> [--priority N] [--dry-run]');
+      const priority = option('--priority') !== undefined ? Number(option('--priority')) : undefined;
+      const { added, captioned } = scanClips(queue, path.resolve(target), { priority });
+      for (const clip of added) console.log(`  + ${clip.file}  "${clip.title}"`);
+      for (const clip of captioned) console.log(`  ~ ${clip.file}  captioned: ${clip.captioned}`);
+      const dryRun = args.includes('--dry-run');
+      console.log(`${added.length} new clip(s), ${captioned.length} captioned${dryRun ? ' (dry run, queue not saved)' : ''}`);
+      if ((added.length || captioned.length) && !dryRun) saveQueue(queue, queueFile);
+      return warnIfLow(queueDepth(queue));
+    }
+    case 'next': {
+      // stdout is just the file name so a workflow can capture it.
+      const next = nextClip(queue);
+      if (next) console.log(args.includes('--original') ? next.file : next.captioned || next.file);
+      return warnIfLow(queueDepth(queue));
+    }
+    case 'post': {
+      // Progress goes to stderr; stdout is just the video id.
+      if (!target) throw new Error('Usage: node clips.js post <path.mp4> [--test]');
+      const file = path.basename(target);
+      const clip = findClip(queue, file);
+      if (!clip) throw new Error(`"${file}" is not in the queue`);
+      if (clip.posted) throw new Error(`"${file}" was already posted (video ${clip.video_id || 'unknown'}) — not posting it twice`);
+      if (!fs.existsSync(target)) throw new Error(`Clip file not found: ${target}`);
+
+      const { postToFacebookVideo } = require('./poster');
+      const { writeCaption } = require('./clip-captions');
+      if (!args.includes('--test') && (!process.env.FACEBOOK_PAGE_TOKEN || !process.env.FACEBOOK_PAGE_ID)) {
+        throw new Error('Missing FACEBOOK_PAGE_TOKEN or FACEBOOK_PAGE_ID');
+      }
+
+      console.error(`Posting ${file} (${(fs.statSync(target).size / 1048576).toFixed(1)} MB)`);
+      const caption = await writeCaption(clip.title || clipTitle(file), {
+        transcript: clip.transcript || readTranscript(target),
+        recent: recentCaptions(queue),
+      });
+      console.error(`Caption (${caption.source}):\n${caption.text.replace(/^/gm, '  ')}`);
+      if (args.includes('--test')) return console.error('[TEST] Not posted; queue unchanged');
+
+      // Upload progress lives on the entry, in the queue file.
+      const result = await postToFacebookVideo(target, caption.text, null, {
+        load: () => clip.upload || null,
+        save: (state) => {
+          clip.upload = state;
+          saveQueue(queue, queueFile);
+        },
+        clear: () => {
+          delete clip.upload;
+          saveQueue(queue, queueFile);
+        },
+      });
+      if (!result.success) throw new Error(`Facebook upload failed: ${result.error}`);
+
+      // Saved the moment Facebook has it: a run that dies after this point
+      // must not post the same clip again.
+      markPosted(queue, clip.file, { videoId: result.postId });
+      clip.caption = caption.opening;
+      if (caption.scripture) clip.scripture = caption.scripture;
+      saveQueue(queue, queueFile);
+      console.error(`Posted! Video ID: ${result.postId}`);
+      console.log(result.postId);
+      return warnIfLow(queueDepth(queue));
+    }
+    case 'mark-posted': {
+      if (!target) throw new Error('Usage: node clips.js mark-posted <file> --video-id ID [--at ISO]');
+      const clip = markPosted(queue, target, { videoId: option('--video-id'), postedAt: option('--at') || new Date() });
+      saveQueue(queue, queueFile);
+      console.log(`Marked ${clip.file} posted (video ${clip.video_id || 'unknown'})`);
+      return warnIfLow(queueDepth(queue));
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use: status | scan | next | post | mark-posted`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  QUEUE_FILE,
+  loadQueue,
+  saveQueue,
+  refreshStats,
+  clipTitle,
+  readTranscript,
+  findClip,
+  nextClip,
+  scanClips,
+  markPosted,
+  queueDepth,
+};
@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { BRAND_BANNED_PHRASES } = require('ifm-shared/voice-lint');
 
 // Load curated sermon excerpts as few-shot voice examples.
 // First chunk is the file header (comments); real passages follow each --- separator.
@@ -81,6 +82,7 @@ module.exports = {
       label: 'Pastoral Word',
       page: 'https://increasingfaith.net/about.html',
       cta: 'Learn more about our mission',
+      video: true,
       prompt: 'Write a short, powerful pastoral encouragement from Pastor Curtis. Tone: warm, authoritative, fatherly. Should feel like a personal word from the pastor to the reader. End with a charge or declaration, then close with a direct question that invites the reader to share their experience or respond in the comments.',
     },
     1: { // Monday
@@ -95,6 +97,7 @@ module.exports = {
       label: 'Scripture of the Day',
       page: 'https://increasingfaith.net/journey.html',
       cta: 'Start your Kingdom journey',
+      video: true,
       prompt: 'Select a powerful scripture about the Kingdom of God, Jesus\' lordship, or spiritual authority. Write the verse, then a 2-3 sentence reflection that makes it feel urgent and relevant today. Avoid cliche interpretations — find the Kingdom dimension. End with a "fill in the blank" or direct question that invites people to share what this scripture means to them personally.',
     },
     3: { // Wednesday
@@ -132,12 +135,18 @@ module.exports = {
     facebook: {
       maxLength: 500,
       // Output ceiling sized to maxLength (~3 chars/token) plus headroom for
-      // line breaks. The old shared 1024 reserved 4x what any post can use,
-      // and Groq counts requested output against the per-minute budget.
+      // line breaks. Groq counts requested output against the per-minute
+      // budget, so an oversized ceiling makes the scheduler wait for nothing.
       maxTokens: 250,
       style: 'Longer, conversational. Use line breaks for readability. Can be more detailed. End every post with a clear invitation for the reader to comment, share, or engage.',
       hashtagCount: 3,
       linkPlacement: 'end',
+      // The teaching post speaks in the pulpit register; emoji undercut it.
+      emoji: false,
+      // Graphic sizes rendered for this platform (see formats.js). The square
+      // is always rendered; it is the one that gets posted. Landscape is the
+      // 1200x630 link-preview size.
+      graphicFormats: ['square', 'landscape'],
     },
     instagram: {
       maxLength: 400,
@@ -145,6 +154,9 @@ module.exports = {
       style: 'Visual language, punchy lines. Use line breaks and spacing. Hashtags in a separate block at the end. End with an engagement prompt — a question or "double tap if..."',
       hashtagCount: 10,
       linkPlacement: 'bio_reference', // "Link in bio"
+      emoji: true,
+      // 4:5 takes the most feed height; the story size is for resharing.
+      graphicFormats: ['square', 'portrait', 'story'],
     },
     tiktok: {
       maxLength: 300,
@@ -152,17 +164,235 @@ module.exports = {
       style: 'Casual but authoritative. Speak directly. Pattern-interrupt opening. End with a hook question or "comment below" prompt.',
       hashtagCount: 5,
       linkPlacement: 'bio_reference',
+      emoji: true,
+      // Cover image for a photo post.
+      graphicFormats: ['story'],
     },
   },
 
+  // Hold every generated post until a person approves it with review.js.
+  // Off by default so the daily run keeps posting unattended; when on,
+  // poster.js skips anything not `approved` or `edited` (see approval.js).
+  requireApproval: false,
+
+  // When each platform's post goes out. index.js stamps every generated post
+  // with a `scheduledFor` time picked from its platform's windows for that
+  // weekday; `poster.js --due` (run hourly) publishes whatever has come due.
+  // Times are wall-clock in `timezone` — the congregation's, not the runner's.
+  // The minute inside a window is derived from the date, so a re-run of the
+  // same day lands on the same time instead of drifting.
+  postingSchedule: {
+    timezone: 'America/Detroit',
+    windows: {
+      facebook: [
+        { days: [0], start: '13:30', end: '15:00' }, // after Sunday service
+        { days: [1, 2, 3, 4, 5], start: '11:30', end: '13:00' }, // lunch break, after Hour of Power
+        { days: [6], start: '10:30', end: '12:00' },
+      ],
+      instagram: [
+        { days: [1, 2, 3, 4, 5], start: '18:00', end: '20:00' },
+        { days: [0, 6], start: '10:00', end: '12:00' },
+      ],
+      tiktok: [
+        { start: '19:00', end: '21:00' },
+      ],
+    },
+    // A post whose time passed this long ago is left alone rather than
+    // published late — yesterday's "today at noon" is worse than nothing.
+    staleAfterHours: 12,
+    // Let the first `poster.js --due` run that finds the Facebook post (once
+    // approved) hand it over with scheduled_publish_time, instead of holding
+    // it until a run at its slot. Facebook requires the time to be 10 minutes
+    // to 30 days out; a post closer than that waits for its slot as usual.
+    facebookNative: false,
+  },
+
+  // Engagement snapshots (metrics.js). Engagement on a post has mostly
+  // settled within a month, so older posts stop being polled unless --all is
+  // passed. The interval keeps a re-run on the same day from adding a second
+  // near-identical snapshot.
+  metrics: {
+    maxAgeDays: 30,
+    minIntervalHours: 20,
+  },
+
+  // QR codes on the graphics (see qr.js). Each encodes the day's page,
+  // tagged utm_source=qr, so a repost or a printed flyer still leads back to
+  // the site. Turn one off if a card design ever needs the corner back.
+  // `shortLinks` encodes the page's /go/ short link instead; leave it off
+  // until /go/ resolves (the site is on GitHub Pages, see
+  // netlify/functions/go.js).
+  qr: {
+    quoteCard: true,
+    adGraphic: true,
+    shortLinks: false,
+  },
+
+  // Quote-card video (quote-video.js). A theme with `video: true` — or a
+  // calendar entry whose `post` sets it — also gets its card as an MP4, and
+  // Facebook posts that instead of the still. `platforms` maps each platform
+  // to the format it gets (TikTok's stays in output/ for manual posting).
+  // `audio` is an optional bed, a path from social-agent/ such as
+  // 'assets/audio/bed.mp3'; null is silent. Needs ffmpeg — without it the
+  // still card posts as usual.
+  video: {
+    enabled: true,
+    seconds: 8,
+    fps: 30,
+    audio: null,
+    platforms: { facebook: 'square', tiktok: 'story' },
+  },
+
+  // Sermon clip queue (clips.js, clips/cloud/queue.json). Clip Poster posts
+  // `postsPerDay`; under `minRemaining` unposted clips (a week's worth) the
+  // queue commands warn. Newly scanned clips get `defaultPriority` unless
+  // --priority says otherwise; higher posts sooner. Each clip's caption ends
+  // with `footer` and `hashtags`.
+  clips: {
+    postsPerDay: 2,
+    minRemaining: 14,
+    defaultPriority: 0,
+    footer: 'Watch Hour of Power LIVE Mon-Fri 8:15 AM\nincreasingfaith.net',
+    hashtags: ['#HourOfPower', '#KingdomOfGod', '#IncreasingFaith', '#IFM', '#KingdomLiving', '#PastorCurtis'],
+    // A hook used on any of the last this-many clips is not picked again.
+    captionRepeatPosts: 5,
+    // AI-written captions (clip-captions.js) from the clip's title and up to
+    // `transcriptChars` of its transcript: a caption of at most `maxChars`, a
+    // scripture reference, and `hashtagCount` topical hashtags after the
+    // brand ones. `ai: false`, or `attempts` failures, falls back to a hook.
+    captions: {
+      ai: true,
+      maxChars: 280,
+      hashtagCount: 3,
+      transcriptChars: 600,
+      attempts: 3,
+    },
+    // Burned-in captions (clip-subtitles.js). `fontSize` is at 1080 wide; a
+    // caption holds up to `maxChars`, breaks at a pause over `maxGap`
+    // seconds, and stays `linger` seconds after its last word. The band's
+    // bottom edge sits `bottom` of the height up from the bottom.
+    subtitles: {
+      fontSize: 56,
+      maxChars: 30,
+      maxGap: 0.8,
+      linger: 0.4,
+      bottom: 0.14,
+    },
+  },
+
+  // Voice corpus upkeep (sermons.js). `fetch` pulls the auto-captions of the
+  // latest `count` streams on `channel`; `curate` cuts transcripts into
+  // passages of `minWords`-`maxWords` words and proposes the best
+  // `candidates` for sermon_corpus.txt, at most `perSermon` from one sermon.
+  // Auto-captions have no punctuation, so a word followed by `pauseSeconds`
+  // of silence ends a sentence. A passage's score is the sum of its signal
+  // counts times `weights`, per 100 words; one sharing `corpusThreshold` of
+  // its word 3-grams with a passage already in the corpus is left out.
+  sermons: {
+    channel: 'https://www.youtube.com/@thehourofpowerextra2883/streams',
+    count: 8,
+    minWords: 150,
+    maxWords: 300,
+    candidates: 5,
+    perSermon: 2,
+    pauseSeconds: 1,
+    corpusThreshold: 0.3,
+    weights: { directAddress: 0.5, scripture: 4, signature: 3, housekeeping: -5 },
+    // Lowercase, without punctuation; matched as whole words.
+    signaturePhrases: [
+      'come on somebody',
+      'somebody say',
+      'glory to god',
+      'this is for somebody',
+      'thank you lord',
+      'hallelujah',
+      'i need you to',
+      'listen to me',
+      'watch this',
+      'kingdom',
+    ],
+    // Service logistics: true to the livestream, wrong for a voice example.
+    housekeeping: [
+      'cash app',
+      'zelle',
+      'offering',
+      'give online',
+      'subscribe',
+      'facebook',
+      'youtube',
+      'good morning',
+      'you may be seated',
+      'can you hear me',
+      'announcements',
+    ],
+    // Dropped from transcripts before anything is counted.
+    filler: ['um', 'umm', 'uh', 'uhh', 'uhm', 'erm', 'hmm', 'mm', 'mhm'],
+  },
+
+  // Photo-backed quote cards (photos.js, templates/quote-photo.json). On a
+  // day whose theme type is in a photo's tags, that photo — blurred and
+  // darkened — replaces the gradient behind the quote, unless it was on a
+  // card in the last `repeatDays`. Seasonal and calendar-pinned templates
+  // still win. Files are site photos at the repo root; the leaders' portraits
+  // are left out because the card speaks in the pastor's voice.
+  photoCards: {
+    enabled: true,
+    template: 'quote-photo',
+    repeatDays: 7,
+    library: [
+      { file: 'ministry-preaching.jpg', tags: ['pastoral_word', 'kingdom_teaching', 'scripture_reflection'] },
+      { file: 'ministry-pastor.jpg', tags: ['pastoral_word', 'scripture_reflection', 'prayer_focus'] },
+      { file: 'ministry-teaching.jpg', tags: ['kingdom_teaching', 'newsletter_teaser'] },
+      { file: 'ministry-congregation1.jpg', tags: ['kingdom_teaching', 'event_reminder'] },
+      { file: 'ministry-congregation2.jpg', tags: ['engagement_question', 'event_reminder'] },
+      { file: 'ministry-congregation3.jpg', tags: ['event_reminder', 'kingdom_teaching'] },
+      { file: 'ministry-congregation4.jpg', tags: ['prayer_focus'] },
+      { file: 'ministry-congregation5.jpg', tags: ['engagement_question', 'prayer_focus'] },
+      { file: 'ministry-couple-1.jpg', tags: ['pastoral_word', 'event_reminder'] },
+      { file: 'ministry-couple-2.jpg', tags: ['engagement_question', 'pastoral_word'] },
+    ],
+  },
+
   // Brand voice rules + sermon few-shot examples injected into every AI prompt.
   // See loadSermonCorpus() at top of file. Refresh examples via sermon_corpus.txt.
   brandVoice: brandVoiceWithExamples,
 
+  // The corpus passages themselves; sermons.js checks new candidates against them.
+  sermonExamples,
+
   // Per-call sampled voice block — see buildBrandVoice() above.
   buildBrandVoice,
 
-  // Engagement hooks — randomly appended to clip posts for variety
+  // Enforcement for the NEVER lines in brandVoiceRules, run on every
+  // generated post by ifm-shared/voice-lint. A hit throws and the post is
+  // regenerated. Emoji and length limits come from each platform above.
+  voice: {
+    bannedPhrases: [...BRAND_BANNED_PHRASES],
+  },
+
+  // Near-duplicate check against what went out recently (see recent.js and
+  // ifm-shared/similarity). Scores are the share of word n-grams two texts
+  // have in common, 0–1. A post over `threshold` is regenerated, as is one
+  // whose opening line repeats a recent opening. Pull quotes and ad
+  // headlines — the lines drawn on the graphics — use `quoteThreshold`. Recent scriptures and pull
+  // quotes also go into the prompt so the model avoids them to begin with.
+  novelty: {
+    lookbackDays: 28,
+    threshold: 0.5,
+    openingThreshold: 0.7,
+    quoteThreshold: 0.6,
+    shingleSize: 3,
+    // Short lines (openings, pull quotes, ad headlines) have few 3-grams, so
+    // one changed word swings the score; pairs are steadier there.
+    shortShingleSize: 2,
+    // Openings shorter than this ("Family.", "Hey friends,") are greetings,
+    // not content, and are never counted as a repeat.
+    minOpeningWords: 5,
+  },
+
+  // Engagement hooks — one opens a sermon clip post (clip-captions.js) when
+  // the AI caption is off or fails, picked at random from those not used
+  // recently
   clipCaptions: [
     'This word right here. Who needed to hear this today?',
     'Watch this and tell me it did not shift something in you.',
@@ -202,18 +432,24 @@ module.exports = {
     temperature: 0.85, // Slightly higher for more creative, varied content
 
     // Sermon examples injected per prompt. The full corpus is 5 (~1,100
-    // tokens); 3 keeps the voice intact while leaving room under the
-    // per-minute token budget for all three platforms plus the pull quote.
+    // tokens); 3 keeps the voice intact and the run short. The scheduler
+    // keeps any count under the limit — more examples just means more waiting.
     fewShotExamples: 3,
     maxRetries: 3,
     retryDelayMs: 3000,
     // Ceiling on any single backoff wait. Groq's TPM window is 60s, so this
     // must be comfortably above it or a rate-limited retry lands too early.
     maxRetryDelayMs: 90000,
-    // Belt-and-braces pause between platform generations. With the token
-    // budget now fitting inside the limit on its own, this only smooths the
-    // burst rather than being load-bearing.
-    platformSpacingMs: 10000,
+
+    // Token-budget scheduler (shared/token-budget.js). Every call is estimated
+    // and held until its provider's rolling 60s window has room, so the run
+    // paces itself against each provider's `tokensPerMinute` below instead of
+    // fixed sleeps between platforms. Plans against 90% of the published
+    // limit to absorb estimate error.
+    tokenBudget: {
+      windowMs: 60000,
+      headroom: 0.9,
+    },
 
     // Provider chain — tried in order. Skip any entry whose env var is unset.
     // Add new providers by appending here; no code changes required.
@@ -223,6 +459,8 @@ module.exports = {
         url: 'https://api.groq.com/openai/v1/chat/completions',
         envVar: 'GROQ_API_KEY',
         model: 'llama-3.1-8b-instant',
+        // Free-tier limit for this model. Counts requested max_tokens too.
+        tokensPerMinute: 6000,
         extraHeaders: {},
       },
       {
@@ -234,6 +472,7 @@ module.exports = {
         url: 'https://api.groq.com/openai/v1/chat/completions',
         envVar: 'GROQ_API_KEY',
         model: 'llama-3.3-70b-versatile',
+        tokensPerMinute: 12000,
         extraHeaders: {},
       },
       {
@@ -241,7 +480,8 @@ module.exports = {
         url: 'https://openrouter.ai/api/v1/chat/completions',
         envVar: 'OPENROUTER_API_KEY',
         // Larger model on OpenRouter free tier — 70B vs Groq's 8B. Slower but
-        // higher quality, acceptable for an outage fallback.
+        // higher quality, acceptable for an outage fallback. No
+        // tokensPerMinute: OpenRouter limits requests, not tokens.
         model: 'meta-llama/llama-3.3-70b-instruct:free',
         extraHeaders: {
           'HTTP-Referer': 'https://increasingfaith.net',
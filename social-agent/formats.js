@@ -0,0 +1,81 @@
+/**
+ * IFM Social Media Agent — Graphic Formats
+ *
+ * The quote card (graphic.js) and the ad graphic (ad-graphic.js) were
+ * designed as 1080x1080 squares. Every other format re-flows that same
+ * design rather than having a layout of its own:
+ *
+ *   - sizes (fonts, logo, frame inset, QR code) scale with the short side
+ *   - header anchors keep their distance from the top edge, footer anchors
+ *     keep theirs from the bottom edge
+ *   - the text zone between them (the quote, the headline) takes whatever
+ *     height is left, and fitFontSize does the rest
+ *
+ * So the square renders exactly as it always has, and a taller card is the
+ * square with more room for the words.
+ *
+ * Which formats a run renders comes from config.platforms[*].graphicFormats.
+ */
+
+// The size every anchor in the renderers was drawn at.
+const DESIGN_SIZE = 1080;
+
+// `safeTop` / `safeBottom`: bands the app draws its own UI over (profile row,
+// reply box). Header and footer move inside them. `qr`: whether a scannable
+// code fits — a link preview is already a link, and at 630px tall the code
+// would be too small to read anyway.
+const FORMATS = {
+  square: { width: 1080, height: 1080, qr: true },
+  portrait: { width: 1080, height: 1350, qr: true },
+  story: { width: 1080, height: 1920, safeTop: 220, safeBottom: 320, qr: true },
+  landscape: { width: 1200, height: 630, qr: false },
+};
+
+function getFormat(name = 'square') {
+  const format = FORMATS[name];
+  if (!format) {
+    throw new Error(`Unknown graphic format "${name}" (use ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return { name, safeTop: 0, safeBottom: 0, ...format };
+}
+
+// Maps design coordinates onto a format. `top(y)` is for anchors measured
+// from the top of the square, `bottom(y)` for ones in the footer — same y
+// as the square design, re-measured from the bottom edge. `anchor(y)` picks
+// by which half of the square y is in, which is how templates are placed.
+// `px(n)` scales a size.
+function layoutFor(format) {
+  const u = Math.min(format.width, format.height) / DESIGN_SIZE;
+  const top = y => format.safeTop + Math.round(y * u);
+  const bottom = y => format.height - format.safeBottom - Math.round((DESIGN_SIZE - y) * u);
+  return {
+    width: format.width,
+    height: format.height,
+    u,
+    px: n => Math.round(n * u),
+    top,
+    bottom,
+    anchor: y => (y < DESIGN_SIZE / 2 ? top(y) : bottom(y)),
+  };
+}
+
+// Every format the given platforms need, in FORMATS order, square first.
+function formatsFor(platforms) {
+  const wanted = new Set(['square']);
+  for (const platform of platforms) {
+    for (const name of platform.graphicFormats || []) {
+      getFormat(name);
+      wanted.add(name);
+    }
+  }
+  return Object.keys(FORMATS).filter(name => wanted.has(name));
+}
+
+// output/2026-10-19.png → output/2026-10-19-story.png. The square keeps the
+// plain name, which is the one poster.js and review.js look for.
+function formatPath(squarePath, name) {
+  if (name === 'square') return squarePath;
+  return squarePath.replace(/(\.png)?$/, `-${name}.png`);
+}
+
+module.exports = { FORMATS, getFormat, layoutFor, formatsFor, formatPath };
@@ -0,0 +1,271 @@
+/**
+ * Local stand-in for the Facebook/Instagram Graph API endpoints poster.js uses.
+ * Lets the whole posting path run offline, with no Page token and nothing
+ * published by accident.
+ *
+ * Usage:
+ *   node graph-stub.js                   — listen on :4010
+ *   node graph-stub.js --port 5000
+ *   node graph-stub.js --slow-container  — container reports IN_PROGRESS twice first
+ *   node graph-stub.js --fail publish    — make one step return a Graph error
+ *                                          (feed | photos | videos | media | status | publish | insights)
+ *   node graph-stub.js --flaky transfer  — the first call of one video upload phase
+ *                                          fails with a transient error, then succeeds
+ *                                          (start | transfer | finish)
+ *   node graph-stub.js --drop-transfer 2 — cut the connection on the 2nd video transfer,
+ *                                          once, before answering (the chunk is lost)
+ *   node graph-stub.js --chunk 65536     — bytes asked for per video transfer (default 1 MB)
+ *   node graph-stub.js --port 0          — any free port; the first line printed names it
+ *
+ * Then, in another shell:
+ *   GRAPH_API_BASE=http://localhost:4010/v21.0 \
+ *   FACEBOOK_PAGE_TOKEN=stub FACEBOOK_PAGE_ID=100 INSTAGRAM_BUSINESS_ID=200 \
+ *   node poster.js --file ../content/social-posts/<date>.json
+ *
+ * or, for a sermon clip, against a copy of the queue so the stub's video id
+ * never lands in the real one:
+ *   cp ../clips/cloud/queue.json /tmp/queue.json
+ *   node clips.js post /tmp/clip/<file>.mp4 --queue /tmp/queue.json
+ *
+ * Every request is logged, so the container-create → status → publish order,
+ * and a video's start → transfer… → finish, can be read straight off the
+ * console. A transfer must send exactly the range the last response asked
+ * for, as Facebook's does.
+ *
+ * metrics.js reads work too: any id answers engagement fields and insights
+ * with small made-up counts that grow on each read, so repeated snapshots
+ * show a time series. `--fail insights` returns a permissions error for the
+ * insights edges only.
+ */
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const PORT = portIndex !== -1 ? Number(args[portIndex + 1]) : 4010;
+const SLOW_CONTAINER = args.includes('--slow-container');
+const failIndex = args.indexOf('--fail');
+const FAIL_STEP = failIndex !== -1 ? args[failIndex + 1] : null;
+const flakyIndex = args.indexOf('--flaky');
+const FLAKY_PHASE = flakyIndex !== -1 ? args[flakyIndex + 1] : null;
+const chunkIndex = args.indexOf('--chunk');
+const CHUNK = chunkIndex !== -1 ? Number(args[chunkIndex + 1]) : 1048576;
+const dropIndex = args.indexOf('--drop-transfer');
+const DROP_TRANSFER = dropIndex !== -1 ? Number(args[dropIndex + 1]) : null;
+
+let nextId = 1000;
+const newId = () => String(nextId++);
+const containers = new Map(); // id -> { polls, imageUrl, caption }
+const photos = new Map(); // id -> { published }
+const reads = new Map(); // id -> engagement reads so far
+const uploads = new Map(); // upload_session_id -> { videoId, size, received }
+let flaked = false;
+let transfers = 0;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Deterministic per id, and a little higher on every read.
+function fakeCount(id, salt) {
+  const n = reads.get(id) || 0;
+  const seed = [...`${id}${salt}`].reduce((h, c) => (h * 31 + c.charCodeAt(0)) % 997, 7);
+  return (seed % 40) + n * ((seed % 5) + 1);
+}
+
+function graphError(res, message) {
+  send(res, 400, { error: { message: `(stub) ${message}`, type: 'OAuthException', code: 100 } });
+}
+
+// What Graph sends for its retryable "unknown error".
+function transientError(res) {
+  send(res, 500, { error: { message: '(stub) An unknown error has occurred.', type: 'OAuthException', code: 1, is_transient: true } });
+}
+
+// JSON bodies are parsed; multipart uploads are drained and only the small
+// text fields pulled out — the stub never needs the image bytes, only how
+// many there were (`bytes` for the whole body, `fileBytes` for file parts).
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('latin1');
+      const type = req.headers['content-type'] || '';
+      if (type.includes('application/json')) {
+        try { resolve(JSON.parse(raw)); } catch { resolve({}); }
+        return;
+      }
+      const fields = {};
+      const re = /name="([^"]+)"\r\n\r\n([^\r]*)\r\n/g;
+      let match;
+      while ((match = re.exec(raw))) fields[match[1]] = match[2];
+      fields.bytes = raw.length;
+      const boundary = (type.match(/boundary=(.+)$/) || [])[1];
+      const file = /name="[^"]+"; filename="[^"]*"\r\n(?:[^\r]+\r\n)*\r\n/.exec(raw);
+      if (boundary && file) {
+        const from = file.index + file[0].length;
+        fields.fileBytes = raw.indexOf(`\r\n--${boundary}`, from) - from;
+      }
+      resolve(fields);
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  // Drop the version segment: /v21.0/123/feed -> ['123', 'feed']
+  const parts = url.pathname.split('/').filter(Boolean).slice(1);
+  const body = req.method === 'POST' ? await readBody(req) : {};
+  const token = body.access_token || url.searchParams.get('access_token');
+  console.log(`${req.method} ${url.pathname}${url.search ? url.search.replace(/access_token=[^&]+/, 'access_token=…') : ''}`);
+
+  if (!token) return graphError(res, 'An access token is required to request this resource.');
+
+  const [id, edge] = parts;
+
+  if (req.method === 'POST' && edge === 'feed') {
+    if (FAIL_STEP === 'feed') return graphError(res, 'Feed post rejected');
+    return send(res, 200, { id: `${id}_${newId()}` });
+  }
+
+  if (req.method === 'POST' && edge === 'photos') {
+    if (FAIL_STEP === 'photos') return graphError(res, 'Photo upload rejected');
+    const photoId = newId();
+    const published = body.published !== 'false';
+    photos.set(photoId, { published });
+    console.log(`  photo ${photoId} (${body.bytes} bytes, ${published ? 'published' : 'unpublished'})`);
+    return send(res, 200, published ? { id: photoId, post_id: `${id}_${photoId}` } : { id: photoId });
+  }
+
+  if (req.method === 'POST' && edge === 'videos' && body.upload_phase) {
+    if (FAIL_STEP === 'videos') return graphError(res, 'Video upload rejected');
+    const phase = body.upload_phase;
+    if (FLAKY_PHASE === phase && !flaked) {
+      flaked = true;
+      console.log(`  ${phase}: failing once (--flaky)`);
+      return transientError(res);
+    }
+
+    if (phase === 'start') {
+      const size = Number(body.file_size);
+      if (!size) return graphError(res, 'file_size is required');
+      const sessionId = newId();
+      const videoId = newId();
+      uploads.set(sessionId, { videoId, size, received: 0 });
+      console.log(`  session ${sessionId} for video ${videoId} (${size} bytes)`);
+      return send(res, 200, { video_id: videoId, upload_session_id: sessionId, start_offset: '0', end_offset: String(Math.min(CHUNK, size)) });
+    }
+
+    const upload = uploads.get(body.upload_session_id);
+    if (!upload) return graphError(res, `Unknown upload_session_id ${body.upload_session_id}`);
+
+    if (phase === 'transfer') {
+      if (++transfers === DROP_TRANSFER) {
+        console.log(`  transfer ${transfers}: dropping the connection (--drop-transfer)`);
+        return req.socket.destroy();
+      }
+      const start = Number(body.start_offset);
+      const expected = Math.min(upload.received + CHUNK, upload.size) - upload.received;
+      if (start !== upload.received) return graphError(res, `start_offset ${start}, expected ${upload.received}`);
+      if (body.fileBytes !== expected) return graphError(res, `chunk of ${body.fileBytes} bytes, expected ${expected}`);
+      upload.received += expected;
+      console.log(`  session ${body.upload_session_id}: ${upload.received} of ${upload.size} bytes`);
+      return send(res, 200, { start_offset: String(upload.received), end_offset: String(Math.min(upload.received + CHUNK, upload.size)) });
+    }
+
+    if (phase === 'finish') {
+      if (upload.received !== upload.size) return graphError(res, `Upload incomplete: ${upload.received} of ${upload.size} bytes`);
+      const scheduled = body.scheduled_publish_time ? `, scheduled for ${body.scheduled_publish_time}` : '';
+      console.log(`  video ${upload.videoId} finished (${(body.description || '').length} char description${scheduled})`);
+      return send(res, 200, { success: true });
+    }
+    return graphError(res, `Unknown upload_phase ${phase}`);
+  }
+
+  if (req.method === 'POST' && edge === 'videos') {
+    if (FAIL_STEP === 'videos') return graphError(res, 'Video upload rejected');
+    const videoId = newId();
+    console.log(`  video ${videoId} (${body.bytes} bytes, ${(body.description || '').length} char description)`);
+    return send(res, 200, { id: videoId });
+  }
+
+  if (req.method === 'POST' && edge === 'media') {
+    if (FAIL_STEP === 'media') return graphError(res, 'Only photo or video can be accepted as media type.');
+    if (!body.image_url) return graphError(res, 'image_url is required');
+    const containerId = newId();
+    containers.set(containerId, { polls: 0, imageUrl: body.image_url, caption: body.caption });
+    console.log(`  container ${containerId} <- ${body.image_url} (${(body.caption || '').length} char caption)`);
+    return send(res, 200, { id: containerId });
+  }
+
+  if (req.method === 'POST' && edge === 'media_publish') {
+    if (FAIL_STEP === 'publish') return graphError(res, 'Media ID is not available');
+    const container = containers.get(body.creation_id);
+    if (!container) return graphError(res, `Unknown creation_id ${body.creation_id}`);
+    if (SLOW_CONTAINER && container.polls < 3) return graphError(res, 'Media ID is not ready to be published');
+    const mediaId = newId();
+    console.log(`  published container ${body.creation_id} as media ${mediaId}`);
+    return send(res, 200, { id: mediaId });
+  }
+
+  if (req.method === 'GET' && (edge === 'insights' || edge === 'video_insights')) {
+    if (FAIL_STEP === 'insights') return graphError(res, '(#10) Requires read_insights permission');
+    const metrics = (url.searchParams.get('metric') || '').split(',').filter(Boolean);
+    return send(res, 200, {
+      data: metrics.map(name => ({
+        name,
+        period: 'lifetime',
+        values: [{
+          value: name === 'post_clicks_by_type'
+            ? { 'link clicks': fakeCount(id, 'l'), 'other clicks': fakeCount(id, 'o') }
+            : fakeCount(id, name) * 25,
+        }],
+      })),
+    });
+  }
+
+  if (req.method === 'GET' && !edge) {
+    const fields = url.searchParams.get('fields') || '';
+    if (/reactions|like_count|shares/.test(fields)) {
+      reads.set(id, (reads.get(id) || 0) + 1);
+      const body = { id };
+      if (fields.includes('reactions')) body.reactions = { data: [], summary: { total_count: fakeCount(id, 'r') } };
+      if (fields.includes('comments.')) body.comments = { data: [], summary: { total_count: fakeCount(id, 'c') } };
+      if (fields.includes('shares')) body.shares = { count: fakeCount(id, 's') };
+      if (fields.includes('like_count')) body.like_count = fakeCount(id, 'r');
+      if (fields.includes('comments_count')) body.comments_count = fakeCount(id, 'c');
+      if (fields.includes('post_id')) body.post_id = `100_${id}`;
+      return send(res, 200, body);
+    }
+    if (fields.includes('status_code')) {
+      if (FAIL_STEP === 'status') return send(res, 200, { id, status_code: 'ERROR' });
+      const container = containers.get(id);
+      if (!container) return graphError(res, `Unknown container ${id}`);
+      container.polls++;
+      const ready = !SLOW_CONTAINER || container.polls >= 3;
+      return send(res, 200, { id, status_code: ready ? 'FINISHED' : 'IN_PROGRESS' });
+    }
+    if (fields.includes('images')) {
+      if (!photos.has(id)) return graphError(res, `Unknown photo ${id}`);
+      return send(res, 200, {
+        id,
+        images: [
+          { height: 1080, width: 1080, source: `http://localhost:${server.address().port}/cdn/${id}_1080.png` },
+          { height: 720, width: 720, source: `http://localhost:${server.address().port}/cdn/${id}_720.png` },
+        ],
+      });
+    }
+  }
+
+  graphError(res, `Unsupported request: ${req.method} ${url.pathname}`);
+});
+
+server.listen(PORT, () => {
+  console.log(`Graph API stub on http://localhost:${server.address().port}/v21.0`);
+  if (SLOW_CONTAINER) console.log('  containers report IN_PROGRESS for the first two checks');
+  if (FAIL_STEP) console.log(`  failing step: ${FAIL_STEP}`);
+  if (FLAKY_PHASE) console.log(`  first video ${FLAKY_PHASE} fails once`);
+  if (DROP_TRANSFER) console.log(`  video transfer ${DROP_TRANSFER} loses its connection`);
+});
@@ -5,26 +5,47 @@
  * Usage:
  *   node index.js              → Generate and save today's content
  *   node index.js --preview    → Generate and display without saving
- *   node index.js --day 3      → Force a specific day (0=Sun, 6=Sat)
+ *   node index.js --day 3      → Force a specific day (0=Sun, 6=Sat), skipping the calendar
+ *   node index.js --date 2027-03-28 → Generate for a date (content calendar applies)
  */
 
 require('dotenv').config();
-const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
+const { createChatClient } = require('ifm-shared/ai-client');
+const { assertVoice } = require('ifm-shared/voice-lint');
+const { assertScripture, findReferences, validateReference } = require('ifm-shared/scripture');
+const { assertNovel, findNearDuplicates, openingLine } = require('ifm-shared/similarity');
+const { trackedLink } = require('ifm-shared/links');
 const config = require('./config');
 const { renderQuoteGraphic } = require('./graphic');
-
-const BIBLE_BOOKS = '(?:Genesis|Exodus|Leviticus|Numbers|Deuteronomy|Joshua|Judges|Ruth|Samuel|Kings|Chronicles|Ezra|Nehemiah|Esther|Job|Psalms?|Proverbs|Ecclesiastes|Song|Isaiah|Jeremiah|Lamentations|Ezekiel|Daniel|Hosea|Joel|Amos|Obadiah|Jonah|Micah|Nahum|Habakkuk|Zephaniah|Haggai|Zechariah|Malachi|Matthew|Mark|Luke|John|Acts|Romans|Corinthians|Galatians|Ephesians|Philippians|Colossians|Thessalonians|Timothy|Titus|Philemon|Hebrews|James|Peter|Jude|Revelation)';
-const SCRIPTURE_REGEX = new RegExp(`\\b(?:[123]\\s)?${BIBLE_BOOKS}\\s+\\d+:\\d+(?:-\\d+)?\\b`, 'i');
+const { renderQuoteVideo } = require('./quote-video');
+const { pickTemplate } = require('./template-renderer');
+const { pickPhoto } = require('./photos');
+const { qrLink } = require('./qr');
+const { formatsFor, formatPath } = require('./formats');
+const { resolveForDate, isDateString, weekdayOf } = require('./calendar');
+const { scheduledTimeFor } = require('./schedule');
+const { newApproval } = require('./approval');
+const recent = require('./recent');
 
 // ── Helpers ────────────────────────────────────────────
 
-function getDayOfWeek(overrideDay) {
+function getDayOfWeek(overrideDay, date) {
   if (overrideDay !== undefined) return parseInt(overrideDay, 10);
+  if (date) return weekdayOf(date);
   return new Date().getDay();
 }
 
+// The content calendar (content/calendar.json) wins over the weekday rotation
+// for holidays, First Saturday, and sermon series. --day is an explicit
+// request for a weekday theme, so it bypasses the calendar.
+function resolveTheme(date, day, forcedDay) {
+  const weekdayTheme = config.dailyThemes[day];
+  if (forcedDay) return weekdayTheme && { ...weekdayTheme, calendarEntry: null };
+  return resolveForDate(date, 'post', weekdayTheme);
+}
+
 function pickHashtags(theme, platform) {
   const count = config.platforms[platform]?.hashtagCount || 3;
   const pool = [
@@ -40,12 +61,21 @@ function pickHashtags(theme, platform) {
   return [...new Set(shuffled)].slice(0, count);
 }
 
-function buildCTA(theme, platform) {
+// The link carries UTM tags (ifm-shared/links) so the site can see which
+// platform and which day's post sent the visit.
+function buildCTA(theme, platform, date) {
   const linkStyle = config.platforms[platform]?.linkPlacement;
   if (linkStyle === 'bio_reference') {
     return `\n\n${theme.cta} → Link in bio`;
   }
-  return `\n\n${theme.cta}\n${theme.page}`;
+  const link = trackedLink(theme.page, {
+    source: platform,
+    medium: 'social',
+    campaign: 'daily-post',
+    date,
+    theme: theme.calendarEntry || theme.type,
+  });
+  return `\n\n${theme.cta}\n${link}`;
 }
 
 function todayDateString() {
@@ -53,101 +83,25 @@ function todayDateString() {
 }
 
 // ── AI Provider Chain ──────────────────────────────────
-// Tries each provider in config.ai.providers in order. Skips any whose API
-// key env var is unset. Eliminates Groq as a single point of failure: when
-// Groq has an outage, we automatically fall through to OpenRouter.
-
-// A 429 from Groq/OpenRouter tells us exactly how long to wait — either in the
-// `retry-after` header or inside the message ("Please try again in 7.5s").
-// Reading that hint is the difference between a retry that works and three
-// retries that all burn inside the same rate-limit window.
-function parseRetryAfterMs(response, body) {
-  const header = response.headers.get('retry-after');
-  const headerSeconds = Number(header);
-  if (header && Number.isFinite(headerSeconds)) return headerSeconds * 1000;
-
-  const match = body.match(/try again in ([\d.]+)\s*(ms|s|m)\b/i);
-  if (!match) return null;
-  const value = Number(match[1]);
-  const unit = match[2].toLowerCase();
-  if (unit === 'ms') return value;
-  if (unit === 'm') return value * 60000;
-  return value * 1000;
-}
-
-async function callChatAPI({ messages, maxTokens, temperature, timeoutMs = 30000 }) {
-  const providers = config.ai.providers || [];
-  const errors = [];
-  // Longest wait any provider asked for, surfaced to the retry wrapper below.
-  let retryAfterMs = null;
-
-  for (const provider of providers) {
-    const apiKey = process.env[provider.envVar];
-    if (!apiKey) {
-      errors.push(`${provider.name}: ${provider.envVar} not set`);
-      continue;
-    }
-
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+// The chain itself (fallback order, rate-limit hints, timeouts) lives in the
+// shared ai-client so the newsletter agent gets the same resilience. This
+// wrapper binds it to config.ai, keeping the callChatAPI({ messages, ... })
+// signature every caller here already uses.
 
-    try {
-      const response = await fetch(provider.url, {
-        method: 'POST',
-        signal: controller.signal,
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          ...provider.extraHeaders,
-        },
-        body: JSON.stringify({
-          model: provider.model,
-          messages,
-          max_tokens: maxTokens,
-          temperature,
-        }),
-      });
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        const errBody = await response.text();
-        const httpError = new Error(`${provider.name} ${response.status}: ${errBody.slice(0, 200)}`);
-        if (response.status === 429) {
-          httpError.retryAfterMs = parseRetryAfterMs(response, errBody);
-        }
-        throw httpError;
-      }
-
-      const data = await response.json();
-      const content = data.choices?.[0]?.message?.content?.trim();
-      if (!content) throw new Error(`${provider.name} returned empty content`);
+const ai = createChatClient(config.ai);
 
-      // Visible breadcrumb when we fall back — makes Groq outages obvious in logs
-      if (provider !== providers[0]) {
-        console.log(`  [ai] Fallback provider succeeded: ${provider.name}`);
-      }
-      return content;
-    } catch (err) {
-      clearTimeout(timeout);
-      const reason = err.name === 'AbortError'
-        ? `timeout after ${timeoutMs}ms`
-        : err.message;
-      console.warn(`  [ai] ${provider.name} failed: ${reason}`);
-      errors.push(`${provider.name}: ${reason}`);
-      if (err.retryAfterMs) {
-        retryAfterMs = Math.max(retryAfterMs || 0, err.retryAfterMs);
-      }
-    }
-  }
-
-  const allFailed = new Error(`All AI providers failed.\n  - ${errors.join('\n  - ')}`);
-  if (retryAfterMs !== null) allFailed.retryAfterMs = retryAfterMs;
-  throw allFailed;
+function callChatAPI(options) {
+  return ai.callChatAPI(options);
 }
 
 // ── AI Content Generation ──────────────────────────────
 
-async function generateContent(theme, platform) {
+// `finalAttempt` relaxes only the length rule: on the last try, trimming at a
+// sentence boundary beats losing the platform for the day. Banned phrases and
+// emoji are never let through. `recentPosts` (from recent.js) steers the
+// prompt away from recent scriptures and is what the novelty check compares
+// against.
+async function generateContent(theme, platform, { finalAttempt = false, recentPosts = [] } = {}) {
   const platformConfig = config.platforms[platform];
 
   const systemPrompt = [
@@ -165,6 +119,7 @@ async function generateContent(theme, platform) {
   const userPrompt = [
     `Today's content type: ${theme.label}`,
     `\nInstructions:\n${theme.prompt}`,
+    recent.buildRecentNote(recentPosts),
     `\nWrite one ${platform} post. Stay under ${platformConfig.maxLength} characters.`,
   ].join('\n');
 
@@ -178,6 +133,34 @@ async function generateContent(theme, platform) {
     timeoutMs: 30000,
   });
 
+  // Every reference is checked against the bundled KJV: a made-up chapter or
+  // verse throws (regenerate), an overlong range is trimmed, and a misquoted
+  // verse is replaced with the real text. Runs before the length check so a
+  // substituted verse still has to fit the platform.
+  content = assertScripture(content);
+
+  // Throws on a violation, which generateWithRetry turns into a regeneration.
+  assertVoice(content, config.voice, {
+    maxLength: platformConfig.maxLength,
+    emoji: platformConfig.emoji,
+    ignore: finalAttempt ? ['length'] : [],
+  });
+
+  // Same post as last week with a few words moved, or the same opening line:
+  // throw and regenerate.
+  const { novelty } = config;
+  assertNovel(content, recent.postCorpus(recentPosts), {
+    threshold: novelty.threshold,
+    n: novelty.shingleSize,
+    label: 'post',
+  });
+  assertNovel(openingLine(content), recent.openingCorpus(recentPosts), {
+    threshold: novelty.openingThreshold,
+    n: novelty.shortShingleSize,
+    minWords: novelty.minOpeningWords,
+    label: 'opening line',
+  });
+
   // Enforce character limit (trim gracefully at last sentence)
   if (content.length > platformConfig.maxLength) {
     const trimmed = content.substring(0, platformConfig.maxLength);
@@ -243,45 +226,60 @@ function sanitizeForGraphic(text) {
     .trim();
 }
 
-function heuristicPullQuote(postText) {
+function pullQuoteCandidates(postText) {
   const sentences = postText.match(/[^.!?]+[.!?]+/g) || [postText];
-  const declarative = sentences
+  return sentences
     .map(s => s.trim())
     .filter(s => s.length > 20 && s.length <= 90 && !s.endsWith('?'))
     .sort((a, b) => b.length - a.length); // prefer longer/meatier
-  return declarative[0] || sentences[0]?.trim() || postText.substring(0, 90);
 }
 
+function heuristicPullQuote(postText) {
+  const sentences = postText.match(/[^.!?]+[.!?]+/g) || [postText];
+  return pullQuoteCandidates(postText)[0] || sentences[0]?.trim() || postText.substring(0, 90);
+}
+
+// The recent cards whose quote is too close to `quote`.
+function quoteRepeats(quote, recentPosts) {
+  const options = { threshold: config.novelty.quoteThreshold, n: config.novelty.shortShingleSize };
+  return findNearDuplicates(quote, recent.pullQuoteCorpus(recentPosts), options);
+}
+
+// The card is the most shared thing we post, so a line that was already on a
+// recent card is swapped for the next-best sentence of today's post. If every
+// candidate repeats, the original stands — a familiar card beats no card.
+function avoidRecentQuote(quote, postText, recentPosts) {
+  const repeats = quoteRepeats(quote, recentPosts);
+  if (!repeats.length) return quote;
+
+  const alternative = pullQuoteCandidates(postText)
+    .map(sanitizeForGraphic)
+    .find(candidate => !quoteRepeats(candidate, recentPosts).length);
+  process.stdout.write(alternative
+    ? ` repeats ${repeats[0].id}, re-picked…`
+    : ` repeats ${repeats[0].id}, no fresh line in the post — keeping it…`);
+  return alternative || quote;
+}
+
+// First reference in the post that exists, in canonical form. The post has
+// already been through assertScripture, so this is belt and braces for a
+// card that will be screenshotted and shared.
 function pickAttribution(postText, themeLabel) {
-  const m = postText.match(SCRIPTURE_REGEX);
-  if (m) return m[0].trim();
+  for (const ref of findReferences(postText)) {
+    const result = validateReference(ref);
+    if (result.status !== 'invalid') return result.ref.canonical;
+  }
   return themeLabel;
 }
 
 // ── Retry Wrapper ──────────────────────────────────────
 
-async function generateWithRetry(theme, platform) {
-  let lastError;
-  for (let attempt = 1; attempt <= config.ai.maxRetries; attempt++) {
-    try {
-      return await generateContent(theme, platform);
-    } catch (err) {
-      lastError = err;
-      console.error(`  [${platform}] Attempt ${attempt} failed: ${err.message}`);
-      if (attempt < config.ai.maxRetries) {
-        // Rate limits are per-minute, so a fixed 3s delay retries inside the
-        // same window and fails again. Honor the provider's own wait hint
-        // (plus a 1s cushion); otherwise back off exponentially.
-        const wait = Math.min(
-          err.retryAfterMs ? err.retryAfterMs + 1000 : config.ai.retryDelayMs * 2 ** (attempt - 1),
-          config.ai.maxRetryDelayMs
-        );
-        console.error(`  [${platform}] Waiting ${Math.round(wait / 1000)}s before retry`);
-        await new Promise(r => setTimeout(r, wait));
-      }
-    }
-  }
-  throw lastError;
+async function generateWithRetry(theme, platform, recentPosts = []) {
+  const maxRetries = config.ai.maxRetries;
+  return ai.withRetry(
+    (attempt) => generateContent(theme, platform, { finalAttempt: attempt === maxRetries, recentPosts }),
+    { label: platform, maxRetries }
+  );
 }
 
 // ── Main Pipeline ──────────────────────────────────────
@@ -291,50 +289,65 @@ async function main() {
   const preview = args.includes('--preview');
   const dayIndex = args.indexOf('--day');
   const forceDay = dayIndex !== -1 ? args[dayIndex + 1] : undefined;
+  const dateIndex = args.indexOf('--date');
+  const forceDate = dateIndex !== -1 ? args[dateIndex + 1] : undefined;
+  if (dateIndex !== -1 && !isDateString(forceDate)) {
+    console.error(`ERROR: --date needs a real date as YYYY-MM-DD (got "${forceDate ?? ''}")`);
+    process.exit(1);
+  }
 
-  // Validate API key
-  if (!process.env.GROQ_API_KEY) {
-    console.error('ERROR: GROQ_API_KEY environment variable is required');
+  // Validate API keys — any one provider in the chain is enough
+  if (!ai.hasAnyProvider()) {
+    const vars = [...new Set(config.ai.providers.map(p => p.envVar))].join(' or ');
+    console.error(`ERROR: No AI provider key set (need ${vars})`);
     process.exit(1);
   }
 
-  const day = getDayOfWeek(forceDay);
-  const theme = config.dailyThemes[day];
+  const date = forceDate || todayDateString();
+  const day = getDayOfWeek(forceDay, forceDate);
+  const theme = resolveTheme(date, day, forceDay !== undefined);
 
   if (!theme) {
     console.error(`ERROR: No theme configured for day ${day}`);
     process.exit(1);
   }
 
-  console.log(`\n📅 ${todayDateString()} — ${theme.label} (Day ${day})`);
+  console.log(`\n📅 ${date} — ${theme.label} (Day ${day})`);
+  if (theme.calendarEntry) console.log(`🗓️  Calendar: ${theme.calendarEntry}`);
   console.log(`🔗 Target page: ${theme.page}\n`);
 
   const platforms = Object.keys(config.platforms);
   const results = {};
 
+  const recentPosts = recent.loadRecentPosts(date, config.novelty.lookbackDays);
+  console.log(`  Checking against ${recentPosts.length} posts from the last ${config.novelty.lookbackDays} days`);
+
+  // All platforms are requested at once. The token-budget scheduler in the
+  // shared AI client holds each call until Groq's per-minute window has room
+  // (or routes it to a provider that does), so there are no sleeps here.
+  console.log(`  Generating ${platforms.join(', ')}...`);
+  const settled = await Promise.allSettled(
+    platforms.map(platform => generateWithRetry(theme, platform, recentPosts))
+  );
+
   for (const [i, platform] of platforms.entries()) {
-    // Every prompt carries the full sermon corpus as voice examples, so three
-    // back-to-back calls blow past Groq's 6000 tokens/min. Spacing them out
-    // keeps us under the limit instead of relying on the retry to rescue us.
-    if (i > 0 && config.ai.platformSpacingMs) {
-      await new Promise(r => setTimeout(r, config.ai.platformSpacingMs));
-    }
-    process.stdout.write(`  Generating ${platform}...`);
-    try {
-      const content = await generateWithRetry(theme, platform);
+    const outcome = settled[i];
+    if (outcome.status === 'fulfilled') {
+      const content = outcome.value;
       const hashtags = pickHashtags(theme, platform);
-      const cta = buildCTA(theme, platform);
+      const cta = buildCTA(theme, platform, date);
 
       results[platform] = {
         content,
         hashtags,
         cta,
         fullPost: `${content}${cta}\n\n${hashtags.join(' ')}`,
+        scheduledFor: scheduledTimeFor(date, platform, config.postingSchedule),
       };
-      console.log(` ✓ (${content.length} chars)`);
-    } catch (err) {
-      console.error(` ✗ FAILED: ${err.message}`);
-      results[platform] = { error: err.message };
+      console.log(`  ${platform} ✓ (${content.length} chars)`);
+    } else {
+      console.error(`  ${platform} ✗ FAILED: ${outcome.reason.message}`);
+      results[platform] = { error: outcome.reason.message };
     }
   }
 
@@ -345,6 +358,7 @@ async function main() {
   if (results.facebook && !results.facebook.error) {
     process.stdout.write('  Extracting pull quote...');
     pullQuote = await extractPullQuote(results.facebook.content);
+    pullQuote = avoidRecentQuote(pullQuote, results.facebook.content, recentPosts);
     attribution = pickAttribution(results.facebook.content, theme.label);
     console.log(` ✓ "${pullQuote}" — ${attribution}`);
 
@@ -352,18 +366,120 @@ async function main() {
     try {
       const outDir = path.join(__dirname, 'output');
       fs.mkdirSync(outDir, { recursive: true });
-      graphicPath = path.join(outDir, `${todayDateString()}.png`);
-      await renderQuoteGraphic({ quote: pullQuote, attribution, outputPath: graphicPath });
+      graphicPath = path.join(outDir, `${date}.png`);
+      const qr = config.qr.quoteCard ? qrLink(theme.page, { campaign: 'daily-post', date }) : null;
+      // Seasonal templates (Advent, Easter week…) take over on their dates.
+      // On an everyday card, a library photo that suits the theme goes behind
+      // the quote if one is free this week.
+      let template = pickTemplate('quote', date, theme.graphic);
+      let photo = null;
+      if (template === 'quote-card' && config.photoCards.enabled) {
+        photo = pickPhoto(theme.type, date, recentPosts, config.photoCards);
+        if (photo) template = config.photoCards.template;
+      }
+      try {
+        await renderQuoteGraphic({ quote: pullQuote, attribution, outputPath: graphicPath, style: theme.graphic, qr, template, photo });
+      } catch (err) {
+        if (!err.problems) throw err;
+        // The legibility check rejected the card (see legibility.js). One
+        // more try: the plain card instead of the photo, and if the quote ran
+        // over, the post's shortest quotable sentence that was not on a
+        // recent card (the shortest of all if every one was).
+        process.stdout.write(` ${err.message} — retrying…`);
+        if (photo) {
+          template = 'quote-card';
+          photo = null;
+        }
+        if (err.problems.some(p => p.layer === 'quote' && p.kind === 'overflow')) {
+          const shortestFirst = pullQuoteCandidates(results.facebook.content).map(sanitizeForGraphic).reverse();
+          const shortest = shortestFirst.find(candidate => !quoteRepeats(candidate, recentPosts).length) || shortestFirst[0];
+          if (shortest) pullQuote = shortest;
+        }
+        await renderQuoteGraphic({ quote: pullQuote, attribution, outputPath: graphicPath, style: theme.graphic, qr, template, photo });
+      }
       console.log(` ✓ ${graphicPath}`);
       results.facebook.graphicPath = graphicPath;
       results.facebook.pullQuote = pullQuote;
       results.facebook.attribution = attribution;
+      // Lets poster.js redraw the identical card on a runner that never had it.
+      results.facebook.graphicStyle = theme.graphic || null;
+      results.facebook.graphicQr = qr;
+      results.facebook.graphicTemplate = template;
+      results.facebook.graphicPhoto = photo;
+      // Same square card goes to Instagram, which cannot post without one.
+      if (results.instagram && !results.instagram.error) {
+        results.instagram.graphicPath = graphicPath;
+      }
     } catch (err) {
       console.error(` ✗ FAILED: ${err.message}`);
       // Non-fatal — text-only post will still go out
     }
   }
 
+  // -- The same card in every other size the day's platforms need --
+  // Posting still uses the square; these are for stories, covers and link
+  // previews, and land next to it in output/ (uploaded with the run's artifacts).
+  if (graphicPath && results.facebook.graphicPath) {
+    const live = platforms.filter(p => !results[p].error);
+    for (const format of formatsFor(live.map(p => config.platforms[p])).filter(f => f !== 'square')) {
+      const outputPath = formatPath(graphicPath, format);
+      try {
+        await renderQuoteGraphic({
+          quote: pullQuote,
+          attribution,
+          outputPath,
+          style: theme.graphic,
+          qr: results.facebook.graphicQr,
+          template: results.facebook.graphicTemplate,
+          photo: results.facebook.graphicPhoto,
+          format,
+        });
+        console.log(`  ${format} ✓ ${outputPath}`);
+        for (const platform of live) {
+          if (!(config.platforms[platform].graphicFormats || []).includes(format)) continue;
+          results[platform].graphicPaths = { ...results[platform].graphicPaths, [format]: outputPath };
+        }
+      } catch (err) {
+        console.error(`  ${format} ✗ FAILED: ${err.message}`);
+      }
+    }
+  }
+
+  // -- The card as a short video, on days whose theme asks for one --
+  // Facebook posts it in place of the still (poster.js); a failed render
+  // just leaves the still.
+  if (graphicPath && results.facebook.graphicPath && theme.video && config.video.enabled) {
+    results.facebook.graphicVideo = true;
+    const byFormat = {};
+    for (const [platform, format] of Object.entries(config.video.platforms)) {
+      if (!results[platform] || results[platform].error) continue;
+      (byFormat[format] = byFormat[format] || []).push(platform);
+    }
+    for (const [format, videoPlatforms] of Object.entries(byFormat)) {
+      const outputPath = formatPath(graphicPath, format).replace(/\.png$/, '.mp4');
+      process.stdout.write(`  Rendering ${format} video...`);
+      try {
+        await renderQuoteVideo({
+          quote: pullQuote,
+          attribution,
+          outputPath,
+          style: theme.graphic,
+          qr: results.facebook.graphicQr,
+          template: results.facebook.graphicTemplate,
+          photo: results.facebook.graphicPhoto,
+          format,
+          seconds: config.video.seconds,
+          fps: config.video.fps,
+          audio: config.video.audio,
+        });
+        console.log(` ✓ ${outputPath}`);
+        for (const platform of videoPlatforms) results[platform].videoPath = outputPath;
+      } catch (err) {
+        console.error(` ✗ FAILED: ${err.message}`);
+      }
+    }
+  }
+
   // Display results
   console.log('\n' + '═'.repeat(60));
   for (const [platform, result] of Object.entries(results)) {
@@ -372,6 +488,7 @@ async function main() {
     if (result.error) {
       console.log(`  ERROR: ${result.error}`);
     } else {
+      if (result.scheduledFor) console.log(`  (scheduled for ${result.scheduledFor})\n`);
       console.log(result.fullPost);
     }
   }
@@ -398,15 +515,17 @@ async function main() {
     const outputDir = path.join(__dirname, '..', 'content', 'social-posts');
     fs.mkdirSync(outputDir, { recursive: true });
 
-    const outputFile = path.join(outputDir, `${todayDateString()}.json`);
+    const outputFile = path.join(outputDir, `${date}.json`);
     const output = {
-      date: todayDateString(),
+      date,
       day,
       theme: theme.label,
       themeType: theme.type,
       targetPage: theme.page,
+      calendarEntry: theme.calendarEntry,
       posts: results,
       generatedAt: new Date().toISOString(),
+      approval: newApproval(),
     };
 
     fs.writeFileSync(outputFile, JSON.stringify(output, null, 2));
@@ -427,6 +546,7 @@ if (require.main === module) {
   });
 }
 
-// callChatAPI and sanitizeForGraphic are exported so ad.js reuses the same
-// provider fallback chain and text cleanup rather than duplicating them.
+// sanitizeForGraphic is exported so ad.js reuses the same text cleanup rather
+// than duplicating it. callChatAPI stays exported for existing callers; new
+// code should build its own client from ifm-shared/ai-client.
 module.exports = { main, generateContent, generateWithRetry, callChatAPI, sanitizeForGraphic };
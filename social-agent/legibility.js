@@ -0,0 +1,142 @@
+/**
+ * IFM Social Media Agent — Legibility Check
+ *
+ * Runs on every graphic template-renderer.js draws, before the PNG is
+ * written. fitFontSize shrinks a long quote only as far as the template's
+ * minSize and then lets it run past its box; a photo or a glow can put pale
+ * pixels behind pale text. Neither shows up anywhere but on the page.
+ *
+ * Each text layer is checked for:
+ *
+ *   - overflow   wrapped text taller than its box, a line wider than its
+ *                margins, lines dropped past maxLines, or ink outside the
+ *                safe area (inside the frame, clear of the format's app-UI
+ *                bands — see formats.js)
+ *   - contrast   WCAG 2 contrast between the text color and the pixels
+ *                behind it, taken at the worst tenth of them so a bright
+ *                patch under one word still counts
+ *
+ * Either rejects the card. A wrapped text that only fit at its minSize is
+ * flagged with a warning: legible today, but a longer line will not be.
+ */
+
+// Text inside this far from the edges (design pixels) — the gold frame
+// every template draws.
+const SAFE_MARGIN = 40;
+
+// WCAG 2 AA. "Large" is 24px, or 18.66px bold, at the 1080 design size.
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE = 3;
+
+// Share of the backdrop allowed to fall below the minimum. Anti-aliased
+// glyph edges and the odd highlight in a photo should not fail a card.
+const WORST_SHARE = 0.1;
+
+// Every other pixel each way is plenty to find a bright patch.
+const SAMPLE_STEP = 2;
+
+// '#ffd700', '#fff', 'rgb(…)' or 'rgba(…)' → [r, g, b, a]. Anything else
+// (a gradient, a named color) is not checked.
+function parseColor(color) {
+  if (typeof color !== 'string') return null;
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+  }
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+  if (rgb) return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), rgb[4] === undefined ? 1 : Number(rgb[4])];
+  return null;
+}
+
+function channel(value) {
+  const c = value / 255;
+  return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function luminance(r, g, b) {
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function contrastRatio(a, b) {
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+// Contrast of `color` against `backdrop` (ImageData of what was under the
+// text before it was drawn), at the WORST_SHARE quantile. A translucent
+// color is blended over each pixel first, as the canvas would.
+function backdropContrast(backdrop, color) {
+  const [r, g, b, a] = color;
+  const ratios = [];
+  for (let y = 0; y < backdrop.height; y += SAMPLE_STEP) {
+    for (let x = 0; x < backdrop.width; x += SAMPLE_STEP) {
+      const i = (y * backdrop.width + x) * 4;
+      const [br, bg, bb] = [backdrop.data[i], backdrop.data[i + 1], backdrop.data[i + 2]];
+      const text = luminance(r * a + br * (1 - a), g * a + bg * (1 - a), b * a + bb * (1 - a));
+      ratios.push(contrastRatio(text, luminance(br, bg, bb)));
+    }
+  }
+  if (!ratios.length) return Infinity;
+  ratios.sort((x, y) => x - y);
+  return ratios[Math.floor(ratios.length * WORST_SHARE)];
+}
+
+// `texts`: what template-renderer.js recorded per text layer — { name, rect,
+// designSize, bold, color, backdrop, overflow, atMinSize }. `area`: the
+// safe rectangle for the format. Returns { problems, warnings }.
+function checkTexts(texts, area) {
+  const problems = [];
+  const warnings = [];
+
+  for (const t of texts) {
+    if (t.overflow) problems.push({ layer: t.name, kind: 'overflow', message: `${t.name} ${t.overflow}` });
+
+    const { left, top, right, bottom } = t.rect;
+    if (left < area.left || top < area.top || right > area.right || bottom > area.bottom) {
+      problems.push({ layer: t.name, kind: 'overflow', message: `${t.name} runs outside the safe area` });
+    }
+
+    const color = parseColor(t.color);
+    if (color && t.backdrop) {
+      const large = t.designSize >= 24 || (t.bold && t.designSize >= 18.66);
+      const minimum = large ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+      const ratio = backdropContrast(t.backdrop, color);
+      if (ratio < minimum) {
+        problems.push({
+          layer: t.name,
+          kind: 'contrast',
+          ratio,
+          message: `${t.name} contrast ${ratio.toFixed(2)}:1 (needs ${minimum}:1)`,
+        });
+      }
+    }
+
+    if (t.atMinSize) warnings.push(`${t.name} only fit at its minimum size`);
+  }
+  return { problems, warnings };
+}
+
+// The safe area of a layout from formats.js, in canvas pixels.
+function safeArea(format, layout) {
+  const margin = layout.px(SAFE_MARGIN);
+  return {
+    left: margin,
+    right: format.width - margin,
+    top: Math.max(margin, format.safeTop),
+    bottom: format.height - Math.max(margin, format.safeBottom),
+  };
+}
+
+// Throws when any text fails; warnings are only logged. `label` names the
+// card in both ("quote-card (story)").
+function assertLegible(texts, area, label) {
+  const { problems, warnings } = checkTexts(texts, area);
+  for (const warning of warnings) console.warn(`\n  ${label}: ${warning}`);
+  if (problems.length) {
+    const err = new Error(`Legibility check rejected ${label} — ${problems.map(p => p.message).join('; ')}`);
+    err.problems = problems;
+    throw err;
+  }
+}
+
+module.exports = { parseColor, contrastRatio, checkTexts, safeArea, assertLegible };
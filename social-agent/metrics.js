@@ -0,0 +1,292 @@
+/**
+ * IFM Social Media Agent — Engagement Metrics
+ *
+ * Goes back to everything we have posted and asks the Graph API how it did:
+ * reactions, comments, shares, and reach. Each run appends one snapshot per
+ * item, so the files build up a time series — how fast a post took off, not
+ * just where it ended up.
+ *
+ * What gets measured:
+ *   content/social-archive/<date>.json  — Facebook and Instagram postIds
+ *   content/ad-archive/<date>.json      — the website ad's Facebook postId
+ *   clips/cloud/queue.json              — every posted clip's video_id
+ *
+ * Where the snapshots go (next to what they measure):
+ *   content/social-metrics/<date>.json
+ *   content/ad-metrics/<date>.json
+ *   clips/cloud/metrics.json
+ *
+ * Usage:
+ *   node metrics.js          — Snapshot everything posted in the last
+ *                              metrics.maxAgeDays days
+ *   node metrics.js --all    — Snapshot everything, however old
+ *   node metrics.js --test   — Fetch and print, write nothing
+ *
+ * Facebook posts also record `clicks` (link clicks), which ad-variants.js
+ * uses to score the website ad's copy variants.
+ *
+ * Required environment variables:
+ *   FACEBOOK_PAGE_TOKEN  — Page token; reach needs the read_insights
+ *                          permission (instagram_manage_insights for Instagram)
+ *
+ * Optional:
+ *   GRAPH_API_BASE       — Override the Graph API root (see graph-stub.js)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { graphRequest } = require('./poster');
+
+const ROOT = path.join(__dirname, '..');
+const QUEUE_FILE = path.join(ROOT, 'clips', 'cloud', 'queue.json');
+const CLIP_METRICS_FILE = path.join(ROOT, 'clips', 'cloud', 'metrics.json');
+
+// ── Collecting What Was Posted ─────────────────────────
+// Each target is { kind, id, publishedAt, file, key, meta }: `file` and `key`
+// say where its snapshots are kept, `meta` is copied into that entry once.
+
+function readJSON(file, fallback = null) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function listArchive(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f)).sort();
+}
+
+// Test-mode results and manual-copy placeholders have no real post behind them.
+function isRealPost(result) {
+  return result && result.success && result.postId && !result.test;
+}
+
+const KIND_BY_PLATFORM = {
+  facebook: 'facebook_post',
+  instagram: 'instagram_media',
+};
+
+function socialTargets() {
+  const archiveDir = path.join(ROOT, 'content', 'social-archive');
+  const metricsDir = path.join(ROOT, 'content', 'social-metrics');
+  const targets = [];
+
+  for (const name of listArchive(archiveDir)) {
+    const archive = readJSON(path.join(archiveDir, name));
+    if (!archive || archive.testMode) continue;
+    for (const [platform, result] of Object.entries(archive.postingResults || {})) {
+      if (!KIND_BY_PLATFORM[platform] || !isRealPost(result)) continue;
+      targets.push({
+        // A quote-card video's postId is the video's id, not a feed post's.
+        kind: result.mode === 'video' ? 'facebook_video' : KIND_BY_PLATFORM[platform],
+        id: result.postId,
+        // A post handed to Facebook's scheduler goes live at scheduledFor.
+        publishedAt: result.scheduledFor || result.attemptedAt || archive.postedAt || `${archive.date}T12:00:00Z`,
+        file: path.join(metricsDir, name),
+        key: platform,
+        meta: { date: archive.date },
+      });
+    }
+  }
+  return targets;
+}
+
+function adTargets() {
+  const archiveDir = path.join(ROOT, 'content', 'ad-archive');
+  const metricsDir = path.join(ROOT, 'content', 'ad-metrics');
+  const targets = [];
+
+  for (const name of listArchive(archiveDir)) {
+    const archive = readJSON(path.join(archiveDir, name));
+    if (!archive || archive.testMode || !isRealPost(archive.postingResult)) continue;
+    targets.push({
+      kind: 'facebook_post',
+      id: archive.postingResult.postId,
+      publishedAt: archive.postedAt || `${archive.date}T12:00:00Z`,
+      file: path.join(metricsDir, name),
+      key: 'facebook',
+      meta: { date: archive.date },
+    });
+  }
+  return targets;
+}
+
+function clipTargets() {
+  const queue = readJSON(QUEUE_FILE, { clips: [] });
+  return (queue.clips || [])
+    .filter(clip => clip.posted && clip.video_id)
+    .map(clip => ({
+      kind: 'facebook_video',
+      id: clip.video_id,
+      publishedAt: clip.posted_at || clip.added_at,
+      file: CLIP_METRICS_FILE,
+      key: clip.video_id,
+      meta: { file: clip.file },
+    }));
+}
+
+// ── Graph Fetchers ─────────────────────────────────────
+// Counts come from the object itself; reach is an insight, which needs an
+// extra permission. A missing permission costs the reach figure only — the
+// counts still get recorded, and the warning says why reach is null.
+
+const token = () => process.env.FACEBOOK_PAGE_TOKEN;
+
+const COUNT_FIELDS = 'reactions.summary(total_count).limit(0),comments.summary(total_count).limit(0)';
+
+function insightValue(data, name) {
+  const metric = (data.data || []).find(m => m.name === name);
+  const value = metric && metric.values && metric.values[0] && metric.values[0].value;
+  return typeof value === 'number' ? value : null;
+}
+
+// post_clicks_by_type is an object keyed by click kind; only link clicks mean
+// someone left Facebook for the site.
+function linkClicks(data) {
+  const metric = (data.data || []).find(m => m.name === 'post_clicks_by_type');
+  const value = metric && metric.values && metric.values[0] && metric.values[0].value;
+  return value && typeof value === 'object' ? (value['link clicks'] || 0) : null;
+}
+
+const insightWarnings = new Set();
+
+async function fetchInsight(pathname, metrics) {
+  try {
+    return await graphRequest('GET', pathname, { metric: metrics, access_token: token() });
+  } catch (err) {
+    const edge = pathname.split('/').pop();
+    if (!insightWarnings.has(edge)) {
+      insightWarnings.add(edge);
+      console.warn(`  ! ${edge} unavailable (${err.message}) — reach left empty`);
+    }
+    return { data: [] };
+  }
+}
+
+async function facebookPost(id) {
+  const post = await graphRequest('GET', id, { fields: `${COUNT_FIELDS},shares`, access_token: token() });
+  const insights = await fetchInsight(`${id}/insights`, 'post_impressions_unique,post_clicks_by_type');
+  return {
+    reactions: post.reactions?.summary?.total_count ?? 0,
+    comments: post.comments?.summary?.total_count ?? 0,
+    // Facebook omits `shares` entirely until the first one.
+    shares: post.shares?.count ?? 0,
+    reach: insightValue(insights, 'post_impressions_unique'),
+    // Click-through for the website ad's A/B test (ad-variants.js).
+    clicks: linkClicks(insights),
+  };
+}
+
+async function instagramMedia(id) {
+  const media = await graphRequest('GET', id, { fields: 'like_count,comments_count', access_token: token() });
+  const insights = await fetchInsight(`${id}/insights`, 'reach,shares');
+  return {
+    reactions: media.like_count ?? 0,
+    comments: media.comments_count ?? 0,
+    shares: insightValue(insights, 'shares'),
+    reach: insightValue(insights, 'reach'),
+  };
+}
+
+// A video has no share count of its own; the Page post that carries it does.
+async function facebookVideo(id) {
+  const video = await graphRequest('GET', id, { fields: `${COUNT_FIELDS},post_id`, access_token: token() });
+  const insights = await fetchInsight(`${id}/video_insights`, 'total_video_impressions_unique');
+  let shares = null;
+  if (video.post_id) {
+    const post = await graphRequest('GET', video.post_id, { fields: 'shares', access_token: token() });
+    shares = post.shares?.count ?? 0;
+  }
+  return {
+    reactions: video.reactions?.summary?.total_count ?? 0,
+    comments: video.comments?.summary?.total_count ?? 0,
+    shares,
+    reach: insightValue(insights, 'total_video_impressions_unique'),
+  };
+}
+
+const FETCHERS = {
+  facebook_post: facebookPost,
+  instagram_media: instagramMedia,
+  facebook_video: facebookVideo,
+};
+
+// ── Snapshot Storage ───────────────────────────────────
+// One metrics file per archive file (one shared file for clips), shaped
+//   { items: { <key>: { kind, id, ...meta, snapshots: [{ at, reactions, … }] } } }
+
+function lastSnapshot(target) {
+  const stored = readJSON(target.file, { items: {} });
+  const entry = stored.items && stored.items[target.key];
+  return entry && entry.snapshots.length ? entry.snapshots[entry.snapshots.length - 1] : null;
+}
+
+function saveSnapshot(target, snapshot) {
+  const stored = readJSON(target.file, { items: {} });
+  stored.items = stored.items || {};
+  const entry = stored.items[target.key] || { kind: target.kind, id: target.id, ...target.meta, snapshots: [] };
+  entry.snapshots.push(snapshot);
+  stored.items[target.key] = entry;
+  fs.mkdirSync(path.dirname(target.file), { recursive: true });
+  fs.writeFileSync(target.file, JSON.stringify(stored, null, 2));
+}
+
+// ── Main ───────────────────────────────────────────────
+
+function isDueForSnapshot(target, now, { all, maxAgeDays, minIntervalHours }) {
+  const ageDays = (now - new Date(target.publishedAt)) / 86400000;
+  if (ageDays < 0) return false; // scheduled, not live yet
+  if (!all && ageDays > maxAgeDays) return false;
+  const last = lastSnapshot(target);
+  return !last || (now - new Date(last.at)) / 3600000 >= minIntervalHours;
+}
+
+async function collect({ all = false, testMode = false, now = new Date() } = {}) {
+  const targets = [...socialTargets(), ...adTargets(), ...clipTargets()]
+    .filter(target => isDueForSnapshot(target, now, { all, ...config.metrics }));
+
+  console.log(`\n📈 Engagement snapshot — ${targets.length} item(s) due${testMode ? ' (TEST MODE)' : ''}\n`);
+
+  let failures = 0;
+  for (const target of targets) {
+    const label = `${target.kind} ${target.id}`;
+    try {
+      const counts = await FETCHERS[target.kind](target.id);
+      const snapshot = { at: now.toISOString(), ...counts };
+      console.log(`  ✓ ${label}: ${counts.reactions} reactions, ${counts.comments} comments, ` +
+        `${counts.shares ?? '–'} shares, reach ${counts.reach ?? '–'}`);
+      if (!testMode) saveSnapshot(target, snapshot);
+    } catch (err) {
+      // A deleted post or a clip removed from the Page is not worth stopping
+      // the run for; every other item still gets its snapshot.
+      failures++;
+      console.error(`  ✗ ${label}: ${err.message}`);
+    }
+  }
+
+  console.log(`\n${targets.length - failures}/${targets.length} recorded`);
+  return { total: targets.length, failures };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (!process.env.FACEBOOK_PAGE_TOKEN) {
+    console.error('ERROR: FACEBOOK_PAGE_TOKEN not set');
+    process.exit(1);
+  }
+
+  const { total, failures } = await collect({ all: args.includes('--all'), testMode: args.includes('--test') });
+  // Every item failing means the token or the API is broken, not the posts.
+  if (total > 0 && failures === total) process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`\nFATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { collect };
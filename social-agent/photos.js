@@ -0,0 +1,44 @@
+/**
+ * IFM Social Media Agent — Photo Library
+ *
+ * Picks the ministry photo behind the day's quote card (templates/
+ * quote-photo.json). The library is config.photoCards: site photos from the
+ * repo root, each tagged with the theme types it suits. A photo used on a
+ * card in the last `repeatDays` is skipped, so the feed never shows the same
+ * image twice in a week.
+ */
+
+// `recentPosts` is recent.loadRecentPosts() output; only the Facebook entry
+// of a day carries the card's photo. Returns file → last date it was used.
+function lastUsed(recentPosts) {
+  const used = new Map();
+  for (const post of recentPosts) {
+    if (!post.photo) continue;
+    if (!used.has(post.photo) || post.date > used.get(post.photo)) used.set(post.photo, post.date);
+  }
+  return used;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T12:00:00Z`) - new Date(`${from}T12:00:00Z`)) / 86400000);
+}
+
+// The photo for a `themeType` on `date`, or null when nothing tagged for it
+// is free this week (the day then gets the plain card). Among the free ones
+// the least recently used wins; photos never used tie, and the date breaks
+// the tie so they still take turns.
+function pickPhoto(themeType, date, recentPosts, { library = [], repeatDays = 7 } = {}) {
+  const used = lastUsed(recentPosts);
+  const free = library.filter(photo => photo.tags.includes(themeType)
+    && !(used.has(photo.file) && daysBetween(used.get(photo.file), date) < repeatDays));
+  if (!free.length) return null;
+
+  const lastDate = photo => used.get(photo.file) || '';
+  const oldest = free.map(lastDate).sort()[0];
+  const choices = free.filter(photo => lastDate(photo) === oldest);
+  // Kept non-negative for dates before the count starts (backfills).
+  const turn = daysBetween('2026-01-01', date) % choices.length;
+  return choices[(turn + choices.length) % choices.length].file;
+}
+
+module.exports = { pickPhoto };
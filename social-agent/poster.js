@@ -1,15 +1,23 @@
 /**
  * IFM Social Media Agent — Auto-Poster
- * Reads generated content and posts to Facebook
+ * Reads generated content and posts to Facebook and Instagram
  *
  * Usage:
  *   node poster.js             — Post today's generated content
  *   node poster.js --test      — Dry run (log what would be posted)
  *   node poster.js --file path — Post from a specific JSON file
+ *   node poster.js --due       — Post only what has reached its scheduledFor
+ *                                time (run hourly; already-posted is skipped)
  *
  * Required environment variables:
  *   FACEBOOK_PAGE_TOKEN  — Facebook Page Access Token (long-lived)
  *   FACEBOOK_PAGE_ID     — Facebook Page ID
+ *
+ * Optional:
+ *   INSTAGRAM_BUSINESS_ID — Instagram professional account ID linked to the
+ *                           Page. Unset = Instagram stays copy-ready (manual).
+ *   GRAPH_API_BASE        — Override the Graph API root, e.g. to point at
+ *                           graph-stub.js for offline testing.
  */
 
 require('dotenv').config();
@@ -17,11 +25,18 @@ const fetch = require('node-fetch');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const config = require('./config');
+const { isDue, isStale } = require('./schedule');
+const { approvalStatus, isApproved } = require('./approval');
+
+const GRAPH_API = process.env.GRAPH_API_BASE || 'https://graph.facebook.com/v21.0';
 
 // -- Platform Posting Functions ---
 
-async function postToFacebookText(content) {
-  const url = `https://graph.facebook.com/v21.0/${process.env.FACEBOOK_PAGE_ID}/feed`;
+// `publishAt` (a Date) hands the post to Facebook's own scheduler
+// (scheduled_publish_time) instead of publishing it now.
+async function postToFacebookText(content, publishAt = null) {
+  const url = `${GRAPH_API}/${process.env.FACEBOOK_PAGE_ID}/feed`;
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 30000);
 
@@ -33,21 +48,25 @@ async function postToFacebookText(content) {
       body: JSON.stringify({
         message: content,
         access_token: process.env.FACEBOOK_PAGE_TOKEN,
+        ...(publishAt && {
+          published: false,
+          scheduled_publish_time: Math.floor(publishAt.getTime() / 1000),
+        }),
       }),
     });
 
     clearTimeout(timeout);
     const data = await response.json();
     if (data.error) return { success: false, error: data.error.message };
-    return { success: true, postId: data.id, mode: 'text' };
+    return { success: true, postId: data.id, mode: 'text', ...(publishAt && { scheduled: true, scheduledFor: publishAt.toISOString() }) };
   } catch (err) {
     clearTimeout(timeout);
     return { success: false, error: err.message };
   }
 }
 
-async function postToFacebookPhoto(imagePath, caption) {
-  const url = `https://graph.facebook.com/v21.0/${process.env.FACEBOOK_PAGE_ID}/photos`;
+async function postToFacebookPhoto(imagePath, caption, publishAt = null) {
+  const url = `${GRAPH_API}/${process.env.FACEBOOK_PAGE_ID}/photos`;
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 60000);
 
@@ -56,6 +75,10 @@ async function postToFacebookPhoto(imagePath, caption) {
     form.append('source', fs.createReadStream(imagePath));
     form.append('caption', caption);
     form.append('access_token', process.env.FACEBOOK_PAGE_TOKEN);
+    if (publishAt) {
+      form.append('published', 'false');
+      form.append('scheduled_publish_time', String(Math.floor(publishAt.getTime() / 1000)));
+    }
 
     const response = await fetch(url, {
       method: 'POST',
@@ -67,91 +90,623 @@ async function postToFacebookPhoto(imagePath, caption) {
     clearTimeout(timeout);
     const data = await response.json();
     if (data.error) return { success: false, error: data.error.message };
-    return { success: true, postId: data.post_id || data.id, mode: 'photo' };
+    return { success: true, postId: data.post_id || data.id, mode: 'photo', ...(publishAt && { scheduled: true, scheduledFor: publishAt.toISOString() }) };
+  } catch (err) {
+    clearTimeout(timeout);
+    return { success: false, error: err.message };
+  }
+}
+
+// -- Facebook Video (resumable upload) ---
+// Videos go up in three phases against /videos: `start` opens an upload
+// session for the file's size, `transfer` sends the byte range Facebook asks
+// for next until it has the whole file, and `finish` publishes it with the
+// caption. A chunk that fails for a transient reason is sent again from the
+// last offset Facebook confirmed, so a dropped connection near the end of a
+// large sermon clip does not restart the upload, and that offset is saved so
+// a rerun after a crash does not either. Used for the quote-card
+// video (quote-video.js) and the sermon clips (clips.js).
+
+const VIDEO_ATTEMPTS = 3;
+const VIDEO_RETRY_MS = 5000;
+const VIDEO_PHASE_TIMEOUT_MS = 120000;
+
+// Graph codes 1 and 2 are its "unknown"/"service" errors, which clear on
+// retry; so do network errors, timeouts and 5xx responses.
+const TRANSIENT_GRAPH_CODES = [1, 2];
+
+async function videoPhase(fields, chunk = null) {
+  const url = `${GRAPH_API}/${process.env.FACEBOOK_PAGE_ID}/videos`;
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+  form.append('access_token', process.env.FACEBOOK_PAGE_TOKEN);
+  if (chunk) form.append('video_file_chunk', chunk, { filename: 'chunk', contentType: 'application/octet-stream' });
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), VIDEO_PHASE_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      signal: controller.signal,
+      body: form,
+      headers: form.getHeaders(),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (data.error || !response.ok) {
+      const err = new Error(data.error?.message || `HTTP ${response.status}`);
+      err.transient = Boolean(data.error?.is_transient)
+        || TRANSIENT_GRAPH_CODES.includes(data.error?.code)
+        || response.status >= 500;
+      throw err;
+    }
+    return data;
   } catch (err) {
+    if (err.name === 'AbortError') err.message = 'timeout';
+    if (err.transient === undefined) err.transient = true;
+    throw err;
+  } finally {
     clearTimeout(timeout);
+  }
+}
+
+// Retries one phase (or one chunk) with backoff. Each chunk gets its own
+// attempts, so a long upload can ride out more than one blip. The error it
+// finally throws keeps `transient`.
+async function withVideoRetry(phase, send) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send();
+    } catch (err) {
+      if (!err.transient || attempt >= VIDEO_ATTEMPTS) {
+        const failed = new Error(`${phase}: ${err.message}`);
+        failed.transient = err.transient;
+        throw failed;
+      }
+      const wait = VIDEO_RETRY_MS * 2 ** (attempt - 1);
+      console.warn(`  Video ${phase} failed (${err.message}) — retry ${attempt} of ${VIDEO_ATTEMPTS - 1} in ${wait / 1000}s`);
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+}
+
+function readChunk(fd, start, end) {
+  const chunk = Buffer.alloc(end - start);
+  fs.readSync(fd, chunk, 0, chunk.length, start);
+  return chunk;
+}
+
+// Where an upload's progress is kept between runs: the session, the video
+// id, the file's size and the next range Facebook asked for. Saved after
+// every acknowledged chunk, so a run that dies (or times out) part way
+// resumes there next time instead of at byte 0. The default is a
+// <video>.upload.json beside the file; clips.js keeps it on the queue entry.
+function sidecarUploadStore(videoPath) {
+  const file = `${videoPath}.upload.json`;
+  return {
+    load: () => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null),
+    save: state => fs.writeFileSync(file, JSON.stringify(state, null, 2)),
+    clear: () => fs.rmSync(file, { force: true }),
+  };
+}
+
+// Sends whatever Facebook still wants from `state.start_offset` on, saving
+// each step, then publishes.
+async function transferAndFinish(fd, state, store, description, publishAt) {
+  // Offsets come back as strings; start === end means Facebook has it all.
+  let start = Number(state.start_offset);
+  let end = Number(state.end_offset);
+  while (start < end) {
+    const chunk = readChunk(fd, start, end);
+    const next = await withVideoRetry(`transfer at byte ${start}`, () => videoPhase({
+      upload_phase: 'transfer',
+      upload_session_id: state.upload_session_id,
+      start_offset: start,
+    }, chunk));
+    start = Number(next.start_offset);
+    end = Number(next.end_offset);
+    store.save({ ...state, start_offset: start, end_offset: end });
+  }
+
+  const finished = await withVideoRetry('finish', () => videoPhase({
+    upload_phase: 'finish',
+    upload_session_id: state.upload_session_id,
+    description,
+    ...(publishAt && {
+      published: false,
+      scheduled_publish_time: Math.floor(publishAt.getTime() / 1000),
+    }),
+  }));
+  if (!finished.success) throw new Error('finish: Facebook did not confirm the upload');
+}
+
+// The caption is the video's `description`; the id returned is the video's
+// own, from the start phase. `store` is where progress is kept (see
+// sidecarUploadStore). A saved session for a file of the same size is
+// picked up where it stopped; if Facebook no longer knows it, the upload
+// starts over.
+async function postToFacebookVideo(videoPath, description, publishAt = null, store = sidecarUploadStore(videoPath)) {
+  const fd = fs.openSync(videoPath, 'r');
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const startSession = async () => {
+      const session = await withVideoRetry('start', () => videoPhase({ upload_phase: 'start', file_size: fileSize }));
+      const state = {
+        upload_session_id: session.upload_session_id,
+        video_id: session.video_id,
+        file_size: fileSize,
+        start_offset: Number(session.start_offset),
+        end_offset: Number(session.end_offset),
+      };
+      store.save(state);
+      return state;
+    };
+
+    let state = store.load();
+    if (state && state.file_size !== fileSize) state = null;
+    if (state) {
+      console.warn(`  Resuming video upload ${state.upload_session_id} at byte ${state.start_offset} of ${fileSize}`);
+      try {
+        await transferAndFinish(fd, state, store, description, publishAt);
+      } catch (err) {
+        if (err.transient) throw err;
+        console.warn(`  Saved upload session refused (${err.message}) — starting over`);
+        store.clear();
+        state = await startSession();
+        await transferAndFinish(fd, state, store, description, publishAt);
+      }
+    } else {
+      state = await startSession();
+      await transferAndFinish(fd, state, store, description, publishAt);
+    }
+    store.clear();
+
+    return { success: true, postId: state.video_id, mode: 'video', ...(publishAt && { scheduled: true, scheduledFor: publishAt.toISOString() }) };
+  } catch (err) {
     return { success: false, error: err.message };
+  } finally {
+    fs.closeSync(fd);
   }
 }
 
-async function postToFacebook(content, imagePath) {
+// `mediaPath` is the card: a .png posts as a photo, an .mp4 as a video.
+async function postToFacebook(content, mediaPath, publishAt = null) {
   if (!process.env.FACEBOOK_PAGE_TOKEN || !process.env.FACEBOOK_PAGE_ID) {
     return { success: false, error: 'Missing FACEBOOK_PAGE_TOKEN or FACEBOOK_PAGE_ID' };
   }
-  if (imagePath && fs.existsSync(imagePath)) {
-    return postToFacebookPhoto(imagePath, content);
+  if (mediaPath && fs.existsSync(mediaPath)) {
+    return mediaPath.endsWith('.mp4')
+      ? postToFacebookVideo(mediaPath, content, publishAt)
+      : postToFacebookPhoto(mediaPath, content, publishAt);
   }
-  return postToFacebookText(content);
+  return postToFacebookText(content, publishAt);
 }
 
-// -- Main Pipeline ---
+// -- Instagram (Graph API content publishing) ---
+// Instagram will not take an upload: a media container is created from a
+// public image URL, Instagram fetches and processes it, and only then can the
+// container be published. Three round trips, each its own failure point, so
+// every step reports which one broke.
 
-async function main() {
-  const args = process.argv.slice(2);
-  const testMode = args.includes('--test');
-  const fileIndex = args.indexOf('--file');
+const IG_STATUS_POLL_MS = 3000;
+const IG_STATUS_MAX_POLLS = 10;
 
-  // Find today's content file
-  const today = new Date().toISOString().split('T')[0];
-  const defaultFile = path.join(__dirname, '..', 'content', 'social-posts', `${today}.json`);
-  const contentFile = fileIndex !== -1 ? args[fileIndex + 1] : defaultFile;
+// Small JSON helper for the Instagram steps and metrics.js. Graph errors come
+// back as 200-ish bodies with an `error` object as often as real HTTP errors,
+// so both throw.
+async function graphRequest(method, pathname, params, timeoutMs = 30000) {
+  const url = new URL(`${GRAPH_API}/${pathname}`);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const options = { method, signal: controller.signal };
 
-  if (!fs.existsSync(contentFile)) {
-    console.error(`ERROR: Content file not found: ${contentFile}`);
-    console.error('Run "node index.js" first to generate content.');
-    process.exit(1);
+  if (method === 'GET') {
+    for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  } else {
+    options.headers = { 'Content-Type': 'application/json' };
+    options.body = JSON.stringify(params);
   }
 
-  const content = JSON.parse(fs.readFileSync(contentFile, 'utf-8'));
-  console.log(`\nPosting content for ${content.date} -- ${content.theme}`);
+  try {
+    const response = await fetch(url.toString(), options);
+    const data = await response.json();
+    if (data.error) throw new Error(data.error.message);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return data;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
 
-  if (testMode) {
-    console.log('\nTEST MODE -- No actual posts will be made\n');
+// The rendered PNG only exists on the workflow runner. Uploading it to the
+// Page as an unpublished photo gives us a Facebook-CDN URL that Instagram can
+// fetch, using the token we already have and without committing the image
+// to the site first.
+async function hostImageForInstagram(imagePath) {
+  const url = `${GRAPH_API}/${process.env.FACEBOOK_PAGE_ID}/photos`;
+  const form = new FormData();
+  form.append('source', fs.createReadStream(imagePath));
+  form.append('published', 'false');
+  form.append('access_token', process.env.FACEBOOK_PAGE_TOKEN);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 60000);
+  let photoId;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      signal: controller.signal,
+      body: form,
+      headers: form.getHeaders(),
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error.message);
+    photoId = data.id;
+  } finally {
+    clearTimeout(timeout);
   }
 
-  const results = {};
+  const photo = await graphRequest('GET', photoId, {
+    fields: 'images',
+    access_token: process.env.FACEBOOK_PAGE_TOKEN,
+  });
+  // `images` is every size Facebook made, largest first.
+  const source = photo.images?.[0]?.source;
+  if (!source) throw new Error(`No image URL returned for photo ${photoId}`);
+  return source;
+}
 
-  // Post to Facebook
-  if (content.posts.facebook && !content.posts.facebook.error) {
-    const fbContent = content.posts.facebook.fullPost;
-    const graphicPath = content.posts.facebook.graphicPath;
-    const hasGraphic = graphicPath && fs.existsSync(graphicPath);
-    const mode = hasGraphic ? 'PHOTO' : 'TEXT';
-    console.log(`  Facebook (${mode}): ${fbContent.length} chars${hasGraphic ? ` + ${path.basename(graphicPath)}` : ''}`);
-    if (testMode) {
-      console.log(`  -> [TEST] Would post to Facebook as ${mode}`);
-      results.facebook = { success: true, test: true, mode };
-    } else {
-      const result = await postToFacebook(fbContent, hasGraphic ? graphicPath : null);
-      results.facebook = result;
-      console.log(`  -> ${result.success ? `Posted (${result.mode})` : 'FAILED: ' + result.error}`);
+async function waitForContainer(containerId) {
+  for (let poll = 1; poll <= IG_STATUS_MAX_POLLS; poll++) {
+    const { status_code: status } = await graphRequest('GET', containerId, {
+      fields: 'status_code',
+      access_token: process.env.FACEBOOK_PAGE_TOKEN,
+    });
+    if (status === 'FINISHED') return;
+    if (status === 'ERROR' || status === 'EXPIRED') {
+      throw new Error(`Instagram container ${containerId} is ${status}`);
     }
+    await new Promise(r => setTimeout(r, IG_STATUS_POLL_MS));
   }
+  throw new Error(`Instagram container ${containerId} still processing after ${IG_STATUS_MAX_POLLS} checks`);
+}
 
-  // Instagram & TikTok -- log for manual posting
-  // (These platforms require Business API or Creator tools for automated posting)
-  for (const platform of ['instagram', 'tiktok']) {
-    if (content.posts[platform] && !content.posts[platform].error) {
-      console.log(`\n  ${platform.toUpperCase()} (copy-ready):`);
-      console.log('  ' + '-'.repeat(40));
-      console.log(`  ${content.posts[platform].fullPost}`);
-      results[platform] = { success: true, method: 'manual_copy' };
-    }
+async function postToInstagram(caption, imagePath) {
+  if (!process.env.FACEBOOK_PAGE_TOKEN || !process.env.INSTAGRAM_BUSINESS_ID) {
+    return { success: false, error: 'Missing FACEBOOK_PAGE_TOKEN or INSTAGRAM_BUSINESS_ID' };
+  }
+  // Unlike the Facebook feed, Instagram has no text-only post.
+  if (!imagePath || !fs.existsSync(imagePath)) {
+    return { success: false, error: 'Instagram needs an image and no graphic was rendered' };
+  }
+
+  const igUser = process.env.INSTAGRAM_BUSINESS_ID;
+  let step = 'host image';
+  try {
+    const imageUrl = await hostImageForInstagram(imagePath);
+
+    step = 'create container';
+    const container = await graphRequest('POST', `${igUser}/media`, {
+      image_url: imageUrl,
+      caption,
+      access_token: process.env.FACEBOOK_PAGE_TOKEN,
+    });
+
+    step = 'wait for container';
+    await waitForContainer(container.id);
+
+    step = 'publish';
+    const published = await graphRequest('POST', `${igUser}/media_publish`, {
+      creation_id: container.id,
+      access_token: process.env.FACEBOOK_PAGE_TOKEN,
+    });
+    return { success: true, postId: published.id, containerId: container.id, mode: 'photo' };
+  } catch (err) {
+    const reason = err.name === 'AbortError' ? 'timeout' : err.message;
+    return { success: false, error: `${step}: ${reason}` };
+  }
+}
+
+// -- Graphic ---
+
+// The PNG lives in social-agent/output/, which is not committed, so a --due
+// run on a fresh runner will not have it. The content file keeps everything
+// the card was drawn from, and the renderer is deterministic, so redraw it.
+async function resolveGraphic(content, post) {
+  const fb = content.posts.facebook || {};
+  const recorded = post.graphicPath || fb.graphicPath;
+  if (recorded && fs.existsSync(recorded)) return recorded;
+  if (!fb.pullQuote) return null;
+
+  const { renderQuoteGraphic } = require('./graphic');
+  const outDir = path.join(__dirname, 'output');
+  fs.mkdirSync(outDir, { recursive: true });
+  const outputPath = path.join(outDir, `${content.date}.png`);
+  if (!fs.existsSync(outputPath)) {
+    await renderQuoteGraphic({
+      quote: fb.pullQuote,
+      attribution: fb.attribution,
+      outputPath,
+      style: fb.graphicStyle || undefined,
+      qr: fb.graphicQr || null,
+      template: fb.graphicTemplate,
+      photo: fb.graphicPhoto || null,
+    });
+    console.log(`  (re-rendered ${path.basename(outputPath)} from the content file)`);
+  }
+  return outputPath;
+}
+
+// Same for the video version (quote-video.js), on days that have one. It
+// needs ffmpeg on the runner; if the redraw fails for any reason the day
+// posts the still card instead.
+async function resolveVideo(content, post) {
+  const fb = content.posts.facebook || {};
+  if (!fb.graphicVideo || !config.video.enabled) return null;
+  if (post.videoPath && fs.existsSync(post.videoPath)) return post.videoPath;
+  if (!fb.pullQuote) return null;
+
+  const { renderQuoteVideo } = require('./quote-video');
+  const outDir = path.join(__dirname, 'output');
+  fs.mkdirSync(outDir, { recursive: true });
+  const outputPath = path.join(outDir, `${content.date}.mp4`);
+  if (fs.existsSync(outputPath)) return outputPath;
+  try {
+    await renderQuoteVideo({
+      quote: fb.pullQuote,
+      attribution: fb.attribution,
+      outputPath,
+      style: fb.graphicStyle || undefined,
+      qr: fb.graphicQr || null,
+      template: fb.graphicTemplate,
+      photo: fb.graphicPhoto || null,
+      format: config.video.platforms.facebook,
+      seconds: config.video.seconds,
+      fps: config.video.fps,
+      audio: config.video.audio,
+    });
+    console.log(`  (re-rendered ${path.basename(outputPath)} from the content file)`);
+    return outputPath;
+  } catch (err) {
+    console.warn(`  Video unavailable (${err.message}) — posting the still card`);
+    return null;
+  }
+}
+
+// -- Per-Platform Publishing ---
+
+function logCopyReady(platform, text, note) {
+  console.log(`\n  ${platform.toUpperCase()} (copy-ready${note ? ` — ${note}` : ''}):`);
+  console.log('  ' + '-'.repeat(40));
+  console.log(`  ${text}`);
+}
+
+async function publishFacebook(content, post, { testMode, publishAt }) {
+  const graphicPath = await resolveVideo(content, post) || await resolveGraphic(content, post);
+  const mode = !graphicPath ? 'TEXT' : graphicPath.endsWith('.mp4') ? 'VIDEO' : 'PHOTO';
+  const when = publishAt ? ` — scheduling for ${publishAt.toISOString()}` : '';
+  console.log(`  Facebook (${mode}): ${post.fullPost.length} chars${graphicPath ? ` + ${path.basename(graphicPath)}` : ''}${when}`);
+  if (testMode) {
+    console.log(`  -> [TEST] Would ${publishAt ? 'schedule' : 'post'} to Facebook as ${mode}`);
+    return { success: true, test: true, mode };
   }
+  const result = await postToFacebook(post.fullPost, graphicPath, publishAt);
+  console.log(`  -> ${result.success ? `${result.scheduled ? 'Scheduled' : 'Posted'} (${result.mode})` : 'FAILED: ' + result.error}`);
+  return result;
+}
+
+async function publishInstagram(content, post, { testMode }) {
+  if (!process.env.INSTAGRAM_BUSINESS_ID) {
+    logCopyReady('instagram', post.fullPost, 'INSTAGRAM_BUSINESS_ID not set');
+    return { success: true, method: 'manual_copy' };
+  }
+  const graphicPath = await resolveGraphic(content, post);
+  console.log(`  Instagram (PHOTO): ${post.fullPost.length} chars${graphicPath ? ` + ${path.basename(graphicPath)}` : ' — NO GRAPHIC'}`);
+  if (testMode) {
+    console.log('  -> [TEST] Would publish to Instagram');
+    return { success: true, test: true, mode: 'photo' };
+  }
+  const result = await postToInstagram(post.fullPost, graphicPath);
+  console.log(`  -> ${result.success ? `Published (${result.postId})` : 'FAILED: ' + result.error}`);
+  return result;
+}
+
+// TikTok -- log for manual posting
+// (Automated posting needs TikTok's Content Posting API and app review)
+async function publishTikTok(content, post) {
+  logCopyReady('tiktok', post.fullPost, post.videoPath && `video: ${path.basename(post.videoPath)} from the run's artifacts`);
+  return { success: true, method: 'manual_copy' };
+}
+
+const PUBLISHERS = {
+  facebook: publishFacebook,
+  instagram: publishInstagram,
+  tiktok: publishTikTok,
+};
+
+// -- Archive ---
+
+function archivePathFor(date) {
+  return path.join(__dirname, '..', 'content', 'social-archive', `${date}.json`);
+}
+
+function readArchive(date) {
+  const file = archivePathFor(date);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
 
-  // Save posting results
-  const archiveDir = path.join(__dirname, '..', 'content', 'social-archive');
-  fs.mkdirSync(archiveDir, { recursive: true });
+// A platform counts as done once it has a real (non-test) success on record,
+// including a post handed to Facebook's scheduler.
+function alreadyPosted(archive, platform) {
+  const result = archive?.postingResults?.[platform];
+  return Boolean(result && result.success && !result.test);
+}
+
+// Each --due run posts only some platforms, so results merge into the
+// existing archive entry instead of replacing it. A test run never
+// overwrites a real result.
+function saveArchive(content, results, testMode) {
+  const archiveFile = archivePathFor(content.date);
+  fs.mkdirSync(path.dirname(archiveFile), { recursive: true });
+
+  const existing = readArchive(content.date);
+  const postingResults = { ...existing?.postingResults };
+  for (const [platform, result] of Object.entries(results)) {
+    if (result.test && alreadyPosted(existing, platform)) continue;
+    postingResults[platform] = { ...result, attemptedAt: new Date().toISOString() };
+  }
+
+  // A test rerun of a day that already went out for real leaves it a real
+  // day: metrics.js and ad-variants.js skip anything marked testMode.
+  const real = existing?.testMode === false
+    || Object.keys(postingResults).some(platform => alreadyPosted({ postingResults }, platform));
 
-  const archiveFile = path.join(archiveDir, `${content.date}.json`);
   const archive = {
     ...content,
-    postingResults: results,
+    postingResults,
     postedAt: new Date().toISOString(),
-    testMode,
+    testMode: testMode && !real,
   };
   fs.writeFileSync(archiveFile, JSON.stringify(archive, null, 2));
   console.log(`\nArchive saved to ${archiveFile}`);
+}
+
+// -- Run Modes ---
+
+// Post every platform in one content file right now, ignoring scheduledFor.
+// The manual path: `node poster.js` or `--file`.
+async function postNow(contentFile, testMode) {
+  const content = JSON.parse(fs.readFileSync(contentFile, 'utf-8'));
+  console.log(`\nPosting content for ${content.date} -- ${content.theme}`);
+
+  if (config.requireApproval && !isApproved(content)) {
+    console.error(`ERROR: ${content.date} is ${approvalStatus(content)}, and requireApproval is on.`);
+    console.error(`Review it first: node review.js (or node review.js approve ${content.date})`);
+    process.exit(1);
+  }
+
+  const results = {};
+  for (const [platform, publish] of Object.entries(PUBLISHERS)) {
+    const post = content.posts[platform];
+    if (!post || post.error) continue;
+    results[platform] = await publish(content, post, { testMode });
+  }
+
+  saveArchive(content, results, testMode);
+  return results;
+}
+
+// Facebook only takes scheduled_publish_time between 10 minutes and 30 days out.
+const FB_NATIVE_MIN_LEAD_MS = 10 * 60 * 1000;
+const FB_NATIVE_MAX_LEAD_MS = 30 * 24 * 3600 * 1000;
+
+function recentContentFiles(now, days) {
+  const dir = path.join(__dirname, '..', 'content', 'social-posts');
+  if (!fs.existsSync(dir)) return [];
+  const cutoff = new Date(now.getTime() - days * 24 * 3600 * 1000).toISOString().split('T')[0];
+  return fs.readdirSync(dir)
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f) && f.slice(0, 10) >= cutoff)
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+// Publish whatever has come due across the last couple of days of generated
+// content, skipping platforms the archive already records as posted. Safe to
+// run as often as the workflow likes: a second run in the same hour finds
+// nothing to do.
+async function postDue(testMode, now = new Date()) {
+  const schedule = config.postingSchedule || {};
+  const staleAfterHours = schedule.staleAfterHours ?? 12;
+  // Look back far enough to catch yesterday's evening slots, which fall on
+  // today's UTC date.
+  const files = recentContentFiles(now, Math.ceil(staleAfterHours / 24) + 1);
+  const allResults = {};
+  let pending = 0;
+
+  for (const file of files) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const archive = readArchive(content.date);
+    const results = {};
+
+    // Not an error: the reviewer may simply not have got to it yet. It is
+    // picked up on the first run after approval, while its slots are fresh.
+    if (config.requireApproval && !isApproved(content)) {
+      const status = approvalStatus(content);
+      console.log(`  ${content.date}: ${status} — ${status === 'rejected' ? 'not posting' : 'waiting for approval'}`);
+      continue;
+    }
+
+    for (const [platform, publish] of Object.entries(PUBLISHERS)) {
+      const post = content.posts[platform];
+      if (!post || post.error || alreadyPosted(archive, platform)) continue;
+      const label = `${content.date} ${platform}`;
+
+      if (isStale(post.scheduledFor, now, staleAfterHours)) {
+        console.log(`  ${label}: missed its ${post.scheduledFor} slot by more than ${staleAfterHours}h — skipping`);
+        continue;
+      }
+
+      if (!isDue(post.scheduledFor, now)) {
+        const lead = new Date(post.scheduledFor) - now;
+        const native = platform === 'facebook' && schedule.facebookNative
+          && lead >= FB_NATIVE_MIN_LEAD_MS && lead <= FB_NATIVE_MAX_LEAD_MS;
+        if (!native) {
+          console.log(`  ${label}: not due until ${post.scheduledFor}`);
+          pending++;
+          continue;
+        }
+        if (!results.facebook) console.log(`\n${content.date} -- ${content.theme}`);
+        results.facebook = await publish(content, post, { testMode, publishAt: new Date(post.scheduledFor) });
+        continue;
+      }
+
+      if (Object.keys(results).length === 0) console.log(`\n${content.date} -- ${content.theme}`);
+      results[platform] = await publish(content, post, { testMode });
+    }
+
+    if (Object.keys(results).length > 0) {
+      saveArchive(content, results, testMode);
+      for (const [platform, result] of Object.entries(results)) {
+        allResults[`${content.date} ${platform}`] = result;
+      }
+    }
+  }
+
+  if (Object.keys(allResults).length === 0) {
+    console.log(`\nNothing due (${pending} post${pending === 1 ? '' : 's'} still scheduled)`);
+  }
+  return allResults;
+}
+
+// -- Main Pipeline ---
+
+async function main() {
+  const args = process.argv.slice(2);
+  const testMode = args.includes('--test');
+  const dueMode = args.includes('--due');
+  const fileIndex = args.indexOf('--file');
+
+  if (testMode) {
+    console.log('\nTEST MODE -- No actual posts will be made\n');
+  }
+
+  let results;
+  if (dueMode) {
+    console.log(`\nChecking for due posts at ${new Date().toISOString()}`);
+    results = await postDue(testMode);
+  } else {
+    // Find today's content file
+    const today = new Date().toISOString().split('T')[0];
+    const defaultFile = path.join(__dirname, '..', 'content', 'social-posts', `${today}.json`);
+    const contentFile = fileIndex !== -1 ? args[fileIndex + 1] : defaultFile;
+
+    if (!fs.existsSync(contentFile)) {
+      console.error(`ERROR: Content file not found: ${contentFile}`);
+      console.error('Run "node index.js" first to generate content.');
+      process.exit(1);
+    }
+    results = await postNow(contentFile, testMode);
+  }
 
   // Check for failures
   const failures = Object.entries(results)
@@ -173,4 +728,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { postToFacebook };
+module.exports = { postToFacebook, postToFacebookVideo, sidecarUploadStore, postToInstagram, postDue, resolveGraphic, graphRequest };
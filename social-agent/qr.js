@@ -0,0 +1,85 @@
+/**
+ * IFM Social Media Agent — QR Codes
+ *
+ * Draws a QR code onto a canvas for the quote card (graphic.js) and the
+ * website ad (ad-graphic.js), so a screenshot, a repost, or a printed flyer
+ * still leads back to the site. The `qrcode` package only builds the module
+ * matrix; drawing it here keeps it in brand colors and on whole pixels.
+ *
+ * The code is gold on a near-black plate — an inverted code. Current phone
+ * cameras (iOS Camera, Google Lens) read those; the plate keeps the contrast
+ * even where the gradient and glow behind it are not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const { trackedLink, shortLink } = require('ifm-shared/links');
+const config = require('./config');
+
+const SHORT_LINKS_FILE = path.join(__dirname, '..', 'content', 'short-links.json');
+
+// Blank modules around the code. Four is what the QR spec asks for.
+const QUIET_ZONE = 4;
+
+// Below this many pixels per module a 1080px card scanned off a phone
+// screen stops reading reliably.
+const MIN_CELL = 3;
+
+// The /go/ slug whose destination is `page` (content/short-links.json), or
+// null.
+function shortSlug(page) {
+  try {
+    const links = JSON.parse(fs.readFileSync(SHORT_LINKS_FILE, 'utf-8'));
+    const match = Object.entries(links).find(([, link]) => link.url === page);
+    return match ? match[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+// What a card's code points at: the day's page, tagged as a scan. The link
+// is kept short on purpose — every character makes the code denser, so the
+// date is the only utm_content. Low error correction for the same reason:
+// nothing is drawn over the code.
+//
+// With config.qr.shortLinks on, a page that has a short link gets the bare
+// increasingfaith.net/go/<slug> instead: a third of the length, so a much
+// coarser code, and go.js counts the scan.
+function qrLink(page, { campaign, date, short = config.qr.shortLinks }) {
+  const slug = short ? shortSlug(page) : null;
+  if (slug) return shortLink(slug);
+  return trackedLink(page, { source: 'qr', medium: 'print', campaign, date });
+}
+
+// Draws `text` as a QR code centered in the `size`-pixel square at (x, y).
+// A code that would get fewer than MIN_CELL pixels a module there is drawn
+// bigger, up to `maxSize`, growing up and to the left so it keeps the
+// square's bottom-right corner. Throws rather than drawing a code too dense
+// to scan — a dead code on a flyer is worse than none.
+function drawQRCode(ctx, text, { x, y, size, maxSize = size, color, background }) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'L' });
+  const count = modules.size + QUIET_ZONE * 2;
+  const box = Math.max(size, count * MIN_CELL);
+  if (box > Math.max(size, maxSize)) {
+    throw new Error(`QR code for "${text}" needs ${box}px, only ${Math.max(size, maxSize)}px available`);
+  }
+
+  const cell = Math.floor(box / count);
+  const drawn = cell * count;
+  const left = Math.round(x + size - box + (box - drawn) / 2);
+  const top = Math.round(y + size - box + (box - drawn) / 2);
+
+  ctx.fillStyle = background;
+  ctx.fillRect(left, top, drawn, drawn);
+
+  ctx.fillStyle = color;
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (!modules.get(row, col)) continue;
+      ctx.fillRect(left + (col + QUIET_ZONE) * cell, top + (row + QUIET_ZONE) * cell, cell, cell);
+    }
+  }
+}
+
+module.exports = { qrLink, drawQRCode };
@@ -0,0 +1,142 @@
+/**
+ * IFM Social Media Agent — Quote Card Video
+ *
+ * The day's quote card as a short MP4 for Facebook and TikTok, which favor
+ * video over stills. Every frame is the card's own template, drawn by
+ * template-renderer.js with a little motion: the glow drifts, a photo slowly
+ * pushes in, the quote appears word by word and the attribution fades in
+ * after it, then the finished card holds until the end. The last frame is
+ * the still card exactly.
+ *
+ * Frames are piped raw into ffmpeg, which must be installed (GitHub's
+ * ubuntu runners have it); FFMPEG_PATH points at a different binary. An
+ * optional audio bed is looped or cut to the clip's length and faded at
+ * both ends.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { paintTemplate, pickTemplate } = require('./template-renderer');
+const { safeArea, assertLegible } = require('./legibility');
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Seconds. The quote gets about a quarter second a word, but never more
+// than half the clip, so even a long quote is read in full before it ends.
+const INTRO = 0.5;
+const SECONDS_PER_WORD = 0.28;
+const MAX_REVEAL_SHARE = 0.5;
+const ATTRIBUTION_DELAY = 0.2;
+const ATTRIBUTION_FADE = 0.6;
+// The still card, unmoving, for the last second.
+const HOLD = 1;
+
+// Glow drift (share of the card) and photo push-in, at their widest.
+const DRIFT = [0.05, 0.03];
+const ZOOM = 0.05;
+
+const clamp = n => Math.max(0, Math.min(1, n));
+
+// The motion for the frame at `t` seconds. Drift and zoom are one slow
+// swing out and back, so they settle on the still card for the hold.
+function motionAt(t, seconds, words) {
+  const reveal = Math.min(words * SECONDS_PER_WORD, seconds * MAX_REVEAL_SHARE);
+  const swing = clamp(t / (seconds - HOLD));
+  const phase = 2 * Math.PI * swing;
+  return {
+    drift: [DRIFT[0] * Math.sin(phase), DRIFT[1] * (1 - Math.cos(phase)) / 2],
+    zoom: 1 + ZOOM * Math.sin(Math.PI * swing),
+    reveal: {
+      quote: clamp((t - INTRO) / reveal),
+      attribution: clamp((t - INTRO - reveal - ATTRIBUTION_DELAY) / ATTRIBUTION_FADE),
+    },
+  };
+}
+
+function ffmpegArgs({ width, height, fps, seconds, audio, outputPath }) {
+  const args = [
+    '-y', '-loglevel', 'error',
+    '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-r', String(fps), '-i', 'pipe:0',
+  ];
+  if (audio) args.push('-stream_loop', '-1', '-i', audio);
+  args.push('-map', '0:v', '-c:v', 'libx264', '-preset', 'medium', '-crf', '20', '-pix_fmt', 'yuv420p');
+  if (audio) {
+    args.push(
+      '-map', '1:a', '-c:a', 'aac', '-b:a', '128k',
+      '-af', `afade=t=in:d=0.5,afade=t=out:st=${Math.max(0, seconds - 1.5)}:d=1.5`,
+    );
+  }
+  args.push('-t', String(seconds), '-movflags', '+faststart', outputPath);
+  return args;
+}
+
+// Streams `count` frames from `drawFrame(i)` (raw RGBA buffers) into ffmpeg,
+// which reads them from pipe:0. Rejects with ffmpeg's own last error line if
+// it fails part way. Also used by clip-subtitles.js.
+async function encode(args, count, drawFrame) {
+  const ffmpeg = spawn(FFMPEG, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+  let stderr = '';
+  ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+  const exited = new Promise((resolve, reject) => {
+    ffmpeg.on('error', err => reject(err.code === 'ENOENT'
+      ? new Error(`ffmpeg not found (tried "${FFMPEG}") — install it or set FFMPEG_PATH`)
+      : err));
+    ffmpeg.on('close', code => (code === 0
+      ? resolve()
+      : reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`))));
+  });
+  // A write after ffmpeg has died errors too; `exited` already says why.
+  ffmpeg.stdin.on('error', () => {});
+
+  // Stop writing once ffmpeg is gone, failed or not: with a second input
+  // (clip-subtitles.js) it can finish on the clip's last frame before it
+  // has read all of ours.
+  let ended = false;
+  const stopped = exited.then(() => { ended = true; }, () => { ended = true; });
+  for (let i = 0; i < count && !ended; i++) {
+    const frame = await drawFrame(i);
+    if (!ffmpeg.stdin.write(frame)) {
+      await Promise.race([new Promise(r => ffmpeg.stdin.once('drain', r)), stopped]);
+    }
+  }
+  ffmpeg.stdin.end();
+  return exited;
+}
+
+// Renders the quote card as an MP4 at `outputPath`. Takes what
+// renderQuoteGraphic takes, plus `seconds`, `fps` and `audio` (a path from
+// social-agent/, or null for silence). The finished card goes through the
+// same legibility check as the still before a frame is encoded.
+async function renderQuoteVideo({
+  quote, attribution, outputPath, style = {}, qr = null, format = 'square', template, photo = null,
+  seconds = 8, fps = 30, audio = null,
+}) {
+  const name = template || pickTemplate('quote', null, style);
+  const options = { values: { ...style, quote, attribution, photo }, format, qr };
+
+  const still = await paintTemplate(name, options);
+  assertLegible(still.texts, safeArea(still.fmt, still.layout), `${name} (${still.fmt.name} video)`);
+
+  const words = quote.split(/\s+/).length;
+  const count = Math.round(seconds * fps);
+  const args = ffmpegArgs({
+    width: still.fmt.width,
+    height: still.fmt.height,
+    fps,
+    seconds,
+    audio: audio && path.resolve(__dirname, audio),
+    outputPath,
+  });
+
+  await encode(args, count, async i => {
+    const t = i / fps;
+    // The held ending is the still card itself, not a frame that is only
+    // nearly finished.
+    if (t >= seconds - HOLD) return still.canvas.data();
+    const { canvas } = await paintTemplate(name, { ...options, motion: motionAt(t, seconds, words) });
+    return canvas.data();
+  });
+  return outputPath;
+}
+
+module.exports = { renderQuoteVideo, motionAt, encode };
@@ -0,0 +1,127 @@
+/**
+ * IFM Social Agent — Recent Posts
+ *
+ * What went out over the last few weeks, read back from content/ for the
+ * novelty checks in index.js and ad.js: the posts and pull quotes to compare
+ * new text against, and the scriptures to steer the next prompt away from.
+ *
+ * A day counts once it exists in content/social-archive (posted) or
+ * content/social-posts (generated, maybe still waiting on its scheduled
+ * time). The archive copy wins when both exist: it is what went out, review
+ * edits included — review.js edits the social-posts file, and poster.js
+ * archives that file as it posts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findReferences, validateReference } = require('ifm-shared/scripture');
+const { openingLine } = require('ifm-shared/similarity');
+
+const CONTENT_DIR = path.join(__dirname, '..', 'content');
+
+// The `days` dates before `date`, newest first. `date` itself is left out so
+// re-running a day never compares it against its own earlier run.
+function previousDates(date, days) {
+  const start = new Date(`${date}T12:00:00Z`);
+  return Array.from({ length: days }, (_, i) => {
+    const d = new Date(start);
+    d.setUTCDate(d.getUTCDate() - (i + 1));
+    return d.toISOString().split('T')[0];
+  });
+}
+
+function readJSON(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    // A half-written file from a crashed run is not worth failing today over.
+    return null;
+  }
+}
+
+// One entry per generated platform post: { id, date, platform, text, pullQuote,
+// photo }. `photo` is the library photo behind the day's card (photos.js).
+function loadRecentPosts(date, days) {
+  const entries = [];
+  for (const d of previousDates(date, days)) {
+    const record = readJSON(path.join(CONTENT_DIR, 'social-archive', `${d}.json`))
+      || readJSON(path.join(CONTENT_DIR, 'social-posts', `${d}.json`));
+    if (!record || !record.posts) continue;
+
+    for (const [platform, post] of Object.entries(record.posts)) {
+      if (!post || post.error || !post.content) continue;
+      entries.push({
+        id: `${d} ${platform}`,
+        date: d,
+        platform,
+        text: post.content,
+        pullQuote: post.pullQuote || null,
+        photo: post.graphicPhoto || null,
+      });
+    }
+  }
+  return entries;
+}
+
+// Headlines from content/ad-archive, as { id, text }. Static fallback copy is
+// left out: it repeats weekly by design and is not the model's to vary.
+function loadRecentAdHeadlines(date, days) {
+  return previousDates(date, days)
+    .map(d => readJSON(path.join(CONTENT_DIR, 'ad-archive', `${d}.json`)))
+    .filter(record => record && record.copy && record.copy.headline && !record.usedFallback)
+    .map(record => ({ id: `${record.date} ad`, text: record.copy.headline }));
+}
+
+// Canonical references, most recent first, without repeats.
+function recentScriptures(posts) {
+  const seen = new Set();
+  for (const post of posts) {
+    for (const ref of findReferences(post.text)) {
+      const result = validateReference(ref);
+      if (result.status !== 'invalid') seen.add(result.ref.canonical);
+    }
+  }
+  return [...seen];
+}
+
+// Corpora in the { id, text } shape ifm-shared/similarity compares against.
+function postCorpus(posts) {
+  return posts.map(p => ({ id: p.id, text: p.text }));
+}
+
+function openingCorpus(posts) {
+  return posts.map(p => ({ id: p.id, text: openingLine(p.text) }));
+}
+
+function pullQuoteCorpus(posts) {
+  return posts
+    .filter(p => p.pullQuote)
+    .map(p => ({ id: `${p.date} card`, text: p.pullQuote }));
+}
+
+// Prompt block listing what to steer away from; empty when there is no
+// history yet.
+function buildRecentNote(posts, { maxScriptures = 12, maxQuotes = 8 } = {}) {
+  const scriptures = recentScriptures(posts).slice(0, maxScriptures);
+  const quotes = [...new Set(posts.map(p => p.pullQuote).filter(Boolean))].slice(0, maxQuotes);
+  if (!scriptures.length && !quotes.length) return '';
+
+  const lines = ['\nRecently posted — choose a different scripture and a different angle:'];
+  if (scriptures.length) lines.push(`Scriptures already used: ${scriptures.join('; ')}`);
+  if (quotes.length) {
+    lines.push('Lines already said:');
+    for (const q of quotes) lines.push(`- ${q}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadRecentPosts,
+  loadRecentAdHeadlines,
+  recentScriptures,
+  postCorpus,
+  openingCorpus,
+  pullQuoteCorpus,
+  buildRecentNote,
+};
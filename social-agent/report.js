@@ -0,0 +1,390 @@
+/**
+ * IFM Social Media Agent — Engagement Report
+ *
+ * Joins everything we archived (daily posts, website ads, clips) with the
+ * engagement snapshots metrics.js recorded, and ranks what worked: by theme,
+ * weekday, platform, photo vs text, AI vs fallback ad copy, hashtag set, and
+ * graphic style. Each item counts once, at its latest snapshot.
+ *
+ * Writes content/reports/<period>.md and .html — the Markdown for reading on
+ * GitHub, the HTML for bar charts in a browser.
+ *
+ * Usage:
+ *   node report.js                  — Last full calendar month
+ *   node report.js --month 2026-08  — A specific month
+ *   node report.js --all            — Everything on record
+ *
+ * "Engagement" throughout is reactions + comments + shares. The rate is
+ * engagement ÷ reach, over only the items whose reach is known.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { weekdayOf } = require('./calendar');
+
+const ROOT = path.join(__dirname, '..');
+const REPORTS_DIR = path.join(ROOT, 'content', 'reports');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// ── Loading ────────────────────────────────────────────
+
+function readJSON(file, fallback = null) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function listArchive(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f)).sort();
+}
+
+function latest(entry) {
+  return entry && entry.snapshots && entry.snapshots.length
+    ? entry.snapshots[entry.snapshots.length - 1]
+    : null;
+}
+
+// Names the hashtag bank(s) from config.hashtags a post drew from, beyond the
+// core tags every post can carry: "faith", "prayer", "core only".
+function hashtagSetOf(tags = []) {
+  const sets = Object.entries(config.hashtags)
+    .filter(([name, bank]) => name !== 'core' && tags.some(tag => bank.includes(tag)))
+    .map(([name]) => name);
+  return sets.length ? sets.join(' + ') : 'core only';
+}
+
+function excerpt(text = '', max = 80) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 1).trimEnd()}…` : flat;
+}
+
+function graphicStyleOf(post, result) {
+  if (result.mode !== 'photo' && result.mode !== 'video') return 'no graphic';
+  if (post.graphicPhoto) return `photo: ${post.graphicPhoto}`;
+  if (post.graphicTemplate && post.graphicTemplate !== 'quote-card') return `template: ${post.graphicTemplate}`;
+  return post.graphicStyle && post.graphicStyle.label
+    ? `calendar: ${post.graphicStyle.label}`
+    : 'standard card';
+}
+
+// One row per published item. `snapshot` is null for items metrics.js has not
+// reached yet; they are counted but left out of every average.
+function loadRows() {
+  const rows = [];
+
+  for (const name of listArchive(path.join(ROOT, 'content', 'social-archive'))) {
+    const archive = readJSON(path.join(ROOT, 'content', 'social-archive', name));
+    if (!archive || archive.testMode) continue;
+    const metrics = readJSON(path.join(ROOT, 'content', 'social-metrics', name), { items: {} });
+
+    for (const [platform, result] of Object.entries(archive.postingResults || {})) {
+      if (!result || !result.success || !result.postId || result.test) continue;
+      const post = (archive.posts && archive.posts[platform]) || {};
+      rows.push({
+        source: 'post',
+        id: result.postId,
+        date: archive.date,
+        weekday: archive.day ?? weekdayOf(archive.date),
+        platform,
+        theme: archive.themeType || archive.theme,
+        mode: result.mode || 'photo',
+        copy: null,
+        hashtagSet: hashtagSetOf(post.hashtags),
+        graphic: graphicStyleOf(post, result),
+        summary: post.pullQuote || excerpt(post.content),
+        snapshot: latest(metrics.items[platform]),
+      });
+    }
+  }
+
+  for (const name of listArchive(path.join(ROOT, 'content', 'ad-archive'))) {
+    const archive = readJSON(path.join(ROOT, 'content', 'ad-archive', name));
+    const result = archive && archive.postingResult;
+    if (!archive || archive.testMode || !result || !result.success || !result.postId) continue;
+    const metrics = readJSON(path.join(ROOT, 'content', 'ad-metrics', name), { items: {} });
+    rows.push({
+      source: 'ad',
+      id: result.postId,
+      date: archive.date,
+      weekday: archive.day ?? weekdayOf(archive.date),
+      platform: 'facebook',
+      theme: `website ad: ${archive.label}`,
+      mode: result.mode || 'photo',
+      copy: archive.usedFallback ? 'static fallback' : 'AI',
+      hashtagSet: hashtagSetOf(archive.hashtags),
+      graphic: 'ad card',
+      summary: archive.copy ? archive.copy.headline : '',
+      snapshot: latest(metrics.items.facebook),
+    });
+  }
+
+  const queue = readJSON(path.join(ROOT, 'clips', 'cloud', 'queue.json'), { clips: [] });
+  const clipMetrics = readJSON(path.join(ROOT, 'clips', 'cloud', 'metrics.json'), { items: {} });
+  for (const clip of queue.clips || []) {
+    if (!clip.posted || !clip.video_id) continue;
+    const date = (clip.posted_at || clip.added_at || '').slice(0, 10);
+    rows.push({
+      source: 'clip',
+      id: clip.video_id,
+      date,
+      weekday: date ? weekdayOf(date) : null,
+      platform: 'facebook',
+      theme: 'sermon clip',
+      mode: 'video',
+      copy: null,
+      hashtagSet: null,
+      graphic: null,
+      summary: clip.file,
+      snapshot: latest(clipMetrics.items[clip.video_id]),
+    });
+  }
+
+  return rows;
+}
+
+// ── Aggregation ────────────────────────────────────────
+
+function engagementOf(snapshot) {
+  return (snapshot.reactions || 0) + (snapshot.comments || 0) + (snapshot.shares || 0);
+}
+
+// Rows with a null value for the dimension (e.g. AI vs fallback on a clip)
+// are simply not part of that breakdown.
+const DIMENSIONS = [
+  { title: 'Theme', value: r => r.theme },
+  { title: 'Weekday', value: r => (r.weekday == null ? null : DAY_NAMES[r.weekday]) },
+  { title: 'Platform', value: r => r.platform },
+  { title: 'Format', value: r => r.mode },
+  { title: 'Ad copy: AI vs static fallback', value: r => r.copy },
+  { title: 'Hashtag set', value: r => r.hashtagSet },
+  { title: 'Graphic style', value: r => r.graphic },
+];
+
+function summarize(rows, dimension) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = dimension.value(row);
+    if (key == null || !row.snapshot) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  return [...groups.entries()]
+    .map(([group, items]) => {
+      const engagement = items.reduce((sum, r) => sum + engagementOf(r.snapshot), 0);
+      const withReach = items.filter(r => typeof r.snapshot.reach === 'number' && r.snapshot.reach > 0);
+      const reach = withReach.reduce((sum, r) => sum + r.snapshot.reach, 0);
+      const engagedWithReach = withReach.reduce((sum, r) => sum + engagementOf(r.snapshot), 0);
+      return {
+        group,
+        count: items.length,
+        avgEngagement: engagement / items.length,
+        avgReach: withReach.length ? reach / withReach.length : null,
+        rate: reach ? engagedWithReach / reach : null,
+      };
+    })
+    .sort((a, b) => b.avgEngagement - a.avgEngagement);
+}
+
+function buildReport(rows, period) {
+  const measured = rows.filter(r => r.snapshot);
+  const top = [...measured]
+    .sort((a, b) => engagementOf(b.snapshot) - engagementOf(a.snapshot))
+    .slice(0, 10);
+
+  return {
+    period,
+    generatedAt: new Date().toISOString(),
+    published: rows.length,
+    measured: measured.length,
+    totals: {
+      reactions: measured.reduce((s, r) => s + (r.snapshot.reactions || 0), 0),
+      comments: measured.reduce((s, r) => s + (r.snapshot.comments || 0), 0),
+      shares: measured.reduce((s, r) => s + (r.snapshot.shares || 0), 0),
+    },
+    breakdowns: DIMENSIONS
+      .map(d => ({ title: d.title, groups: summarize(rows, d) }))
+      .filter(b => b.groups.length),
+    top,
+  };
+}
+
+// ── Rendering ──────────────────────────────────────────
+
+const fmt = n => (n == null ? '–' : n >= 100 ? Math.round(n).toLocaleString('en-US') : n.toFixed(1));
+const pct = n => (n == null ? '–' : `${(n * 100).toFixed(1)}%`);
+
+// Instagram media ids have no public URL form; Facebook post and video ids do.
+function permalink(row) {
+  return row.platform === 'facebook' ? `https://www.facebook.com/${row.id}` : null;
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    `# Social engagement — ${report.period}`,
+    '',
+    `${report.measured} of ${report.published} published items measured. ` +
+      `${report.totals.reactions.toLocaleString('en-US')} reactions, ` +
+      `${report.totals.comments.toLocaleString('en-US')} comments, ` +
+      `${report.totals.shares.toLocaleString('en-US')} shares.`,
+    '',
+    '_Engagement = reactions + comments + shares, averaged per item. Small groups (n < 4) are noise, not a trend._',
+  ];
+
+  for (const { title, groups } of report.breakdowns) {
+    const max = Math.max(...groups.map(g => g.avgEngagement), 1);
+    lines.push('', `## ${title}`, '', '| | n | Avg engagement | | Avg reach | Rate |', '|---|---:|---:|---|---:|---:|');
+    for (const g of groups) {
+      const bar = '█'.repeat(Math.max(1, Math.round((g.avgEngagement / max) * 20)));
+      lines.push(`| ${g.group} | ${g.count} | ${fmt(g.avgEngagement)} | \`${bar}\` | ${fmt(g.avgReach)} | ${pct(g.rate)} |`);
+    }
+  }
+
+  if (report.top.length) {
+    lines.push('', '## Top items', '', '| Date | Platform | Theme | Engagement | |', '|---|---|---|---:|---|');
+    for (const row of report.top) {
+      const link = permalink(row);
+      const summary = String(row.summary || '').replace(/\|/g, '\\|');
+      lines.push(`| ${row.date} | ${row.platform} | ${row.theme} | ${engagementOf(row.snapshot)} | ${link ? `[${summary}](${link})` : summary} |`);
+    }
+  }
+
+  lines.push('', `_Generated ${report.generatedAt} by social-agent/report.js_`, '');
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Horizontal bar chart as inline SVG, so the report is one self-contained file.
+function barChart(groups) {
+  const rowHeight = 26;
+  const labelWidth = 220;
+  const barWidth = 360;
+  const max = Math.max(...groups.map(g => g.avgEngagement), 1);
+  const height = groups.length * rowHeight + 8;
+
+  const bars = groups.map((g, i) => {
+    const y = i * rowHeight + 4;
+    const w = Math.max(2, (g.avgEngagement / max) * barWidth);
+    return [
+      `<text x="${labelWidth - 8}" y="${y + 16}" text-anchor="end">${escapeHtml(g.group)}</text>`,
+      `<rect x="${labelWidth}" y="${y + 3}" width="${w.toFixed(1)}" height="${rowHeight - 8}" rx="3" />`,
+      `<text x="${(labelWidth + w + 6).toFixed(1)}" y="${y + 16}" class="value">${fmt(g.avgEngagement)} (n=${g.count})</text>`,
+    ].join('');
+  }).join('\n');
+
+  return `<svg viewBox="0 0 ${labelWidth + barWidth + 110} ${height}" width="100%" role="img">\n${bars}\n</svg>`;
+}
+
+function renderHtml(report) {
+  const sections = report.breakdowns.map(({ title, groups }) => `
+  <section>
+    <h2>${escapeHtml(title)}</h2>
+    ${barChart(groups)}
+    <table>
+      <tr><th></th><th>n</th><th>Avg engagement</th><th>Avg reach</th><th>Rate</th></tr>
+      ${groups.map(g => `<tr><td>${escapeHtml(g.group)}</td><td>${g.count}</td><td>${fmt(g.avgEngagement)}</td><td>${fmt(g.avgReach)}</td><td>${pct(g.rate)}</td></tr>`).join('\n      ')}
+    </table>
+  </section>`).join('\n');
+
+  const top = report.top.map(row => {
+    const link = permalink(row);
+    const summary = escapeHtml(row.summary);
+    return `<tr><td>${row.date}</td><td>${escapeHtml(row.platform)}</td><td>${escapeHtml(row.theme)}</td><td>${engagementOf(row.snapshot)}</td><td>${link ? `<a href="${link}">${summary}</a>` : summary}</td></tr>`;
+  }).join('\n      ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="robots" content="noindex">
+<title>Social engagement — ${escapeHtml(report.period)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #0a0a0a; color: #fff; max-width: 860px; margin: 0 auto; padding: 32px 20px; }
+  h1, h2 { color: #ffd700; font-weight: 600; }
+  .note { color: rgba(255, 255, 255, 0.7); }
+  svg { font-size: 13px; fill: rgba(255, 255, 255, 0.85); margin: 8px 0; }
+  svg rect { fill: #ffd700; }
+  svg .value { fill: rgba(255, 255, 255, 0.7); }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #2d1b4e; }
+  a { color: #ffd700; }
+</style>
+</head>
+<body>
+  <h1>Social engagement — ${escapeHtml(report.period)}</h1>
+  <p>${report.measured} of ${report.published} published items measured.
+    ${report.totals.reactions.toLocaleString('en-US')} reactions,
+    ${report.totals.comments.toLocaleString('en-US')} comments,
+    ${report.totals.shares.toLocaleString('en-US')} shares.</p>
+  <p class="note">Engagement = reactions + comments + shares, averaged per item. Small groups (n &lt; 4) are noise, not a trend.</p>
+${sections}
+  <section>
+    <h2>Top items</h2>
+    <table>
+      <tr><th>Date</th><th>Platform</th><th>Theme</th><th>Engagement</th><th></th></tr>
+      ${top}
+    </table>
+  </section>
+  <p class="note">Generated ${report.generatedAt} by social-agent/report.js</p>
+</body>
+</html>
+`;
+}
+
+// ── Main ───────────────────────────────────────────────
+
+function lastMonth(now = new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const monthIndex = args.indexOf('--month');
+  const all = args.includes('--all');
+  const period = all ? 'all' : monthIndex !== -1 ? args[monthIndex + 1] : lastMonth();
+
+  if (!all && !/^\d{4}-\d{2}$/.test(period || '')) {
+    console.error('Usage: node report.js [--month YYYY-MM | --all]');
+    process.exit(1);
+  }
+
+  const rows = loadRows().filter(r => all || (r.date && r.date.startsWith(period)));
+  if (!rows.length) {
+    console.error(`No published items for ${period}`);
+    process.exit(1);
+  }
+
+  const report = buildReport(rows, period);
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  const mdPath = path.join(REPORTS_DIR, `${period}.md`);
+  const htmlPath = path.join(REPORTS_DIR, `${period}.html`);
+  const markdown = renderMarkdown(report);
+  fs.writeFileSync(mdPath, markdown);
+  fs.writeFileSync(htmlPath, renderHtml(report));
+  // On Actions, the same Markdown shows on the run's summary page.
+  if (process.env.GITHUB_STEP_SUMMARY) fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, markdown);
+
+  console.log(`📊 ${period}: ${report.measured}/${report.published} items measured`);
+  console.log(`  ${path.relative(ROOT, mdPath)}`);
+  console.log(`  ${path.relative(ROOT, htmlPath)}`);
+  if (report.measured === 0) {
+    console.log('  (no engagement snapshots yet — run metrics.js first)');
+  }
+  return { mdPath, htmlPath };
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadRows, buildReport, renderMarkdown, renderHtml };
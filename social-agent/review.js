@@ -0,0 +1,380 @@
+/**
+ * IFM Social Media Agent — Review
+ * Human approval between index.js (generate) and poster.js (publish).
+ *
+ * Usage:
+ *   node review.js                      — Local review page on http://localhost:4020
+ *   node review.js --port 5000
+ *   node review.js list                 — Recent content files and their status
+ *   node review.js show 2026-10-19      — Print one day's posts to the terminal
+ *   node review.js approve 2026-10-19 [--note "..."]
+ *   node review.js reject 2026-10-19 --note "wrong event time"
+ *
+ * The review page shows each platform's post, the pull quote, and the
+ * rendered card, and lets the reviewer edit any of them in place. Saving an
+ * edit marks the day `edited` (which posts like `approved`); changing the pull
+ * quote redraws the card and deletes the day's videos, which still show the
+ * old quote (poster.js draws the Facebook one again). The original AI text
+ * is kept next to the edit as `generatedFullPost` / `generatedPullQuote`.
+ *
+ * Status lives in the content file itself (see approval.js), so approving
+ * means committing that file — the hourly --due run reads it from the repo.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { renderQuoteGraphic } = require('./graphic');
+const { resolveGraphic } = require('./poster');
+const { APPROVAL_STATES, approvalStatus, setApproval } = require('./approval');
+
+const POSTS_DIR = path.join(__dirname, '..', 'content', 'social-posts');
+const LIST_DAYS = 14;
+
+// ── Content Files ──────────────────────────────────────
+
+function contentFileFor(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) throw new Error(`Not a date: "${date}" (expected YYYY-MM-DD)`);
+  const file = path.join(POSTS_DIR, `${date}.json`);
+  if (!fs.existsSync(file)) throw new Error(`No content for ${date} — run "node index.js" first`);
+  return file;
+}
+
+function loadContent(date) {
+  return JSON.parse(fs.readFileSync(contentFileFor(date), 'utf-8'));
+}
+
+function saveContent(content) {
+  fs.writeFileSync(contentFileFor(content.date), JSON.stringify(content, null, 2));
+}
+
+function recentContent() {
+  if (!fs.existsSync(POSTS_DIR)) return [];
+  return fs.readdirSync(POSTS_DIR)
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .sort()
+    .reverse()
+    .slice(0, LIST_DAYS)
+    .map(f => JSON.parse(fs.readFileSync(path.join(POSTS_DIR, f), 'utf-8')));
+}
+
+// ── Edits ──────────────────────────────────────────────
+
+// The edited post without the CTA and hashtags index.js appended to it, when
+// the reviewer left those alone; otherwise all of it. This is the `content`
+// that recent.js (novelty) and report.js read.
+function bodyOf(post, fullPost) {
+  const suffix = `${post.cta || ''}\n\n${(post.hashtags || []).join(' ')}`;
+  return fullPost.endsWith(suffix) ? fullPost.slice(0, -suffix.length).trim() : fullPost;
+}
+
+// Applies the reviewer's text to the content. Returns what changed, so the
+// caller can tell an edit from a plain approval.
+async function applyEdits(content, { posts = {}, pullQuote, attribution }) {
+  const changed = [];
+
+  for (const [platform, text] of Object.entries(posts)) {
+    const post = content.posts[platform];
+    if (!post || post.error || typeof text !== 'string') continue;
+    // Browsers submit textareas with CRLF line endings.
+    const normalized = text.replace(/\r\n/g, '\n').trim();
+    if (normalized === post.fullPost.trim()) continue;
+    if (post.generatedFullPost === undefined) post.generatedFullPost = post.fullPost;
+    post.fullPost = normalized;
+    post.content = bodyOf(post, normalized);
+    changed.push(platform);
+  }
+
+  const fb = content.posts.facebook;
+  const quoteChanged = fb && pullQuote !== undefined && pullQuote.trim() !== (fb.pullQuote || '');
+  const attributionChanged = fb && attribution !== undefined && attribution.trim() !== (fb.attribution || '');
+  if (quoteChanged || attributionChanged) {
+    if (fb.generatedPullQuote === undefined) {
+      fb.generatedPullQuote = fb.pullQuote;
+      fb.generatedAttribution = fb.attribution;
+    }
+    fb.pullQuote = pullQuote.trim();
+    fb.attribution = attribution.trim();
+
+    const outDir = path.join(__dirname, 'output');
+    fs.mkdirSync(outDir, { recursive: true });
+    const outputPath = path.join(outDir, `${content.date}.png`);
+    await renderQuoteGraphic({
+      quote: fb.pullQuote,
+      attribution: fb.attribution,
+      outputPath,
+      style: fb.graphicStyle || undefined,
+      qr: fb.graphicQr || null,
+      template: fb.graphicTemplate,
+      photo: fb.graphicPhoto || null,
+    });
+    fb.graphicPath = outputPath;
+    if (content.posts.instagram && !content.posts.instagram.error) {
+      content.posts.instagram.graphicPath = outputPath;
+    }
+    // With the old videos gone, resolveVideo in poster.js draws the Facebook
+    // one again from the edited quote.
+    const videos = new Set([path.join(outDir, `${content.date}.mp4`)]);
+    for (const post of Object.values(content.posts)) {
+      if (!post || !post.videoPath) continue;
+      videos.add(post.videoPath);
+      delete post.videoPath;
+    }
+    for (const video of videos) fs.rmSync(video, { force: true });
+    changed.push('pull quote');
+  }
+
+  return changed;
+}
+
+// ── Review Page ────────────────────────────────────────
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const STATUS_COLORS = {
+  pending: '#b58900',
+  approved: '#2e7d32',
+  edited: '#1565c0',
+  rejected: '#c62828',
+};
+
+function badge(status) {
+  return `<span class="badge" style="background:${STATUS_COLORS[status] || '#555'}">${status}</span>`;
+}
+
+function page(title, body) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #111; color: #eee; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; }
+  a { color: #d4af37; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { padding: .5rem; border-bottom: 1px solid #333; text-align: left; }
+  .badge { padding: .15rem .5rem; border-radius: 3px; font-size: .8rem; text-transform: uppercase; color: #fff; }
+  .grid { display: grid; grid-template-columns: 420px 1fr; gap: 2rem; }
+  img { width: 100%; border: 1px solid #333; }
+  textarea, input[type=text] { width: 100%; background: #1b1b1b; color: #eee; border: 1px solid #444; padding: .5rem; font: inherit; box-sizing: border-box; }
+  textarea { min-height: 11rem; }
+  label { display: block; margin: 1rem 0 .25rem; color: #d4af37; font-weight: 600; }
+  .meta { color: #999; font-size: .85rem; }
+  .over { color: #ef5350; }
+  button { margin: 1rem .5rem 0 0; padding: .6rem 1.2rem; border: 0; border-radius: 3px; font-weight: 600; cursor: pointer; }
+  .approve { background: #2e7d32; color: #fff; } .save { background: #1565c0; color: #fff; } .reject { background: #c62828; color: #fff; }
+</style></head><body>${body}</body></html>`;
+}
+
+function renderIndex() {
+  const rows = recentContent().map(c => `
+    <tr>
+      <td><a href="/post/${c.date}">${c.date}</a></td>
+      <td>${escapeHtml(c.theme)}${c.calendarEntry ? ` <span class="meta">(${escapeHtml(c.calendarEntry)})</span>` : ''}</td>
+      <td>${badge(approvalStatus(c))}</td>
+    </tr>`).join('');
+  return page('IFM Review', `
+    <h1>Daily posts</h1>
+    <p class="meta">requireApproval is <strong>${config.requireApproval ? 'ON' : 'off'}</strong>${config.requireApproval ? '' : ' — poster.js posts regardless of status'}.</p>
+    <table><tr><th>Date</th><th>Theme</th><th>Status</th></tr>${rows || '<tr><td colspan="3">No content yet.</td></tr>'}</table>`);
+}
+
+function renderPost(content, message) {
+  const fb = content.posts.facebook || {};
+  const platforms = Object.entries(content.posts).map(([platform, post]) => {
+    if (post.error) return `<label>${platform}</label><p class="over">Generation failed: ${escapeHtml(post.error)}</p>`;
+    const max = config.platforms[platform]?.maxLength;
+    const over = max && post.content && post.content.length > max;
+    return `
+      <label>${platform}</label>
+      <div class="meta">
+        ${post.scheduledFor ? `scheduled ${escapeHtml(post.scheduledFor)} · ` : ''}
+        <span class="${over ? 'over' : ''}">${post.fullPost.length} chars${max ? ` (body limit ${max})` : ''}</span>
+        ${post.generatedFullPost !== undefined ? ' · edited' : ''}
+      </div>
+      <textarea name="post_${platform}">${escapeHtml(post.fullPost)}</textarea>`;
+  }).join('');
+
+  const history = (content.approval?.history || []).map(h =>
+    `<li>${escapeHtml(h.at)} — ${escapeHtml(h.status)} by ${escapeHtml(h.by)}${h.note ? `: ${escapeHtml(h.note)}` : ''}</li>`
+  ).join('');
+
+  return page(`Review ${content.date}`, `
+    <p><a href="/">&larr; All days</a></p>
+    <h1>${content.date} — ${escapeHtml(content.theme)} ${badge(approvalStatus(content))}</h1>
+    ${message ? `<p><strong>${escapeHtml(message)}</strong></p>` : ''}
+    <form method="post" action="/post/${content.date}">
+      <div class="grid">
+        <div>
+          ${fb.pullQuote ? `<img src="/graphic/${content.date}.png?v=${Date.now()}" alt="Quote card">` : '<p class="meta">No graphic for this day.</p>'}
+          <label>Pull quote</label>
+          <input type="text" name="pullQuote" value="${escapeHtml(fb.pullQuote)}">
+          <label>Attribution</label>
+          <input type="text" name="attribution" value="${escapeHtml(fb.attribution)}">
+          <p class="meta">Target page: <a href="${escapeHtml(content.targetPage)}">${escapeHtml(content.targetPage)}</a></p>
+          ${history ? `<label>History</label><ul class="meta">${history}</ul>` : ''}
+        </div>
+        <div>
+          ${platforms}
+          <label>Note (optional)</label>
+          <input type="text" name="note" placeholder="Why it was rejected or what was changed">
+          <button class="approve" name="action" value="approve">Approve</button>
+          <button class="save" name="action" value="save">Save edits</button>
+          <button class="reject" name="action" value="reject">Reject</button>
+        </div>
+      </div>
+    </form>`);
+}
+
+// ── Server ─────────────────────────────────────────────
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(raw)));
+    req.on('error', reject);
+  });
+}
+
+async function handlePost(date, form) {
+  const content = loadContent(date);
+  const action = form.get('action');
+  const note = form.get('note') || undefined;
+
+  const posts = {};
+  for (const [key, value] of form.entries()) {
+    if (key.startsWith('post_')) posts[key.slice(5)] = value;
+  }
+  // Edits are applied on approve too — a reviewer who fixes a typo and
+  // clicks Approve meant to keep the fix.
+  const changed = action === 'reject'
+    ? []
+    : await applyEdits(content, { posts, pullQuote: form.get('pullQuote'), attribution: form.get('attribution') });
+
+  let status;
+  if (action === 'reject') status = 'rejected';
+  else if (changed.length > 0) status = 'edited';
+  else if (action === 'approve') status = 'approved';
+
+  if (status) {
+    const detail = changed.length > 0 ? `changed ${changed.join(', ')}` : null;
+    setApproval(content, status, { note: [detail, note].filter(Boolean).join(' — ') || undefined });
+    saveContent(content);
+  }
+  return status ? `Marked ${status}${changed.length ? ` (${changed.join(', ')})` : ''}` : 'No changes';
+}
+
+function startServer(port) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    try {
+      if (req.method === 'GET' && url.pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(renderIndex());
+      }
+
+      const postMatch = url.pathname.match(/^\/post\/(\d{4}-\d{2}-\d{2})$/);
+      if (postMatch && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(renderPost(loadContent(postMatch[1]), url.searchParams.get('msg')));
+      }
+      if (postMatch && req.method === 'POST') {
+        const message = await handlePost(postMatch[1], await readForm(req));
+        console.log(`${postMatch[1]}: ${message}`);
+        // Redirect after POST so a refresh does not resubmit the form.
+        res.writeHead(303, { Location: `/post/${postMatch[1]}?msg=${encodeURIComponent(message)}` });
+        return res.end();
+      }
+
+      const graphicMatch = url.pathname.match(/^\/graphic\/(\d{4}-\d{2}-\d{2})\.png$/);
+      if (graphicMatch && req.method === 'GET') {
+        const content = loadContent(graphicMatch[1]);
+        const graphicPath = await resolveGraphic(content, content.posts.facebook || {});
+        if (!graphicPath) throw new Error('No graphic for this day');
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+        return fs.createReadStream(graphicPath).pipe(res);
+      }
+
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(page('Error', `<p><a href="/">&larr; All days</a></p><p class="over">${escapeHtml(err.message)}</p>`));
+    }
+  });
+
+  // Loopback only: this page can rewrite what goes out on the ministry's
+  // accounts, so it is never exposed to the network.
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`\nIFM review page: http://localhost:${port}`);
+    console.log(`requireApproval: ${config.requireApproval ? 'ON' : 'off'}`);
+    console.log('Commit content/social-posts/ after reviewing so the posting run sees it.\n');
+  });
+}
+
+// ── CLI ────────────────────────────────────────────────
+
+function printList() {
+  const items = recentContent();
+  if (items.length === 0) return console.log('No content files yet.');
+  for (const c of items) {
+    console.log(`  ${c.date}  ${approvalStatus(c).padEnd(8)}  ${c.theme}${c.calendarEntry ? ` (${c.calendarEntry})` : ''}`);
+  }
+}
+
+function printContent(content) {
+  const fb = content.posts.facebook || {};
+  console.log(`\n${content.date} — ${content.theme} [${approvalStatus(content)}]`);
+  if (fb.pullQuote) console.log(`Pull quote: "${fb.pullQuote}" — ${fb.attribution}`);
+  if (fb.graphicPath) console.log(`Graphic:    ${fb.graphicPath}`);
+  for (const [platform, post] of Object.entries(content.posts)) {
+    console.log(`\n▸ ${platform.toUpperCase()}${post.scheduledFor ? ` (scheduled ${post.scheduledFor})` : ''}`);
+    console.log('─'.repeat(40));
+    console.log(post.error ? `  ERROR: ${post.error}` : post.fullPost);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const [command, date] = args;
+  const noteIndex = args.indexOf('--note');
+  const note = noteIndex !== -1 ? args[noteIndex + 1] : undefined;
+  const portIndex = args.indexOf('--port');
+
+  switch (command) {
+    case undefined:
+    case '--port':
+      return startServer(portIndex !== -1 ? Number(args[portIndex + 1]) : 4020);
+    case 'list':
+      return printList();
+    case 'show':
+      return printContent(loadContent(date));
+    case 'approve':
+    case 'reject': {
+      const content = loadContent(date);
+      setApproval(content, command === 'approve' ? 'approved' : 'rejected', { note });
+      saveContent(content);
+      return console.log(`${date}: ${approvalStatus(content)}`);
+    }
+    default:
+      console.error(`Unknown command "${command}". Use: list | show | approve | reject (or no command for the review page)`);
+      console.error(`Statuses: ${APPROVAL_STATES.join(', ')}`);
+      process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { applyEdits };
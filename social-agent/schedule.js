@@ -0,0 +1,101 @@
+/**
+ * IFM Social Media Agent — Posting Schedule
+ *
+ * Turns config.postingSchedule into a concrete `scheduledFor` timestamp per
+ * platform, and answers "is this post due yet?" for `poster.js --due`.
+ *
+ * Windows are wall-clock times in the configured timezone, so "11:30 in
+ * Detroit" stays 11:30 across daylight saving changes even though the UTC
+ * instant moves. The runner itself is always UTC; nothing here reads its
+ * local time.
+ */
+
+const { weekdayOf } = require('./calendar');
+
+// ── Timezone Helpers ───────────────────────────────────
+// Node ships full ICU, so Intl can tell us a zone's offset at any instant
+// without a timezone library.
+
+function zoneOffsetMs(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - instant.getTime();
+}
+
+// "2026-03-08" + "11:30" in America/Detroit -> the matching UTC Date.
+function zonedTimeToUtc(dateStr, hhmm, timeZone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const [h, min] = hhmm.split(':').map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, h, min);
+  // First guess uses the offset at the wall-clock instant; the second pass
+  // corrects it when a DST change falls between the two.
+  let utc = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  utc = wallClock - zoneOffsetMs(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function formatMinutes(total) {
+  const h = String(Math.floor(total / 60)).padStart(2, '0');
+  const m = String(total % 60).padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+// Small stable string hash (FNV-1a). Only used to spread posts inside a
+// window; it just has to give the same answer for the same date.
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// ── Scheduling ─────────────────────────────────────────
+
+// First window that applies to the weekday. A window without `days` applies
+// to every day, so list day-specific windows ahead of a catch-all.
+function pickWindow(windows = [], weekday) {
+  return windows.find(w => !w.days || w.days.includes(weekday)) || null;
+}
+
+// ISO timestamp the platform's post for `dateStr` should go out, or null when
+// the platform has no window (post whenever poster.js next runs).
+function scheduledTimeFor(dateStr, platform, schedule = {}) {
+  const window = pickWindow(schedule.windows?.[platform], weekdayOf(dateStr));
+  if (!window) return null;
+
+  const start = minutesOf(window.start);
+  const span = Math.max(0, minutesOf(window.end) - start);
+  const minute = start + (hashString(`${dateStr}|${platform}`) % (span + 1));
+  return zonedTimeToUtc(dateStr, formatMinutes(minute), schedule.timezone || 'UTC').toISOString();
+}
+
+// Posts with no scheduledFor (generated before scheduling existed, or for a
+// platform with no window) are due immediately.
+function isDue(scheduledFor, now = new Date()) {
+  return !scheduledFor || new Date(scheduledFor) <= now;
+}
+
+function isStale(scheduledFor, now = new Date(), staleAfterHours = 12) {
+  if (!scheduledFor) return false;
+  return now - new Date(scheduledFor) > staleAfterHours * 3600 * 1000;
+}
+
+module.exports = {
+  scheduledTimeFor,
+  isDue,
+  isStale,
+  zonedTimeToUtc,
+};
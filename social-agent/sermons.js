@@ -0,0 +1,364 @@
+/**
+ * IFM Social Media Agent — Sermon Transcripts and the Voice Corpus
+ *
+ * sermon_corpus.txt holds the passages of real preaching that go into every
+ * AI prompt as voice examples (config.buildBrandVoice). This keeps it fed.
+ *
+ * `fetch` pulls the auto-captions of the channel's latest streams into
+ * sermons/ (gitignored) with yt-dlp, skipping any already there. The VTT is
+ * kept as is: its word timings are what clip-subtitles.js burns in.
+ *
+ * `curate` reads those transcripts, or any VTT, SRT or plain-text ones it is
+ * given, drops the filler ("um", "uh", [Music], a word said twice), cuts
+ * them into passages of config.sermons.minWords–maxWords words at sentence
+ * breaks, and scores each for how much it sounds like the pulpit:
+ *
+ *   directAddress — "you", "your", "y'all", "somebody"
+ *   scripture     — references, written or spoken ("John 3 16"), and
+ *                   "the Bible says", "it is written"…
+ *   signature     — config.sermons.signaturePhrases
+ *   housekeeping  — announcements and giving logistics, which count against
+ *
+ * The best few that are not already in the corpus are written to
+ * sermons/corpus-candidates.txt in the corpus's own `---` format, with where
+ * each came from and its score in the header. Pick from it, tidy the
+ * punctuation (auto-captions have almost none; a pause is taken as a full
+ * stop) and paste the passages into sermon_corpus.txt.
+ *
+ * Usage:
+ *   node sermons.js fetch [count]         — The latest `count` streams
+ *                                           (default config.sermons.count)
+ *   node sermons.js curate [paths…]       — Transcripts, or directories of them
+ *                     [--top N]             (default sermons/); propose N
+ *                     [--out path]          (default config.sermons.candidates)
+ *                                           to path (default
+ *                                           sermons/corpus-candidates.txt)
+ *
+ * `fetch` needs yt-dlp (pip install yt-dlp) on the PATH, or YTDLP_PATH
+ * pointing at it. `curate` needs the npm install for ifm-shared.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { findReferences } = require('ifm-shared/scripture');
+const { findNearDuplicates } = require('ifm-shared/similarity');
+const config = require('./config');
+const { transcriptWords, dropTags } = require('./transcripts');
+
+const YTDLP = process.env.YTDLP_PATH || 'yt-dlp';
+const SERMONS_DIR = path.join(__dirname, 'sermons');
+const CANDIDATES_FILE = path.join(SERMONS_DIR, 'corpus-candidates.txt');
+// Generous: a long stream's captions are one request, but YouTube can be slow.
+const YTDLP_TIMEOUT_MS = 5 * 60 * 1000;
+
+const lastLine = text => String(text || '').trim().split('\n').pop() || 'no output';
+
+// ── Fetch ──────────────────────────────────────────────
+
+function ytdlp(args) {
+  const result = spawnSync(YTDLP, args, { encoding: 'utf-8', timeout: YTDLP_TIMEOUT_MS });
+  if (result.error) {
+    throw result.error.code === 'ENOENT'
+      ? new Error(`yt-dlp not found (tried "${YTDLP}") — pip install yt-dlp or set YTDLP_PATH`)
+      : result.error;
+  }
+  return result;
+}
+
+// A video title cut down to safe file name characters.
+function slugify(title) {
+  return title.replace(/[^\w\s-]/g, '').replace(/\s+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+}
+
+// [{ id, title }] for the channel's latest `count` streams, newest first.
+function listStreams(count) {
+  const result = ytdlp(['--flat-playlist', '--print', '%(id)s|%(title)s', '--playlist-end', String(count), config.sermons.channel]);
+  if (result.status !== 0) throw new Error(`yt-dlp could not list the channel: ${lastLine(result.stderr)}`);
+  return result.stdout.split('\n').filter(line => line.includes('|')).map(line => {
+    const [id, ...title] = line.split('|');
+    return { id: id.trim(), title: title.join('|').trim() };
+  });
+}
+
+// The stream's English auto-captions as <dir>/<slug>_<id>.en.vtt, or null
+// if it has none.
+function downloadCaptions({ id, title }, dir) {
+  const base = path.join(dir, `${slugify(title)}_${id}`);
+  const result = ytdlp([
+    '--write-auto-sub', '--sub-lang', 'en', '--sub-format', 'vtt', '--skip-download',
+    '-o', `${base}.%(ext)s`, `https://www.youtube.com/watch?v=${id}`,
+  ]);
+  const vtt = `${base}.en.vtt`;
+  if (fs.existsSync(vtt)) return vtt;
+  if (result.status !== 0) throw new Error(lastLine(result.stderr));
+  return null;
+}
+
+// Returns the paths of the transcripts it downloaded. A stream with any file
+// in `dir` already (the .txt the old Python fetcher left counts) is skipped.
+function fetchSermons(count = config.sermons.count, dir = SERMONS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  console.log(`Listing the ${count} latest streams…`);
+  const streams = listStreams(count);
+  console.log(`Found ${streams.length}.\n`);
+
+  const have = fs.readdirSync(dir);
+  const fetched = [];
+  for (const stream of streams) {
+    if (have.some(name => name.includes(`_${stream.id}.`))) {
+      console.log(`  [SKIP] ${stream.title}`);
+      continue;
+    }
+    console.log(`  [GET]  ${stream.title}`);
+    try {
+      const vtt = downloadCaptions(stream, dir);
+      if (!vtt) {
+        console.log('         no English auto-captions');
+        continue;
+      }
+      console.log(`         ${transcriptWords(fs.readFileSync(vtt, 'utf-8')).length.toLocaleString()} words`);
+      fetched.push(vtt);
+    } catch (err) {
+      console.log(`         ERROR: ${err.message}`);
+    }
+  }
+  return fetched;
+}
+
+// ── Clean ──────────────────────────────────────────────
+
+// [{ text, start }]: VTT and SRT words carry their time in seconds, plain
+// text's do not.
+function readWords(file) {
+  const raw = fs.readFileSync(file, 'utf-8');
+  if (/\.(vtt|srt)$/i.test(file)) return transcriptWords(raw);
+  return dropTags(raw.split(/\s+/).filter(Boolean).map(text => ({ text, start: null })));
+}
+
+// Filler words, ">>" speaker marks, and the second of a word said twice
+// running ("the the") — unless there was a pause between them, when the
+// first one ended a sentence. [Music]-style tags are already gone
+// (transcripts.js dropTags).
+function dropFiller(words, { filler = config.sermons.filler, pause = config.sermons.pauseSeconds } = {}) {
+  const fillers = new Set(filler);
+  const kept = [];
+  for (const word of words) {
+    const bare = word.text.toLowerCase().replace(/[^a-z0-9']/g, '');
+    if (!bare || fillers.has(bare)) continue;
+    const last = kept[kept.length - 1];
+    const stutter = last && last.text.toLowerCase() === word.text.toLowerCase()
+      && (word.start === null || word.start - last.start < pause);
+    if (!stutter) kept.push(word);
+  }
+  return kept;
+}
+
+// Runs of words ending in . ! or ?, or at a pause: the next word starting
+// `pause` seconds or more after this one did. A pause gets the full stop
+// and capital auto-captions leave out.
+function sentences(words, pause = config.sermons.pauseSeconds) {
+  const out = [];
+  let current = [];
+  words.forEach((word, i) => {
+    let text = word.text.replace(/^i(?=$|')/, 'I');
+    if (!current.length) text = text[0].toUpperCase() + text.slice(1);
+    const next = words[i + 1];
+    const paused = next && word.start !== null && next.start - word.start >= pause;
+    if (paused && !/[.!?]["”']?$/.test(text)) text = `${text.replace(/[,;:]$/, '')}.`;
+    current.push({ ...word, text });
+    if (!next || paused || /[.!?]["”']?$/.test(text)) {
+      out.push(current);
+      current = [];
+    }
+  });
+  return out;
+}
+
+// Whole sentences, gathered until there are at least `minWords`. A sentence
+// that would run the passage past `maxWords` is cut there and the rest of it
+// starts the next one, so nothing already gathered is lost; a sentence
+// longer than `maxWords` on its own is cut into pieces the same way. Words
+// left over at the end, short of `minWords`, make no passage.
+function passages(sentenceList, { minWords = config.sermons.minWords, maxWords = config.sermons.maxWords } = {}) {
+  const out = [];
+  let current = [];
+  for (const sentence of sentenceList) {
+    let rest = sentence;
+    while (rest.length) {
+      const room = maxWords - current.length;
+      current.push(...rest.slice(0, room));
+      rest = rest.slice(room);
+      if (current.length >= minWords) {
+        out.push(current);
+        current = [];
+      }
+    }
+  }
+  return out;
+}
+
+// ── Score ──────────────────────────────────────────────
+
+const DIRECT_ADDRESS = /\b(you|your|you're|yours|yourself|y'all|somebody)\b/g;
+const SCRIPTURE_CUES = /\b(the bible says|the word says|the scripture says|it is written|thus saith|the word of god)\b/g;
+
+// "John 3 16", "John chapter 3 verse 16" → "John 3:16", so a spoken
+// reference is found like a written one. Words that are not books fall out
+// in findReferences.
+function writtenReferences(text) {
+  return text.replace(/\b([a-z]+)\s+(?:chapter\s+)?(\d{1,3})\s+(?:verse\s+|and\s+)?(\d{1,3})\b/gi, '$1 $2:$3');
+}
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// { score, signals }: the weighted signal counts per 100 words, and the
+// counts themselves.
+function scorePassage(text, { weights, signaturePhrases, housekeeping } = config.sermons) {
+  // Lowercase with the punctuation gone, so "Come on, somebody." matches
+  // "come on somebody".
+  const plain = ` ${text.toLowerCase().replace(/[‘’]/g, "'").replace(/[^a-z0-9'\s]/g, ' ').replace(/\s+/g, ' ')} `;
+  const count = pattern => (plain.match(pattern) || []).length;
+  const phrases = list => list.reduce((n, phrase) => n + count(new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'g')), 0);
+
+  const signals = {
+    directAddress: count(DIRECT_ADDRESS),
+    scripture: findReferences(writtenReferences(text)).length + count(SCRIPTURE_CUES),
+    signature: phrases(signaturePhrases),
+    housekeeping: phrases(housekeeping),
+  };
+  const total = Object.entries(weights).reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+  const words = text.split(/\s+/).length;
+  return { score: Math.round((total * 1000) / words) / 10, signals };
+}
+
+// ── Curate ─────────────────────────────────────────────
+
+// Every passage in `files`, scored, and the best `top` of them: highest
+// score first, skipping any too close to a corpus passage or to one already
+// picked, and any past `perSermon` from the same file. Returns
+// { picked, scored, duplicates } — duplicates being [{ passage, of }].
+function curate(files, { top = config.sermons.candidates, corpus = config.sermonExamples } = {}) {
+  const { perSermon, corpusThreshold } = config.sermons;
+  const scored = files.flatMap(file => passages(sentences(dropFiller(readWords(file)))).map(words => {
+    const text = words.map(w => w.text).join(' ');
+    return { file, start: words[0].start, words: words.length, text, ...scorePassage(text) };
+  }));
+  scored.sort((a, b) => b.score - a.score);
+
+  const known = corpus.map((text, i) => ({ id: `corpus passage ${i + 1}`, text }));
+  const picked = [];
+  const duplicates = [];
+  for (const passage of scored) {
+    if (picked.length >= top || passage.score <= 0) break;
+    if (picked.filter(p => p.file === passage.file).length >= perSermon) continue;
+    const [match] = findNearDuplicates(passage.text, known, { threshold: corpusThreshold });
+    if (match) {
+      duplicates.push({ passage, of: match.id });
+      continue;
+    }
+    picked.push(passage);
+    known.push({ id: `candidate ${picked.length}`, text: passage.text });
+  }
+  return { picked, scored, duplicates };
+}
+
+// 2467.2 → "41:07", 4000 → "1:06:40".
+function clock(seconds) {
+  const s = Math.floor(seconds);
+  const mmss = `${String(Math.floor(s / 60) % 60).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+  return s >= 3600 ? `${Math.floor(s / 3600)}:${mmss}` : mmss.replace(/^0/, '');
+}
+
+function describe(passage, i) {
+  const at = passage.start !== null ? ` @ ${clock(passage.start)}` : '';
+  const counts = Object.entries(passage.signals).map(([signal, n]) => `${signal} ${n}`).join(', ');
+  return `${String(i + 1).padStart(2)}. ${passage.score.toFixed(1).padStart(5)}  ${path.basename(passage.file)}${at} — ${passage.words} words; ${counts}`;
+}
+
+// The candidates file: a # header listing where each passage came from,
+// then the passages in sermon_corpus.txt's format.
+function formatCandidates(picked, { files, scored }) {
+  const header = [
+    `# Voice corpus candidates — ${new Date().toISOString().slice(0, 10)}`,
+    `# Best ${picked.length} of ${scored} passage(s) from ${files} transcript(s), by score (sermons.js curate).`,
+    '# Copy the ones that sound most like the pulpit into sermon_corpus.txt,',
+    '# each after a --- line, and fix the punctuation the captions got wrong.',
+    '#',
+    ...picked.map((passage, i) => `# ${describe(passage, i)}`),
+  ];
+  return `${[header.join('\n'), ...picked.map(p => p.text)].join('\n\n---\n\n')}\n`;
+}
+
+// ── CLI ────────────────────────────────────────────────
+
+// Transcript files under each path (directories are not searched
+// recursively), leaving out the candidates file itself.
+function transcriptFiles(paths) {
+  return paths.flatMap(target => (fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).sort().map(name => path.join(target, name))
+    : [target]))
+    .filter(file => /\.(vtt|srt|txt)$/i.test(file) && path.basename(file) !== path.basename(CANDIDATES_FILE));
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const [command] = args;
+  const option = name => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+
+  switch (command) {
+    case 'fetch': {
+      const count = args[1] !== undefined ? Number(args[1]) : config.sermons.count;
+      if (!Number.isInteger(count) || count < 1) throw new Error('Usage: node sermons.js fetch [count]');
+      const fetched = fetchSermons(count);
+      console.log(`\nDone. ${fetched.length} new transcript(s) in ${SERMONS_DIR}`);
+      if (fetched.length) console.log('Next: node sermons.js curate');
+      return;
+    }
+    case 'curate': {
+      const valued = new Set(['--top', '--out'].map(option));
+      const paths = args.slice(1).filter(arg => !arg.startsWith('--') && !valued.has(arg));
+      const files = transcriptFiles(paths.length ? paths : [SERMONS_DIR]);
+      if (!files.length) throw new Error('No transcripts found — run `node sermons.js fetch` first');
+
+      const top = option('--top') !== undefined ? Number(option('--top')) : undefined;
+      const { picked, scored, duplicates } = curate(files, { top });
+      for (const { passage, of } of duplicates) {
+        console.log(`  = ${path.basename(passage.file)}${passage.start !== null ? ` @ ${clock(passage.start)}` : ''} is too close to ${of}`);
+      }
+      if (!picked.length) return console.log(`No candidates in ${scored.length} passage(s) from ${files.length} transcript(s).`);
+
+      const out = path.resolve(option('--out') || CANDIDATES_FILE);
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, formatCandidates(picked, { files: files.length, scored: scored.length }));
+      picked.forEach((passage, i) => console.log(describe(passage, i)));
+      console.log(`\n${picked.length} candidate(s) written to ${out}`);
+      return;
+    }
+    default:
+      throw new Error(`Unknown command "${command || ''}". Use: fetch [count] | curate [paths…] [--top N] [--out path]`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  fetchSermons,
+  slugify,
+  dropFiller,
+  sentences,
+  passages,
+  scorePassage,
+  curate,
+  formatCandidates,
+};
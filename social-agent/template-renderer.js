@@ -0,0 +1,479 @@
+/**
+ * IFM Social Media Agent — Graphic Templates
+ *
+ * Draws a graphic from a JSON template in templates/. A template is a list of
+ * layers painted in order; nothing about how a card looks lives in code.
+ * graphic.js (quote card) and ad-graphic.js (website ad) are thin wrappers
+ * that pick a template and hand it the day's words.
+ *
+ * Template file:
+ *
+ *   {
+ *     "name": "quote-advent",          same as the file name
+ *     "kind": "quote",                 "quote" or "ad"
+ *     "season": { "from": "12-01", "to": "12-24" },   optional, see below
+ *     "vars": { "accent": "#ffd700", "glow": [0.78, 0.22], "label": "…" },
+ *     "layers": [ … ]
+ *   }
+ *
+ * Layers (every number is in 1080-square design pixels; formats.js re-flows
+ * them for portrait, story and landscape):
+ *
+ *   background  "linear": [[stop, color], …]    top-left to bottom-right
+ *               "radial": { center: [x, y] (0–1), radius (× long side), stops }
+ *   shape       "shape": "frame"  inset, lineWidth, color
+ *               "shape": "rule"   a line under the text layer `under`, at y,
+ *                                 `overhang` past each end
+ *   text        "text": "— {{attribution}}", "font": "italic 30 Montserrat",
+ *               color, and one of:
+ *                 "y"            a single line (or up to `maxLines` lines,
+ *                                `leading` apart) starting at y
+ *                 "box": [t, b]  wrapped and shrunk from the font size down
+ *                                to `minSize` until it fits, centred in t…b
+ *               "margin" keeps wrapped text that far from each side.
+ *               "pill": { y, height, padding, color } draws a button behind it.
+ *   image       "src" (in assets/), y, height — centred; skipped if missing
+ *   photo       "src": "$photo" — a site photo (path from the repo root),
+ *               scaled to cover the card, `blur`red, then darkened by
+ *               `overlay`: [[stop, color], …] from top to bottom. Skipped if
+ *               the photo is missing, so put a background layer under it.
+ *   qr          y, right, size, color, background — drawn when the caller
+ *               passes a URL and the format has room (see qr.js). A dense
+ *               code may grow up and left to `maxSize` (default `size`)
+ *
+ * Any layer can carry "if": "<value>" to be skipped when that value is empty
+ * (no attribution, no subhead). "$name" anywhere and "{{name}}" inside text
+ * are filled from, in order of precedence: the card's content, the calendar
+ * entry's `graphic` style, and the template's own `vars`.
+ *
+ * Seasons: a template with a `season` is used automatically on matching
+ * dates, so a new seasonal look is one JSON file and no code. Either
+ *   { "from": "12-01", "to": "12-24" }   month-day range, every year
+ *   { "easter": [0, 6] }                 days relative to Easter Sunday
+ * A calendar entry can also pin one by name: "graphic": { "template": "…" }.
+ *
+ * Every card is put through legibility.js before it is written: text that
+ * overflows or sinks into what is behind it is rejected, not shipped.
+ *
+ * paintTemplate() is the same drawing without the check or the file, for
+ * quote-video.js. Its `motion` moves one frame of an animation:
+ *   drift: [dx, dy]        radial background centres shifted (0–1 units)
+ *   zoom: 1.04             photo layers scaled up by this much
+ *   reveal: { quote: 0.5 } a text layer, by name, partly shown: a boxed
+ *                          text word by word, a single line faded in
+ */
+
+const { createCanvas, loadImage, GlobalFonts } = require('@napi-rs/canvas');
+const fs = require('fs');
+const path = require('path');
+const { drawQRCode } = require('./qr');
+const { getFormat, layoutFor } = require('./formats');
+const { easterSunday } = require('./calendar');
+const { safeArea, assertLegible } = require('./legibility');
+
+const ASSETS = path.join(__dirname, 'assets');
+const SITE_ROOT = path.join(__dirname, '..');
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+GlobalFonts.registerFromPath(path.join(ASSETS, 'fonts', 'PlayfairDisplay-Bold.ttf'), 'Playfair Display');
+GlobalFonts.registerFromPath(path.join(ASSETS, 'fonts', 'Montserrat-Regular.ttf'), 'Montserrat');
+
+const LAYER_TYPES = ['background', 'photo', 'shape', 'text', 'image', 'qr'];
+
+// ── Loading ────────────────────────────────────────────
+
+const cache = new Map();
+
+function loadTemplate(name) {
+  if (cache.has(name)) return cache.get(name);
+  const file = path.join(TEMPLATES_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) throw new Error(`No graphic template "${name}" (looked for templates/${name}.json)`);
+
+  const template = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  for (const [i, layer] of (template.layers || []).entries()) {
+    if (!LAYER_TYPES.includes(layer.type)) {
+      throw new Error(`Template "${name}", layer ${i}: unknown type "${layer.type}" (use ${LAYER_TYPES.join(', ')})`);
+    }
+  }
+  cache.set(name, template);
+  return template;
+}
+
+function listTemplates() {
+  if (!fs.existsSync(TEMPLATES_DIR)) return [];
+  return fs.readdirSync(TEMPLATES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => loadTemplate(path.basename(f, '.json')));
+}
+
+// ── Choosing ───────────────────────────────────────────
+
+function inSeason(season, dateStr) {
+  if (season.easter) {
+    const [from, to] = season.easter;
+    const easter = easterSunday(Number(dateStr.slice(0, 4)));
+    const offset = Math.round((Date.parse(`${dateStr}T00:00:00Z`) - easter.getTime()) / 86400000);
+    return offset >= from && offset <= to;
+  }
+  if (season.from && season.to) {
+    const md = dateStr.slice(5);
+    // A range like 12-26 → 01-06 wraps the new year.
+    return season.from <= season.to
+      ? md >= season.from && md <= season.to
+      : md >= season.from || md <= season.to;
+  }
+  return false;
+}
+
+// The template for a card of `kind` on `dateStr`: the one a calendar entry
+// pinned, else the first seasonal template in season, else `<kind>-card`.
+function pickTemplate(kind, dateStr, style = {}) {
+  if (style.template) {
+    try {
+      return loadTemplate(style.template).name;
+    } catch (err) {
+      // Same rule as the calendar itself: a typo must not cost the graphic.
+      console.warn(`\n  [templates] ${err.message} — using the ${kind} default`);
+    }
+  }
+  const seasonal = dateStr && listTemplates()
+    .find(t => t.kind === kind && t.season && inSeason(t.season, dateStr));
+  return seasonal ? seasonal.name : `${kind}-card`;
+}
+
+// ── Drawing ────────────────────────────────────────────
+
+function wrapText(ctx, text, maxWidth) {
+  const words = text.split(/\s+/);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    const test = current ? `${current} ${word}` : word;
+    if (ctx.measureText(test).width > maxWidth && current) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = test;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+function fitFontSize(ctx, text, font, maxWidth, maxHeight, startSize, minSize, lineHeightRatio) {
+  let size = startSize;
+  while (size >= minSize) {
+    ctx.font = font(size);
+    const lines = wrapText(ctx, text, maxWidth);
+    const lineHeight = size * lineHeightRatio;
+    if (lines.length * lineHeight <= maxHeight) {
+      return { size, lines, lineHeight, atMinSize: size < startSize && size - 4 < minSize };
+    }
+    size -= 4;
+  }
+  ctx.font = font(minSize);
+  return { size: minSize, lines: wrapText(ctx, text, maxWidth), lineHeight: minSize * lineHeightRatio, atMinSize: true };
+}
+
+// Hand-rolled rather than ctx.roundRect() so the renderer does not depend on
+// a specific @napi-rs/canvas version exposing that method.
+function roundedRectPath(ctx, x, y, w, h, r) {
+  const radius = Math.min(r, h / 2, w / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.lineTo(x + w - radius, y);
+  ctx.arcTo(x + w, y, x + w, y + radius, radius);
+  ctx.lineTo(x + w, y + h - radius);
+  ctx.arcTo(x + w, y + h, x + w - radius, y + h, radius);
+  ctx.lineTo(x + radius, y + h);
+  ctx.arcTo(x, y + h, x, y + h - radius, radius);
+  ctx.lineTo(x, y + radius);
+  ctx.arcTo(x, y, x + radius, y, radius);
+  ctx.closePath();
+}
+
+// "italic 30 Montserrat" → a CSS font builder that takes the (scaled) size.
+function parseFont(spec) {
+  const match = /^(\S+) (\d+) (.+)$/.exec(spec || '');
+  if (!match) throw new Error(`Bad font "${spec}" (expected "<style> <size> <family>", e.g. "bold 72 Playfair Display")`);
+  const [, style, size, family] = match;
+  return { size: Number(size), bold: /bold|[6-9]00/.test(style), font: px => `${style} ${px}px "${family}"` };
+}
+
+function drawBackground(ctx, layer, { W, H, motion }, resolve) {
+  let fill;
+  if (layer.linear) {
+    fill = ctx.createLinearGradient(0, 0, W, H);
+    for (const [stop, color] of layer.linear) fill.addColorStop(stop, resolve(color));
+  } else if (layer.radial) {
+    const [dx, dy] = motion.drift || [0, 0];
+    const [x, y] = resolve(layer.radial.center).map((c, i) => c + (i ? dy : dx));
+    const radius = Math.max(W, H) * layer.radial.radius;
+    fill = ctx.createRadialGradient(W * x, H * y, 0, W * x, H * y, radius);
+    for (const [stop, color] of layer.radial.stops) fill.addColorStop(stop, resolve(color));
+  } else {
+    fill = resolve(layer.color);
+  }
+  ctx.fillStyle = fill;
+  ctx.fillRect(0, 0, W, H);
+}
+
+// Photos and the logo, loaded once per process — a video paints them on
+// every frame.
+const images = new Map();
+function cachedImage(file) {
+  if (!images.has(file)) images.set(file, loadImage(file));
+  return images.get(file);
+}
+
+// Cover-fit: fills the card, cropping whichever side overflows. Drawn a
+// little oversized so the blur's soft edge falls outside the canvas.
+async function drawPhoto(ctx, layer, { W, H, px, motion }, resolve) {
+  const src = resolve(layer.src);
+  if (!src) return;
+  let image;
+  try {
+    image = await cachedImage(path.join(SITE_ROOT, src));
+  } catch (err) {
+    console.warn(`\n  Photo ${src} unavailable (${err.message}) — card drawn without it`);
+    return;
+  }
+
+  const bleed = px(layer.blur || 0) * 3;
+  const scale = Math.max((W + bleed * 2) / image.width, (H + bleed * 2) / image.height) * (motion.zoom || 1);
+  const width = image.width * scale;
+  const height = image.height * scale;
+  ctx.filter = layer.blur ? `blur(${px(layer.blur)}px)` : 'none';
+  ctx.drawImage(image, (W - width) / 2, (H - height) / 2, width, height);
+  ctx.filter = 'none';
+
+  if (layer.overlay) {
+    const shade = ctx.createLinearGradient(0, 0, 0, H);
+    for (const [stop, color] of layer.overlay) shade.addColorStop(stop, resolve(color));
+    ctx.fillStyle = shade;
+    ctx.fillRect(0, 0, W, H);
+  }
+}
+
+function drawShape(ctx, layer, { W, H, px, y }, resolve, measured) {
+  ctx.strokeStyle = resolve(layer.color);
+  if (layer.shape === 'frame') {
+    const inset = px(layer.inset);
+    ctx.lineWidth = Math.max(1, px(layer.lineWidth));
+    ctx.strokeRect(inset, inset, W - inset * 2, H - inset * 2);
+  } else if (layer.shape === 'rule') {
+    const width = measured[layer.under] || 0;
+    ctx.lineWidth = layer.lineWidth;
+    ctx.beginPath();
+    ctx.moveTo(W / 2 - width / 2 - px(layer.overhang), y(layer.y));
+    ctx.lineTo(W / 2 + width / 2 + px(layer.overhang), y(layer.y));
+    ctx.stroke();
+  } else {
+    throw new Error(`Unknown shape "${layer.shape}" (use frame or rule)`);
+  }
+}
+
+// How a text layer is referred to in motion.reveal and in legibility
+// messages: its id, else the value it shows ("quote" for "“{{quote}}”").
+function textName(layer) {
+  return layer.id || (/\{\{(\w+)\}\}/.exec(layer.text) || [])[1] || layer.text;
+}
+
+// Draws centred `lines` with only the first `shown` of their words (a
+// fraction of the total), the word at the edge partly faded in. Positions
+// come from the whole line, so the text never reflows as it appears.
+function drawRevealed(ctx, lines, { x, y, lineHeight }, shown) {
+  const total = lines.reduce((n, line) => n + line.split(' ').length, 0);
+  let remaining = shown * total;
+  ctx.textAlign = 'left';
+  lines.forEach((line, i) => {
+    const start = x - ctx.measureText(line).width / 2;
+    let at = 0;
+    for (const word of line.split(' ')) {
+      const alpha = Math.max(0, Math.min(1, remaining));
+      remaining -= 1;
+      if (alpha > 0) {
+        ctx.globalAlpha = alpha;
+        ctx.fillText(word, start + ctx.measureText(line.slice(0, at)).width, y + i * lineHeight);
+      }
+      at += word.length + 1;
+    }
+  });
+  ctx.globalAlpha = 1;
+  ctx.textAlign = 'center';
+}
+
+// What the legibility check needs about a text layer: the ink bounds of
+// its lines and the pixels under them, grabbed before the text is drawn.
+function noteText(ctx, layer, lines, { x, y, lineHeight }, details) {
+  const rect = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+  lines.forEach((line, i) => {
+    const m = ctx.measureText(line);
+    const baseline = y + i * lineHeight;
+    rect.left = Math.min(rect.left, x - m.actualBoundingBoxLeft);
+    rect.right = Math.max(rect.right, x + m.actualBoundingBoxRight);
+    rect.top = Math.min(rect.top, baseline - m.actualBoundingBoxAscent);
+    rect.bottom = Math.max(rect.bottom, baseline + m.actualBoundingBoxDescent);
+  });
+
+  const { width, height } = ctx.canvas;
+  const left = Math.max(0, Math.floor(rect.left));
+  const top = Math.max(0, Math.floor(rect.top));
+  const w = Math.min(width, Math.ceil(rect.right)) - left;
+  const h = Math.min(height, Math.ceil(rect.bottom)) - top;
+  return {
+    name: textName(layer),
+    rect,
+    backdrop: w > 0 && h > 0 ? ctx.getImageData(left, top, w, h) : null,
+    ...details,
+  };
+}
+
+function drawText(ctx, layer, { W, px, y, motion }, resolve, measured, texts) {
+  const text = resolve(layer.text);
+  const reveal = motion.reveal && motion.reveal[textName(layer)];
+  const { size, bold, font } = parseFont(layer.font);
+  const maxWidth = W - px(layer.margin || 0) * 2;
+  const color = resolve(layer.color);
+  ctx.textAlign = 'center';
+
+  if (layer.box) {
+    const [top, bottom] = layer.box.map(y);
+    const minSize = px(layer.minSize || size);
+    const fit = fitFontSize(ctx, text, font, maxWidth, bottom - top, px(size), minSize, layer.lineHeight || 1.2);
+    ctx.font = font(fit.size);
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    const startY = (top + bottom) / 2 - (fit.lines.length * fit.lineHeight) / 2 + fit.lineHeight / 2;
+    const widest = Math.max(...fit.lines.map(line => ctx.measureText(line).width));
+    const tooTall = fit.lines.length * fit.lineHeight > bottom - top;
+    const place = { x: W / 2, y: startY, lineHeight: fit.lineHeight };
+    if (texts) texts.push(noteText(ctx, layer, fit.lines, place, {
+      designSize: size * (fit.size / px(size)),
+      bold,
+      color,
+      overflow: tooTall ? 'does not fit its box even at its minimum size'
+        : widest > maxWidth ? 'has a word too wide for its margins' : null,
+      atMinSize: fit.atMinSize,
+    }));
+    if (reveal === undefined) fit.lines.forEach((line, i) => ctx.fillText(line, W / 2, startY + i * fit.lineHeight));
+    else drawRevealed(ctx, fit.lines, place, reveal);
+    measured[layer.id] = widest;
+    return;
+  }
+
+  ctx.font = font(px(size));
+  const wrapped = layer.maxLines ? wrapText(ctx, text, maxWidth) : [text];
+  const lines = wrapped.slice(0, layer.maxLines || 1);
+  const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+  if (layer.id) measured[layer.id] = width;
+
+  ctx.globalAlpha = reveal === undefined ? 1 : Math.max(0, Math.min(1, reveal));
+  if (layer.pill) {
+    const pillW = Math.min(width + px(layer.pill.padding) * 2, maxWidth);
+    const pillH = px(layer.pill.height);
+    roundedRectPath(ctx, (W - pillW) / 2, y(layer.pill.y) - pillH / 2, pillW, pillH, pillH / 2);
+    ctx.fillStyle = resolve(layer.pill.color);
+    ctx.fill();
+  }
+
+  ctx.fillStyle = color;
+  ctx.textBaseline = layer.baseline || 'top';
+  if (texts) texts.push(noteText(ctx, layer, lines, { x: W / 2, y: y(layer.y), lineHeight: px(layer.leading || 0) }, {
+    designSize: size,
+    bold,
+    color,
+    overflow: wrapped.length > lines.length ? `is cut off after ${lines.length} line(s)`
+      : width > maxWidth ? 'is wider than its margins' : null,
+    atMinSize: false,
+  }));
+  lines.forEach((line, i) => ctx.fillText(line, W / 2, y(layer.y) + i * px(layer.leading || 0)));
+  ctx.globalAlpha = 1;
+}
+
+async function drawImage(ctx, layer, { W, px, y }) {
+  try {
+    const image = await cachedImage(path.join(ASSETS, layer.src));
+    const height = px(layer.height);
+    const width = (image.width / image.height) * height;
+    ctx.drawImage(image, (W - width) / 2, y(layer.y), width, height);
+  } catch (err) {
+    // Image missing — skip silently, the printed URL still carries the brand.
+  }
+}
+
+function drawQR(ctx, layer, { W, px, y }, resolve, qr) {
+  const size = px(layer.size);
+  try {
+    drawQRCode(ctx, qr, {
+      x: W - px(layer.right) - size,
+      y: y(layer.y),
+      size,
+      maxSize: layer.maxSize ? px(layer.maxSize) : size,
+      color: resolve(layer.color),
+      background: resolve(layer.background),
+    });
+  } catch (err) {
+    // The card still carries the printed URL; it just ships without a code.
+    console.warn(`\n  QR code skipped: ${err.message}`);
+  }
+}
+
+// Draws `templateName` with `values` (content + style) onto a new canvas in
+// `format`. `qr` is the URL for the template's qr layer, or null. `motion`
+// is one animation frame (see the header); without it, the still card.
+// Returns the canvas plus what the legibility check needs about its text.
+async function paintTemplate(templateName, { values = {}, format = 'square', qr = null, motion = null }) {
+  const template = loadTemplate(templateName);
+  const fmt = getFormat(format);
+  const layout = layoutFor(fmt);
+  const geometry = { W: layout.width, H: layout.height, px: layout.px, y: layout.anchor, motion: motion || {} };
+
+  // An unset value (no calendar glow, say) must not blank out the template's.
+  const scope = { ...template.vars };
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined && value !== null) scope[key] = value;
+  }
+  const resolve = value => {
+    if (typeof value !== 'string') return value;
+    if (value.startsWith('$')) return scope[value.slice(1)];
+    return value.replace(/\{\{(\w+)\}\}/g, (_, key) => scope[key] ?? '');
+  };
+
+  const canvas = createCanvas(geometry.W, geometry.H);
+  const ctx = canvas.getContext('2d');
+  const measured = {};
+  // A frame's text is mid-reveal, so only the still card is measured.
+  const texts = motion ? null : [];
+
+  for (const layer of template.layers) {
+    if (layer.if && !scope[layer.if]) continue;
+    switch (layer.type) {
+      case 'background': drawBackground(ctx, layer, geometry, resolve); break;
+      case 'photo': await drawPhoto(ctx, layer, geometry, resolve); break;
+      case 'shape': drawShape(ctx, layer, geometry, resolve, measured); break;
+      case 'text': drawText(ctx, layer, geometry, resolve, measured, texts); break;
+      case 'image': await drawImage(ctx, layer, geometry); break;
+      case 'qr': if (qr && fmt.qr) drawQR(ctx, layer, geometry, resolve, qr); break;
+    }
+  }
+
+  return { canvas, texts, fmt, layout };
+}
+
+// Draws `templateName` to `outputPath` as a PNG; options as paintTemplate.
+// Throws (err.problems) if the legibility check rejects the result.
+async function renderTemplate(templateName, { values = {}, outputPath, format = 'square', qr = null }) {
+  const { canvas, texts, fmt, layout } = await paintTemplate(templateName, { values, format, qr });
+
+  // Throws before anything is written, so a card with a quote running off
+  // it or lost in its photo never reaches output/ (see legibility.js).
+  assertLegible(texts, safeArea(fmt, layout), `${templateName} (${fmt.name})`);
+
+  fs.writeFileSync(outputPath, canvas.toBuffer('image/png'));
+  return outputPath;
+}
+
+module.exports = { loadTemplate, listTemplates, pickTemplate, paintTemplate, renderTemplate, roundedRectPath };
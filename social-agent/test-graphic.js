@@ -1,11 +1,13 @@
 /**
  * Local visual test for the quote graphic renderer.
- * Generates 3 sample graphics so we can review the design before going live.
+ * Generates 3 sample graphics, in every format (formats.js), so we can
+ * review the design before going live.
  */
 
 const path = require('path');
 const fs = require('fs');
 const { renderQuoteGraphic } = require('./graphic');
+const { FORMATS, formatPath } = require('./formats');
 
 const samples = [
   {
@@ -30,9 +32,11 @@ const samples = [
   if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
 
   for (const s of samples) {
-    const outPath = path.join(outDir, s.name);
-    await renderQuoteGraphic({ quote: s.quote, attribution: s.attribution, outputPath: outPath });
-    console.log(`Generated: ${outPath}`);
+    for (const format of Object.keys(FORMATS)) {
+      const outPath = formatPath(path.join(outDir, s.name), format);
+      await renderQuoteGraphic({ quote: s.quote, attribution: s.attribution, outputPath: outPath, format });
+      console.log(`Generated: ${outPath}`);
+    }
   }
 
   console.log(`\nDone. Open the folder to review:\n  ${outDir}`);
@@ -0,0 +1,83 @@
+/**
+ * Cutting a sermon transcript into scored corpus passages (sermons.js).
+ * Options are passed in where config.sermons would otherwise decide, so a
+ * config change does not break these.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { dropFiller, sentences, passages, scorePassage } = require('../sermons');
+
+// Words said one a second from `start`, or untimed, like plain text's.
+const said = (text, start = 0) => text.split(' ').map((t, i) => ({ text: t, start: start === null ? null : start + i }));
+const texts = list => list.map(words => words.map(w => w.text).join(' '));
+
+test('dropFiller drops filler words and speaker marks', () => {
+  const kept = dropFiller(said('>> So um the Lord uh is good'), { filler: ['um', 'uh'], pause: 1 });
+  assert.deepStrictEqual(kept.map(w => w.text), ['So', 'the', 'Lord', 'is', 'good']);
+});
+
+test('dropFiller drops a word said twice running, unless a pause came between', () => {
+  const words = [
+    { text: 'the', start: 0 }, { text: 'the', start: 0.4 }, { text: 'word', start: 0.8 },
+    { text: 'good', start: 2 }, { text: 'good', start: 4 },
+  ];
+  const kept = dropFiller(words, { filler: [], pause: 1 });
+  assert.deepStrictEqual(kept.map(w => w.text), ['the', 'word', 'good', 'good']);
+  // Untimed words have no pause to go by.
+  assert.deepStrictEqual(dropFiller(said('the the word', null), { filler: [], pause: 1 }).map(w => w.text), ['the', 'word']);
+});
+
+test('sentences end at . ! or ? and at a pause, which gets a full stop', () => {
+  const words = [
+    ...said('god is good all the time.', 0),
+    ...said('and i said,', 6),
+    ...said('come on somebody', 20),
+  ];
+  assert.deepStrictEqual(texts(sentences(words, 3)), [
+    'God is good all the time.',
+    'And I said.',
+    'Come on somebody',
+  ]);
+});
+
+test('sentences only split untimed words at punctuation', () => {
+  assert.deepStrictEqual(texts(sentences(said('he is risen! he is risen indeed', null), 1)), ['He is risen!', 'He is risen indeed']);
+});
+
+test('passages gather whole sentences until minWords', () => {
+  const list = [said('a b c.'), said('d e.'), said('f g h i.'), said('j.')];
+  assert.deepStrictEqual(texts(passages(list, { minWords: 4, maxWords: 6 })), ['a b c. d e.', 'f g h i.']);
+});
+
+test('passages cut a sentence that would overflow maxWords and keep what was gathered', () => {
+  const list = [said('a b.'), said('c d e f g h.'), said('i j k l.')];
+  const out = passages(list, { minWords: 4, maxWords: 5 });
+  assert.deepStrictEqual(texts(out), ['a b. c d e', 'f g h. i j']);
+  // Every word but the short tail ("k l.") is in a passage, in order.
+  assert.strictEqual(out.flat().map(w => w.text).join(' '), 'a b. c d e f g h. i j');
+  assert.ok(out.every(passage => passage.length <= 5));
+});
+
+test('passages cut a sentence longer than maxWords into pieces', () => {
+  const out = passages([said('a b c d e f g h i j k.')], { minWords: 2, maxWords: 4 });
+  assert.deepStrictEqual(texts(out), ['a b c d', 'e f g h', 'i j k.']);
+});
+
+const SCORING = {
+  weights: { directAddress: 1, scripture: 2, signature: 3, housekeeping: -5 },
+  signaturePhrases: ['come on somebody'],
+  housekeeping: ['cash app'],
+};
+
+test('scorePassage counts each signal, punctuation and case aside', () => {
+  const { signals } = scorePassage('Come on, Somebody! You know John 3 16 and the Bible says so. Use Cash App.', SCORING);
+  assert.deepStrictEqual(signals, { directAddress: 2, scripture: 2, signature: 1, housekeeping: 1 });
+});
+
+test('scorePassage weighs the signals per 100 words', () => {
+  // One direct address in 4 words, then in 8: 25 and 12.5 per 100.
+  assert.strictEqual(scorePassage('I tell you this', SCORING).score, 25);
+  assert.strictEqual(scorePassage('I tell you this and that and more', SCORING).score, 12.5);
+  assert.ok(scorePassage('Send it by cash app today', SCORING).score < 0);
+});
@@ -0,0 +1,74 @@
+/**
+ * Reading WebVTT, SRT and plain-text transcripts (transcripts.js).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTimestamp, transcriptWords, transcriptText, dropTags } = require('../transcripts');
+
+const words = text => text.split(' ').map(t => ({ text: t }));
+
+test('parseTimestamp reads VTT and SRT stamps', () => {
+  assert.strictEqual(parseTimestamp('01:02:03.500'), 3723.5);
+  assert.strictEqual(parseTimestamp('02:03.250'), 123.25);
+  assert.strictEqual(parseTimestamp('00:00:01,750'), 1.75);
+});
+
+test('transcriptWords keeps only the timed lines of rolling auto-captions', () => {
+  const vtt = [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:03.000',
+    'god<00:00:01.500><c> is</c><00:00:02.000><c> good</c>',
+    '',
+    '00:00:03.000 --> 00:00:05.000',
+    'god is good',
+    'all<00:00:03.500><c> the</c><00:00:04.000><c> time</c>',
+    '',
+  ].join('\n');
+  const result = transcriptWords(vtt);
+  assert.deepStrictEqual(result.map(w => w.text), ['god', 'is', 'good', 'all', 'the', 'time']);
+  assert.deepStrictEqual(result.map(w => w.start), [1, 1.5, 2, 3, 3.5, 4]);
+  // Each word runs until the next starts; the last until its cue ends.
+  assert.strictEqual(result[0].end, 1.5);
+  assert.strictEqual(result[5].end, 5);
+});
+
+test('transcriptWords shares an untimed cue out by word length and skips repeated lines', () => {
+  const srt = [
+    '1',
+    '00:00:00,000 --> 00:00:02,000',
+    'aa bbb',
+    '',
+    '2',
+    '00:00:02,000 --> 00:00:04,000',
+    'aa bbb',
+    'cc',
+    '',
+  ].join('\n');
+  const result = transcriptWords(srt);
+  assert.deepStrictEqual(result.map(w => w.text), ['aa', 'bbb', 'cc']);
+  assert.deepStrictEqual(result.map(w => Math.round(w.start * 1000) / 1000), [0, 0.857, 2]);
+});
+
+test('dropTags drops bracketed notes, one word or several', () => {
+  assert.deepStrictEqual(dropTags(words('Amen [Music] and [Music playing] so [Applause]')).map(w => w.text), ['Amen', 'and', 'so']);
+  // An unclosed bracket is left, and so is everything after it.
+  assert.deepStrictEqual(dropTags(words('[ and so on')).map(w => w.text), ['[', 'and', 'so', 'on']);
+});
+
+test('dropTags leaves a "[" alone when the next "]" is far off or after another "["', () => {
+  const far = 'so [inaudible and then we prayed all that night [Music] amen';
+  assert.strictEqual(dropTags(words(far)).map(w => w.text).join(' '), 'so [inaudible and then we prayed all that night amen');
+  const near = 'so [inaudible [Music] amen';
+  assert.strictEqual(dropTags(words(near)).map(w => w.text).join(' '), 'so [inaudible amen');
+});
+
+test('a tag split across cues is dropped whole', () => {
+  const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nhello [Music\n\n00:00:03.000 --> 00:00:05.000\nplaying] world\n';
+  assert.deepStrictEqual(transcriptWords(vtt).map(w => w.text), ['hello', 'world']);
+});
+
+test('transcriptText reads plain text as it is, less the tags', () => {
+  assert.strictEqual(transcriptText('Listen to me.\n[Music playing]\n  Somebody say amen.'), 'Listen to me. Somebody say amen.');
+});
@@ -0,0 +1,212 @@
+/**
+ * The resumable Facebook video upload (poster.js postToFacebookVideo) and
+ * `clips.js post`, against graph-stub.js on a free port. Nothing here talks
+ * to Facebook or touches clips/cloud/queue.json.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawn, execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const STUB = path.join(ROOT, 'graph-stub.js');
+const CHUNK = 64 * 1024;
+
+// Starts graph-stub.js with `flags` and resolves once it is listening, with
+// its base URL and everything it has logged so far.
+function startStub(flags = []) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [STUB, '--port', '0', '--chunk', String(CHUNK), ...flags]);
+    const log = [];
+    // The stub logs before it answers, but its stdout can arrive after the
+    // answer does.
+    const waitFor = async (pattern) => {
+      for (let waited = 0; !log.some(line => pattern.test(line)); waited += 20) {
+        if (waited > 2000) throw new Error(`graph-stub never logged ${pattern}`);
+        await new Promise(r => setTimeout(r, 20));
+      }
+    };
+    let partial = '';
+    let ready = false;
+    child.stdout.on('data', (data) => {
+      const lines = (partial + data).split('\n');
+      partial = lines.pop();
+      log.push(...lines);
+      const listening = !ready && log[0] && log[0].match(/localhost:(\d+)\/v21\.0/);
+      if (listening) {
+        ready = true;
+        resolve({ base: `http://localhost:${listening[1]}/v21.0`, log, waitFor, stop: () => child.kill() });
+      }
+    });
+    child.on('error', reject);
+    child.on('exit', code => ready || reject(new Error(`graph-stub exited with ${code}`)));
+  });
+}
+
+// poster.js reads GRAPH_API_BASE once, when it loads, so every stub gets a
+// fresh copy of it.
+function loadPoster(base) {
+  Object.assign(process.env, { GRAPH_API_BASE: base, FACEBOOK_PAGE_ID: '100', FACEBOOK_PAGE_TOKEN: 'stub' });
+  delete require.cache[require.resolve('../poster')];
+  return require('../poster');
+}
+
+async function withStub(flags, run) {
+  const stub = await startStub(flags);
+  try {
+    return await run(stub, loadPoster(stub.base));
+  } finally {
+    stub.stop();
+  }
+}
+
+// Upload progress kept in memory, with every save recorded. `crashAt` makes
+// the save for that offset throw after storing it, as if the run died there.
+function memoryStore(state = null, { crashAt = null } = {}) {
+  const store = {
+    state,
+    saves: [],
+    load: () => store.state,
+    save: (next) => {
+      store.state = next;
+      store.saves.push(next);
+      if (next.start_offset === crashAt) {
+        crashAt = null;
+        throw new Error('run killed');
+      }
+    },
+    clear: () => { store.state = null; },
+  };
+  return store;
+}
+
+// A throwaway "video" of `bytes` random bytes.
+function videoFile(bytes, name = 'clip.mp4') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ifm-upload-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, crypto.randomBytes(bytes));
+  return file;
+}
+
+const SIZE = CHUNK * 3 + 1234;
+const sessionsStarted = log => log.filter(line => /session \d+ for video/.test(line)).length;
+const transfersAt = log => log.filter(line => /^ {2}session \d+: \d+ of/.test(line)).map(line => Number(line.match(/: (\d+) of/)[1]));
+
+test('uploads in start, transfer and finish phases, one chunk at a time', async () => {
+  await withStub([], async (stub, { postToFacebookVideo }) => {
+    const file = videoFile(SIZE);
+    const publishAt = new Date(Date.now() + 3600000);
+    const result = await postToFacebookVideo(file, 'A clip', publishAt);
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.mode, 'video');
+    assert.strictEqual(result.scheduled, true);
+    await stub.waitFor(/finished/);
+    assert.strictEqual(sessionsStarted(stub.log), 1);
+    assert.deepStrictEqual(transfersAt(stub.log), [CHUNK, CHUNK * 2, CHUNK * 3, SIZE]);
+    assert.ok(stub.log.some(line => line.includes('finished') && line.includes('scheduled for')));
+    // The default store is a sidecar file, gone once Facebook has the video.
+    assert.strictEqual(fs.existsSync(`${file}.upload.json`), false);
+  });
+});
+
+test('retries a phase that fails with a transient error (--flaky)', async () => {
+  await withStub(['--flaky', 'transfer'], async (stub, { postToFacebookVideo }) => {
+    const result = await postToFacebookVideo(videoFile(SIZE), 'A clip', null, memoryStore());
+
+    assert.strictEqual(result.success, true, result.error);
+    await stub.waitFor(/finished/);
+    assert.ok(stub.log.some(line => line.includes('transfer: failing once')));
+    assert.deepStrictEqual(transfersAt(stub.log), [CHUNK, CHUNK * 2, CHUNK * 3, SIZE]);
+  });
+});
+
+test('resends a chunk whose connection dropped part way', async () => {
+  await withStub(['--drop-transfer', '2'], async (stub, { postToFacebookVideo }) => {
+    const result = await postToFacebookVideo(videoFile(SIZE), 'A clip', null, memoryStore());
+
+    assert.strictEqual(result.success, true, result.error);
+    await stub.waitFor(/finished/);
+    assert.ok(stub.log.some(line => line.includes('dropping the connection')));
+    // The lost chunk is sent again from the last confirmed offset, not from 0.
+    assert.strictEqual(sessionsStarted(stub.log), 1);
+    assert.deepStrictEqual(transfersAt(stub.log), [CHUNK, CHUNK * 2, CHUNK * 3, SIZE]);
+  });
+});
+
+test('gives up at once on an error that is not transient', async () => {
+  await withStub(['--fail', 'videos'], async (stub, { postToFacebookVideo }) => {
+    const store = memoryStore();
+    const result = await postToFacebookVideo(videoFile(SIZE), 'A clip', null, store);
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /^start: \(stub\) Video upload rejected/);
+    await stub.waitFor(/^POST/);
+    assert.strictEqual(stub.log.filter(line => line.startsWith('POST')).length, 1);
+  });
+});
+
+test('a rerun resumes from the offset saved before the last run died', async () => {
+  await withStub([], async (stub, { postToFacebookVideo }) => {
+    const file = videoFile(SIZE);
+    const store = memoryStore(null, { crashAt: CHUNK * 2 });
+
+    const first = await postToFacebookVideo(file, 'A clip', null, store);
+    assert.strictEqual(first.success, false);
+    assert.strictEqual(store.state.start_offset, CHUNK * 2);
+
+    const second = await postToFacebookVideo(file, 'A clip', null, store);
+    assert.strictEqual(second.success, true, second.error);
+    await stub.waitFor(/finished/);
+    assert.strictEqual(second.postId, store.saves[0].video_id);
+    assert.strictEqual(sessionsStarted(stub.log), 1);
+    assert.deepStrictEqual(transfersAt(stub.log), [CHUNK, CHUNK * 2, CHUNK * 3, SIZE]);
+    assert.strictEqual(store.state, null);
+  });
+});
+
+test('starts over when Facebook no longer knows the saved session', async () => {
+  await withStub([], async (stub, { postToFacebookVideo }) => {
+    const stale = { upload_session_id: '999', video_id: '1', file_size: SIZE, start_offset: CHUNK, end_offset: CHUNK * 2 };
+    const result = await postToFacebookVideo(videoFile(SIZE), 'A clip', null, memoryStore(stale));
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.notStrictEqual(result.postId, '1');
+    await stub.waitFor(/finished/);
+    assert.strictEqual(sessionsStarted(stub.log), 1);
+    assert.deepStrictEqual(transfersAt(stub.log), [CHUNK, CHUNK * 2, CHUNK * 3, SIZE]);
+  });
+});
+
+test('clips.js post --queue marks the clip posted in that queue file only', async () => {
+  const real = path.join(ROOT, '..', 'clips', 'cloud', 'queue.json');
+  const realBefore = fs.existsSync(real) ? fs.readFileSync(real, 'utf-8') : null;
+  const file = videoFile(SIZE, 'Test_clip_0m05s_square.mp4');
+  const queueFile = path.join(path.dirname(file), 'queue.json');
+  fs.writeFileSync(queueFile, JSON.stringify({ clips: [{ file: path.basename(file), posted: false }] }));
+
+  const stub = await startStub();
+  try {
+    const env = { ...process.env, GRAPH_API_BASE: stub.base, FACEBOOK_PAGE_ID: '100', FACEBOOK_PAGE_TOKEN: 'stub' };
+    // No provider key: the caption is a canned hook, no network needed.
+    delete env.GROQ_API_KEY;
+    delete env.OPENROUTER_API_KEY;
+    const stdout = await new Promise((resolve, reject) => {
+      execFile(process.execPath, ['clips.js', 'post', file, '--queue', queueFile], { cwd: ROOT, env, timeout: 60000 },
+        (err, out, stderr) => (err ? reject(new Error(`${err.message}\n${stderr}`)) : resolve(out)));
+    });
+
+    const [clip] = JSON.parse(fs.readFileSync(queueFile, 'utf-8')).clips;
+    assert.strictEqual(clip.posted, true);
+    // The workflow reads stdout as the video id, so nothing else may be on it.
+    assert.strictEqual(stdout, `${clip.video_id}\n`);
+    assert.strictEqual(clip.upload, undefined);
+    assert.strictEqual(fs.existsSync(real) ? fs.readFileSync(real, 'utf-8') : null, realBefore);
+  } finally {
+    stub.stop();
+  }
+});
@@ -0,0 +1,126 @@
+/**
+ * IFM Social Media Agent — Transcripts
+ *
+ * Reads sermon transcripts: WebVTT (YouTube's auto-captions, as sermons.js
+ * fetches them) and SRT, or plain text. Used to burn captions into clips
+ * (clip-subtitles.js), to give the clip caption writer the gist of a clip
+ * (clips.js), and to cut corpus passages (sermons.js). Nothing here needs
+ * more than Node itself.
+ */
+
+// "01:02:03.456", "02:03.456" or SRT's "01:02:03,456" → seconds.
+function parseTimestamp(stamp) {
+  const parts = stamp.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+const CUE_TIMING = /^((?:\d+:)?\d+:\d+[.,]\d+)\s*-->\s*((?:\d+:)?\d+:\d+[.,]\d+)/;
+const INLINE_TIME = /<((?:\d+:)?\d+:\d+\.\d+)>/;
+// Splitting on the captured stamp keeps it: [word, stamp, word, stamp, …].
+const INLINE_TIMES = new RegExp(INLINE_TIME.source, 'g');
+
+function parseCues(raw) {
+  const cues = [];
+  let cue = null;
+  for (const line of raw.replace(/^﻿/, '').split(/\r?\n/)) {
+    const timing = line.trim().match(CUE_TIMING);
+    if (timing) {
+      cue = { start: parseTimestamp(timing[1]), end: parseTimestamp(timing[2]), lines: [] };
+      cues.push(cue);
+    } else if (!line) {
+      // Only a truly empty line ends a cue; YouTube pads its cues with " ".
+      cue = null;
+    } else if (cue && line.trim()) {
+      cue.lines.push(line.trim());
+    }
+  }
+  return cues;
+}
+
+// Every spoken word with its start and end, in seconds from the top of the
+// transcript. YouTube's auto-captions time each word (<00:01:02.340> tags)
+// and roll: a cue repeats the line before it, untimed, above the new one. So
+// when the file has word timings only the timed lines count. Plain cues share
+// their time out across their words by length, and a line the previous cue
+// already showed is skipped.
+function transcriptWords(raw) {
+  const cues = parseCues(raw);
+  const timed = cues.some(cue => cue.lines.some(line => INLINE_TIME.test(line)));
+  const words = [];
+  let previous = [];
+
+  for (const cue of cues) {
+    if (timed) {
+      for (const line of cue.lines.filter(l => INLINE_TIME.test(l))) {
+        let at = cue.start;
+        line.split(INLINE_TIMES).forEach((piece, i) => {
+          if (i % 2) {
+            at = parseTimestamp(piece);
+            return;
+          }
+          for (const text of piece.replace(/<[^>]+>/g, '').split(/\s+/).filter(Boolean)) {
+            words.push({ text, start: at, end: cue.end });
+          }
+        });
+      }
+    } else {
+      const lines = cue.lines.map(l => l.replace(/<[^>]+>/g, '').trim()).filter(Boolean);
+      const fresh = lines.filter(line => !previous.includes(line)).flatMap(line => line.split(/\s+/));
+      previous = lines;
+      const chars = fresh.reduce((sum, w) => sum + w.length + 1, 0);
+      let at = cue.start;
+      for (const text of fresh) {
+        const length = (cue.end - cue.start) * (text.length + 1) / chars;
+        words.push({ text, start: at, end: at + length });
+        at += length;
+      }
+    }
+  }
+
+  // A word lasts until the next one starts, unless the speaker paused.
+  words.sort((a, b) => a.start - b.start);
+  for (let i = 0; i < words.length - 1; i++) {
+    words[i].end = Math.min(words[i].end, words[i + 1].start);
+  }
+  return dropTags(words);
+}
+
+// Captioners' notes are short; a "[" with no "]" this close is speech.
+const TAG_WORDS = 5;
+
+// Where the bracketed note opening at words[i] closes, or -1: within
+// TAG_WORDS words and before any other "[".
+function tagEnd(words, i) {
+  if (!words[i].text.startsWith('[')) return -1;
+  for (let j = i; j < Math.min(words.length, i + TAG_WORDS); j++) {
+    if (j > i && words[j].text.startsWith('[')) return -1;
+    if (words[j].text.endsWith(']')) return j;
+  }
+  return -1;
+}
+
+// Without the captioners' bracketed notes — [Music], [Applause], and the
+// ones that run over several words, like [Music playing]. A "[" that does
+// not close soon (tagEnd) is left alone rather than eating the speech after
+// it.
+function dropTags(words) {
+  const kept = [];
+  for (let i = 0; i < words.length; i++) {
+    const close = tagEnd(words, i);
+    if (close === -1) kept.push(words[i]);
+    else i = close;
+  }
+  return kept;
+}
+
+// Just the words, as one line of text. A file with no cues at all is taken
+// to be plain text already.
+function transcriptText(raw) {
+  if (!parseCues(raw).length) {
+    const words = raw.replace(/^﻿/, '').split(/\s+/).filter(Boolean).map(text => ({ text }));
+    return dropTags(words).map(w => w.text).join(' ');
+  }
+  return transcriptWords(raw).map(w => w.text).join(' ');
+}
+
+module.exports = { parseTimestamp, parseCues, transcriptWords, transcriptText, dropTags };